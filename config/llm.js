@@ -0,0 +1,44 @@
+// Which LLM provider and model each feature uses. Override a feature with
+// LLM_<FEATURE>_PROVIDER / LLM_<FEATURE>_MODEL (e.g. LLM_OCR_RECEIPT_MODEL), or send
+// every feature to one provider with LLM_PROVIDER (e.g. "mock" to run offline).
+const GEMINI_MODEL = "gemini-2.5-flash";
+const GROQ_MODEL = "llama-3.3-70b-versatile"; // Groq's stable free-tier flagship
+
+const features = {
+  "ocr.receipt": { provider: "gemini", model: GEMINI_MODEL, temperature: 0, timeoutMs: 60000 },
+  "chatbot.intent": { provider: "groq", model: GROQ_MODEL, temperature: 0 },
+  "chatbot.extract": { provider: "groq", model: GROQ_MODEL, temperature: 0 },
+  "chatbot.target": { provider: "groq", model: GROQ_MODEL, temperature: 0 },
+  "chatbot.category": { provider: "groq", model: GROQ_MODEL, temperature: 0.7 },
+  "chatbot.query": { provider: "groq", model: GROQ_MODEL, temperature: 0 },
+  "chatbot.chitchat": { provider: "groq", model: GROQ_MODEL, temperature: 0.7 },
+  "chatbot.translate": { provider: "groq", model: GROQ_MODEL, temperature: 0 },
+};
+
+// Applied to every call unless the feature sets its own
+const defaults = {
+  timeoutMs: 20000,
+  maxAttempts: 3,
+  backoffMs: 500, // Doubles after each failed attempt
+};
+
+const envKey = (feature, field) => `LLM_${feature.replace(/\W/g, "_").toUpperCase()}_${field}`;
+
+/**
+ * Resolved settings for a feature
+ * @param {String} feature - Key in `features`, e.g. "chatbot.intent"
+ * @returns {Object} - { provider, model, temperature, timeoutMs, maxAttempts, backoffMs }
+ */
+const getFeatureConfig = (feature) => {
+  const config = features[feature];
+  if (!config) throw new Error(`No LLM config for feature: ${feature}`);
+
+  return {
+    ...defaults,
+    ...config,
+    provider: process.env.LLM_PROVIDER || process.env[envKey(feature, "PROVIDER")] || config.provider,
+    model: process.env[envKey(feature, "MODEL")] || config.model,
+  };
+};
+
+module.exports = { features, defaults, getFeatureConfig };
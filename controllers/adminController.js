@@ -0,0 +1,26 @@
+const llm = require("../services/llm");
+
+// When the metrics started counting: server start, or the last reset
+let startedAt = new Date().toISOString();
+
+// Get LLM Metrics: per-feature calls, failures, retries, tokens and latency since the server started
+exports.getLlmMetrics = async (req, res) => {
+    try {
+        res.status(200).json({ since: startedAt, metrics: llm.getMetrics() });
+    } catch (error) {
+        console.error("Error fetching LLM metrics:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Reset LLM Metrics, e.g. before measuring a change
+exports.resetLlmMetrics = async (req, res) => {
+    try {
+        llm.resetMetrics();
+        startedAt = new Date().toISOString();
+        res.status(200).json({ message: "LLM metrics reset" });
+    } catch (error) {
+        console.error("Error resetting LLM metrics:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -1,8 +1,10 @@
-const { db, admin } = require("../config/firebaseAdmin");
+const db = require("../config/db");
+const User = require("../models/User");
+const { isValidTimezone } = require("../utils/period");
 
 exports.loginUser = async (req, res) => {
     try {
-        const { uid, displayName, email } = req.body;
+        const { uid, displayName, email, timezone } = req.body;
         const usersRef = db.collection("users").doc(uid);
         const userDoc = await usersRef.get();
 
@@ -10,12 +12,14 @@ exports.loginUser = async (req, res) => {
             // Pick a random avatar from the local `public/avatars/` folder
             const randomAvatar = `/avatars/${Math.floor(Math.random() * 20) + 1}.png`;
 
+            // Preferences start at their defaults and are changed through PATCH /api/user/me
             await usersRef.set({
+                ...User.DEFAULT_PROFILE,
                 name: displayName || "User",
                 email: email || "",
                 avatar: randomAvatar, // ✅ Local avatar path
-                currency: "INR (₹)", // ✅ Default currency
-                theme: "light", // ✅ Default theme
+                // The client can send the browser's timezone so "today" is right from the start
+                ...(isValidTimezone(timezone) ? { timezone } : {}),
             });
         }
 
@@ -0,0 +1,167 @@
+const admin = require("firebase-admin");
+const db = require("../config/db"); // Firestore instance
+const Budget = require("../models/Budget");
+const Category = require("../models/Category");
+const { isPositiveAmount } = require("../utils/validation");
+
+// Returns an error message, or null when the budget fields are valid.
+// categories are the names of the user's active top-level categories.
+const validateBudget = ({ category, limit }, categories, partial = false) => {
+    if (!partial || category !== undefined) {
+        if (!categories.includes(category)) {
+            return `Category must be one of: ${categories.join(", ")}`;
+        }
+    }
+    if (!partial || limit !== undefined) {
+        if (!isPositiveAmount(limit)) {
+            return "Limit must be a positive number";
+        }
+    }
+    return null;
+};
+
+// Fetch a budget and verify it belongs to the user
+const getOwnedBudget = async (id, uid) => {
+    const budgetRef = db.collection("budgets").doc(id);
+    const doc = await budgetRef.get();
+
+    if (!doc.exists) return { status: 404, error: "Budget not found" };
+    if (doc.data().userId !== uid) return { status: 403, error: "Unauthorized" };
+
+    return { budgetRef, doc };
+};
+
+// Create Budget
+exports.createBudget = async (req, res) => {
+    try {
+        const { category, limit } = req.body;
+        const { uid } = req.user;
+
+        const validationError = validateBudget({ category, limit }, await Category.getNames(uid));
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // One monthly budget per category
+        const existing = await db.collection("budgets")
+            .where("userId", "==", uid)
+            .where("category", "==", category)
+            .limit(1)
+            .get();
+
+        if (!existing.empty) {
+            return res.status(409).json({ error: `A budget for ${category} already exists` });
+        }
+
+        const budget = {
+            userId: uid,
+            category,
+            limit: parseFloat(limit),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        const budgetRef = await db.collection("budgets").add(budget);
+
+        res.status(201).json({ message: "Budget created successfully!", id: budgetRef.id });
+    } catch (error) {
+        console.error("Error creating budget:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Budgets List
+exports.getBudgets = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        const snapshot = await db.collection("budgets")
+            .where("userId", "==", uid)
+            .get();
+
+        const budgets = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+        }));
+
+        res.status(200).json({ budgets });
+    } catch (error) {
+        console.error("Error fetching budgets:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Update Budget
+exports.updateBudget = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+        const { category, limit } = req.body;
+
+        if (category === undefined && limit === undefined) {
+            return res.status(400).json({ error: "Nothing to update" });
+        }
+
+        const categories = category === undefined ? [] : await Category.getNames(uid);
+        const validationError = validateBudget({ category, limit }, categories, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { budgetRef, doc, status, error } = await getOwnedBudget(id, uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (category !== undefined && category !== doc.data().category) {
+            const existing = await db.collection("budgets")
+                .where("userId", "==", uid)
+                .where("category", "==", category)
+                .limit(1)
+                .get();
+
+            if (!existing.empty) {
+                return res.status(409).json({ error: `A budget for ${category} already exists` });
+            }
+        }
+
+        const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+        if (category !== undefined) updates.category = category;
+        if (limit !== undefined) updates.limit = parseFloat(limit);
+
+        await budgetRef.update(updates);
+        res.status(200).json({ message: "Budget updated successfully" });
+    } catch (error) {
+        console.error("Error updating budget:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Delete Budget
+exports.deleteBudget = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+
+        const { budgetRef, status, error } = await getOwnedBudget(id, uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await budgetRef.delete();
+        res.status(200).json({ message: "Budget deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting budget:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Spend vs. limit for the current month
+exports.getBudgetStatus = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const status = await Budget.getStatus(uid);
+        res.status(200).json(status);
+    } catch (error) {
+        console.error("Error getting budget status:", error);
+        res.status(500).json({ error: "Failed to retrieve budget status" });
+    }
+};
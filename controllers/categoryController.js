@@ -0,0 +1,146 @@
+const Category = require("../models/Category");
+const { isValidColor } = require("../utils/categories");
+
+// Fields a user may change on an existing category
+const EDITABLE_FIELDS = ["name", "icon", "color", "archived"];
+
+const MAX_NAME_LENGTH = 50;
+const MAX_ICON_LENGTH = 32;
+
+// Returns an error message, or null when every provided field is valid
+const validateCategory = ({ name, icon, color, archived, parentId }, partial = false) => {
+    if (!partial || name !== undefined) {
+        if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return `Name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+        }
+        // Expense filters take comma-separated category lists
+        if (name.includes(",")) {
+            return "Name can't contain commas";
+        }
+    }
+    if (icon !== undefined && (typeof icon !== "string" || !icon.trim() || icon.length > MAX_ICON_LENGTH)) {
+        return "Icon must be an emoji or icon name";
+    }
+    if (color !== undefined && !isValidColor(color)) {
+        return "Color must be a hex color such as #22C55E";
+    }
+    if (archived !== undefined && typeof archived !== "boolean") {
+        return "Archived must be true or false";
+    }
+    if (parentId !== undefined && parentId !== null && (typeof parentId !== "string" || !parentId)) {
+        return "Parent must be a category ID";
+    }
+    return null;
+};
+
+// Get Category Tree (?includeArchived=true also lists archived categories)
+exports.getCategories = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const includeArchived = req.query.includeArchived === "true";
+
+        const categories = await Category.getTree(uid, { includeArchived });
+        res.status(200).json({ categories });
+    } catch (error) {
+        console.error("Error fetching categories:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Create Category (or a subcategory, with parentId)
+exports.createCategory = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { name, icon, color, parentId = null } = req.body;
+
+        const validationError = validateCategory({ name, icon, color, parentId });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await Category.create(uid, { name: name.trim(), icon: icon && icon.trim(), color, parentId });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({ message: "Category created successfully!", category: result.category });
+    } catch (error) {
+        console.error("Error creating category:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Update Category: rename (relabelling its expenses), restyle, archive or unarchive
+exports.updateCategory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}` });
+        }
+
+        const validationError = validateCategory(fields, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (fields.name !== undefined) fields.name = fields.name.trim();
+        if (fields.icon !== undefined) fields.icon = fields.icon.trim();
+
+        const owned = await Category.getOwned(id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await Category.update(owned, fields, uid);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(200).json({
+            message: "Category updated successfully",
+            category: result.category,
+            updatedExpenses: result.relabeled,
+        });
+    } catch (error) {
+        console.error("Error updating category:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Merge Category into another ({ targetId }); its expenses move across and it is deleted
+exports.mergeCategory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+        const { targetId } = req.body;
+
+        if (typeof targetId !== "string" || !targetId) {
+            return res.status(400).json({ error: "targetId is required" });
+        }
+
+        const owned = await Category.getOwned(id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await Category.merge(owned, targetId, uid);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(200).json({
+            message: `Merged ${owned.category.name} into ${result.category.name}`,
+            category: result.category,
+            updatedExpenses: result.relabeled,
+        });
+    } catch (error) {
+        console.error("Error merging categories:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
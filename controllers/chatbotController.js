@@ -1,94 +1,50 @@
 const db = require("../config/db");
 const admin = require("firebase-admin");
-const Groq = require("groq-sdk");
-
-// Initialize the official Groq SDK
-// This handles headers, retries, and errors much better than manual fetch
-const groq = new Groq({
-    apiKey: process.env.GROQ_API_KEY,
-});
-
-// The current stable 2026 flagship model for Groq's free tier
-const STABLE_MODEL = "llama-3.3-70b-versatile";
-
-// Predefined expense categories (Sync'd with your OCR controller)
-const EXPENSE_CATEGORIES = [
-    "Food & Dining", "Transportation", "Shopping", "Bills & Utilities", 
-    "Entertainment", "Travel", "Education", "Health & Fitness", 
-    "Personal Care", "Home & Rent", "Groceries", "Investments", 
-    "Insurance", "Gifts & Donations", "Other"
-];
-
-/**
- * Robust helper function to call Groq API using the SDK
- * @param {Array} messages - Chat history/prompts
- * @param {Boolean} jsonOnly - If true, forces JSON mode
- * @returns {Object} - The completion response
- */
-const callGroqApi = async (messages, jsonOnly = false) => {
-    try {
-        // Deep clone messages to avoid accidental mutation
-        const sessionMessages = JSON.parse(JSON.stringify(messages));
-
-        if (jsonOnly && sessionMessages[0].role === "system") {
-            sessionMessages[0].content += `\n\nIMPORTANT: You MUST respond ONLY with a valid JSON object. Do not include any text, greetings, or explanations before or after the JSON.`;
-        }
-
-        const completion = await groq.chat.completions.create({
-            messages: sessionMessages,
-            model: STABLE_MODEL,
-            temperature: jsonOnly ? 0.0 : 0.7, // Lower temp for logic tasks to increase accuracy
-            // This flag is crucial: it tells Groq to strictly enforce JSON output
-            response_format: jsonOnly ? { type: "json_object" } : undefined,
-        });
-
-        return completion;
-    } catch (error) {
-        console.error("Internal Groq SDK Error:", error.message);
-        throw error;
-    }
-};
-
-/**
- * Helper to safely extract JSON from AI text responses
- */
-const extractJsonFromText = (text) => {
-    try {
-        // Try standard parsing
-        return JSON.parse(text);
-    } catch (e) {
-        // Use regex to find the JSON block if the AI added extra text
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            try {
-                return JSON.parse(jsonMatch[0]);
-            } catch (innerError) {
-                throw new Error("Found JSON structure but it was malformed.");
-            }
-        }
-        throw new Error("No JSON found in response.");
-    }
-};
+const Budget = require("../models/Budget");
+const Analytics = require("../models/Analytics");
+const User = require("../models/User");
+const Expense = require("../models/Expense");
+const Conversation = require("../models/Conversation");
+const PendingAction = require("../models/PendingAction");
+const Category = require("../models/Category");
+const Goal = require("../models/Goal");
+const { isValidCurrency, buildLedgerFields } = require("../utils/currency");
+const { OTHER_CATEGORY } = require("../utils/categories");
+const { isValidDate } = require("../utils/validation");
+const { todayIn, getWeekStart, resolvePeriod, getPreviousPeriod } = require("../utils/period");
+const { parseExpenseFilters } = require("../utils/expenseFilters");
+const { PAYMENT_METHODS, PAYMENT_METHOD_LABELS, parseExpenseDetails } = require("../utils/expenseDetails");
+const { createFormatter, isEnglish, languageName } = require("../utils/format");
+const { openEventStream } = require("../utils/sse");
+const llm = require("../services/llm");
+const speech = require("../services/speech");
 
 /**
  * Step 1: Detect User Intent
+ * @param {String} message - Latest user message
+ * @param {Array} history - Earlier turns of the conversation, oldest first
+ * @param {Object} options - { signal } to cancel the model call
  */
-const detectIntent = async (message) => {
+const detectIntent = async (message, history = [], { signal } = {}) => {
     const prompt = `You are a financial assistant intent detector. Analyze the user message and choose one category:
 - "add_expense": If user mentions spending, buying, paying for something, or a transaction.
-- "query": If user asks about past spending, totals, or budget history.
+- "edit_expense": If user wants to change an expense they already logged, e.g. "change yesterday's Uber to 320".
+- "delete_expense": If user wants to remove an expense, e.g. "delete my last expense".
+- "query": If user asks about past spending, totals, budget history, or progress towards a savings goal.
 - "chitchat": For greetings, jokes, or general conversation.
 
-Respond ONLY with this JSON: {"intent": "add_expense|query|chitchat"}`;
+Use the earlier conversation to read follow-ups: "and last month?" after a spending question is a "query",
+and "make that 500 instead" right after logging an expense is "edit_expense".
+
+Respond ONLY with this JSON: {"intent": "add_expense|edit_expense|delete_expense|query|chitchat"}`;
 
     try {
-        const response = await callGroqApi([
+        const parsed = await llm.completeJson("chatbot.intent", [
             { role: "system", content: prompt },
+            ...history,
             { role: "user", content: message }
-        ], true);
+        ], { required: ["intent"], signal });
 
-        const content = response.choices[0].message.content;
-        const parsed = extractJsonFromText(content);
         return parsed.intent || "chitchat";
     } catch (error) {
         console.error("Intent Detection Error:", error.message);
@@ -97,47 +53,57 @@ Respond ONLY with this JSON: {"intent": "add_expense|query|chitchat"}`;
 };
 
 /**
- * Step 2: Map User Categories to System Categories
+ * Step 2: Map what the user said to one of their own categories
+ * @param {Array} categories - The user's active category names
+ * @param {Array} preferred - The user's default categories, favoured when the input fits one
  */
-const mapToPreDefinedCategory = async (userCategory) => {
-    const prompt = `Map the input to one of these predefined categories: ${EXPENSE_CATEGORIES.join(", ")}. 
-    Respond ONLY with the category name. If unsure, respond "Other".`;
+const mapToUserCategory = async (userCategory, categories, preferred = []) => {
+    const favoured = preferred.filter(category => categories.includes(category));
+    const preferredText = favoured.length && favoured.length < categories.length
+        ? ` The user mostly uses ${favoured.join(", ")}; prefer one of these when it fits.`
+        : "";
+    const prompt = `Map the input to one of these categories: ${categories.join(", ")}.${preferredText}
+    Respond ONLY with the category name. If unsure, respond "${OTHER_CATEGORY}".`;
 
     try {
-        const response = await callGroqApi([
+        const response = await llm.complete("chatbot.category", [
             { role: "system", content: prompt },
             { role: "user", content: userCategory }
         ]);
 
-        const mapped = response.choices[0].message.content.trim();
-        return EXPENSE_CATEGORIES.includes(mapped) ? mapped : "Other";
+        const mapped = response.text.trim();
+        return categories.includes(mapped) ? mapped : OTHER_CATEGORY;
     } catch (error) {
-        return "Other";
+        return OTHER_CATEGORY;
     }
 };
 
 /**
  * Step 3: Extract Data for "Add Expense" intent
+ * @param {String} message - Latest user message
+ * @param {Array} history - Earlier turns of the conversation, oldest first
+ * @param {Object} options - { signal, today (on the user's calendar), categories, preferredCategories }
  */
-const extractExpenseDetails = async (message) => {
-    const today = new Date().toISOString().split('T')[0];
+const extractExpenseDetails = async (message, history = [], { signal, today = todayIn(), categories, preferredCategories } = {}) => {
     const prompt = `Extract expense data into JSON.
-Fields: "amount" (number), "category" (string), "date" (YYYY-MM-DD), "title" (max 2 words).
+Fields: "amount" (number, the total paid), "category" (string), "date" (YYYY-MM-DD), "title" (max 2 words), "currency" (ISO 4217 code, or null if no currency is mentioned),
+"paymentMethod" (one of ${PAYMENT_METHODS.join(", ")}, or null if not mentioned; "GPay", "PhonePe" and "Paytm UPI" are upi, credit and debit cards are card),
+"tags" (array of short lowercase labels the user asks to tag it with, e.g. ["goa-trip", "reimbursable"]; [] if none),
+"notes" (anything else the user wants noted about it, or null).
 Assume today is ${today} if no date is mentioned.
+Use the earlier conversation to fill in anything the latest message refers back to.
 Respond ONLY with the JSON object.`;
 
     try {
-        const response = await callGroqApi([
+        const details = await llm.completeJson("chatbot.extract", [
             { role: "system", content: prompt },
+            ...history,
             { role: "user", content: message }
-        ], true);
-
-        const content = response.choices[0].message.content;
-        const details = extractJsonFromText(content);
+        ], { signal });
         
         // Enhance the category mapping
         if (details.amount && details.category) {
-            details.category = await mapToPreDefinedCategory(details.category);
+            details.category = await mapToUserCategory(details.category, categories, preferredCategories);
         }
         
         return details;
@@ -147,174 +113,699 @@ Respond ONLY with the JSON object.`;
 };
 
 /**
- * Date Processing Utilities
+ * Step 3b: Work out which existing expense an edit or delete is about, and what should change
+ * @param {String} message - Latest user message
+ * @param {Array} history - Earlier turns of the conversation, oldest first
+ * @param {Object} options - { signal, today, categories } where today is on the user's calendar
+ * @returns {Object} - { target: { current, title, category, date }, changes: { amount, title, category, date, currency } },
+ *   or { error } when the model's answer can't be used
  */
-const processDatePeriod = (period) => {
-    const today = new Date();
-    const result = { from: null, to: null };
-    result.to = today.toISOString().split('T')[0];
-    const normalized = period.toLowerCase().trim();
-
-    if (normalized === "today") {
-        result.from = result.to;
-    } else if (normalized === "yesterday") {
-        const yesterday = new Date(today);
-        yesterday.setDate(today.getDate() - 1);
-        result.from = yesterday.toISOString().split('T')[0];
-        result.to = result.from;
-    } else if (["this week", "week"].includes(normalized)) {
-        const firstDay = new Date(today);
-        const day = today.getDay() || 7;
-        firstDay.setDate(today.getDate() - day + 1);
-        result.from = firstDay.toISOString().split('T')[0];
-    } else if (["this month", "month"].includes(normalized)) {
-        result.from = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-01`;
-    } else if (["last month"].includes(normalized)) {
-        const lastMonth = new Date(today);
-        lastMonth.setMonth(today.getMonth() - 1);
-        result.from = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}-01`;
-        const lastDayOfLastMonth = new Date(today.getFullYear(), today.getMonth(), 0);
-        result.to = lastDayOfLastMonth.toISOString().split('T')[0];
-    } else {
-        // Default to last 30 days
-        const thirtyDaysAgo = new Date(today);
-        thirtyDaysAgo.setDate(today.getDate() - 30);
-        result.from = thirtyDaysAgo.toISOString().split('T')[0];
+const extractExpenseTarget = async (message, history = [], { signal, today = todayIn(), categories } = {}) => {
+    const prompt = `The user wants to change or delete one of their expenses. Extract JSON:
+{"target": {"current": boolean, "title": "string|null", "category": "string|null", "date": "YYYY-MM-DD|null"},
+ "changes": {"amount": "number|null", "title": "string|null", "category": "string|null", "date": "YYYY-MM-DD|null", "currency": "ISO 4217 code|null"}}
+"target" describes the existing expense. Set "current" to true only when they refer back to the expense just discussed in this conversation (e.g. "make that 500 instead", "delete it").
+For "my last expense" leave every target field null: the most recent expense is used.
+"changes" holds only the new values the user asks for; use null for the rest, and for every field when deleting.
+Today is ${today}; turn words like "yesterday" into dates.
+Categories: ${categories.join(", ")}`;
+
+    try {
+        return await llm.completeJson("chatbot.target", [
+            { role: "system", content: prompt },
+            ...history,
+            { role: "user", content: message }
+        ], { required: ["target"], signal });
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        return { error: "I couldn't understand which expense you mean. Could you tell me its name or date?" };
+    }
+};
+
+// Most recent expenses searched when the target has no date
+const RECENT_EXPENSE_SCAN = 100;
+
+const toMillis = (value) => (value && value.toMillis ? value.toMillis() : new Date(value || 0).getTime());
+
+/**
+ * Find the expense a chat message refers to, newest match first. The result goes
+ * through the same ownership check as DELETE /api/expense/:id.
+ * @param {String} userId - Firebase UID
+ * @param {Object} target - { current, title, category, date } from extractExpenseTarget
+ * @param {String} lastExpenseId - Expense last logged or edited in this conversation
+ * @param {Array} categories - The user's category names, archived ones included
+ * @returns {Object|null} - { expenseRef, doc } or null when nothing matches
+ */
+const findTargetExpense = async (userId, target = {}, lastExpenseId = null, categories = []) => {
+    const title = String(target.title || "").toLowerCase().trim();
+    const category = categories.includes(target.category) ? target.category : null;
+    const date = isValidDate(target.date) ? target.date : null;
+
+    // "Make that 500 instead" means the expense this conversation just dealt with
+    if (target.current && lastExpenseId) {
+        const owned = await Expense.getOwned(lastExpenseId, userId);
+        if (!owned.error) return owned;
     }
-    return result;
+
+    let query = db.collection("expenses").where("userId", "==", userId);
+    query = date ? query.where("date", "==", date) : query.orderBy("createdAt", "desc").limit(RECENT_EXPENSE_SCAN);
+    const snapshot = await query.get();
+
+    // Match on title words first; the category is only a fallback since the model may guess it
+    const words = title.split(/\s+/).filter(Boolean);
+    const match = snapshot.docs
+        .filter(doc => {
+            const data = doc.data();
+            if (words.length) return words.some(word => String(data.title || "").toLowerCase().includes(word));
+            if (category) return data.category === category;
+            return true;
+        })
+        .sort((a, b) => toMillis(b.data().createdAt) - toMillis(a.data().createdAt))[0];
+
+    if (!match) return null;
+    const owned = await Expense.getOwned(match.id, userId);
+    return owned.error ? null : owned;
+};
+
+// "₹320 for "Uber" in Transportation on 14 Mar 2026", in the currency the expense was paid in
+const describeExpense = (expense, format) => {
+    const amount = format.money(expense.originalAmount ?? expense.amount, expense.originalCurrency || expense.currency || format.currency);
+    const paidBy = expense.paymentMethod ? ` by ${PAYMENT_METHOD_LABELS[expense.paymentMethod]}` : "";
+    const tagged = expense.tags && expense.tags.length ? ` tagged ${expense.tags.join(", ")}` : "";
+    return `${amount} for "${expense.title}" in ${expense.category} on ${format.date(expense.date)}${paidBy}${tagged}`;
+};
+
+// Why an edit or delete can't be made to a share of a group expense, or null when it can.
+// The share mirrors the group's copy, so the group is where it changes; only its category is the user's.
+const groupShareRefusal = (expense, type, fields, format) => {
+    if (!expense.groupExpenseId) return null;
+    if (type === "delete") {
+        return `${describeExpense(expense, format)} is your share of a group expense, so it has to be deleted from the group.`;
+    }
+    if (type === "edit" && Object.keys(fields).some(field => field !== "category")) {
+        return `${describeExpense(expense, format)} is your share of a group expense. I can change its category, but the amount, title and date have to be changed in the group.`;
+    }
+    return null;
+};
+
+// Which intent each confirmed write came from
+const ACTION_INTENTS = { add: "add_expense", edit: "edit_expense", delete: "delete_expense" };
+
+/**
+ * Store a proposed write and build the reply asking the user to confirm it
+ * @param {Object} conversation - { ref } of the conversation it was proposed in
+ * @param {String} userId - Firebase UID
+ * @param {Object} action - { type, expenseId?, fields? }
+ * @param {Object} proposal - What to show the user: { message, expense, changes?, warnings }
+ */
+const proposeAction = async (conversation, userId, action, { message, ...proposal }) => {
+    const token = await PendingAction.create(userId, conversation.ref.id, action);
+    const warningText = proposal.warnings.length ? ` ⚠️ ${proposal.warnings.join(" ")}` : "";
+
+    return {
+        message: `${message}${warningText} Reply with a confirmation to go ahead.`,
+        intent: ACTION_INTENTS[action.type],
+        confirmation: { token, action: action.type, ...proposal },
+    };
 };
 
 /**
- * Step 4: Handle "Query" intent
+ * Answer "how much budget do I have left?" from this month's budget status
+ * @param {Array} categories - The user's active category names
  */
-const queryExpenses = async (message, userId) => {
+const queryBudget = async (category, userId, format, categories) => {
+    const status = await Budget.getStatus(userId);
+    if (status.categories.length === 0) {
+        return "You haven't set any budgets yet.";
+    }
+
+    if (!category) {
+        const overText = status.overBudgetCategories.length
+            ? ` You're over budget on ${status.overBudgetCategories.join(", ")}.`
+            : "";
+        return `You have ${format.money(status.totalRemaining)} left of your ${format.money(status.totalLimit)} budget this month.${overText}`;
+    }
+
+    const categoryFilter = await mapToUserCategory(category, categories);
+    const entry = status.categories.find(c => c.category === categoryFilter);
+    if (!entry) {
+        return `You don't have a budget set for ${categoryFilter}.`;
+    }
+
+    if (entry.isOverBudget) {
+        return `You're ${format.money(Math.abs(entry.remaining))} over your ${format.money(entry.limit)} ${categoryFilter} budget this month.`;
+    }
+    return `You have ${format.money(entry.remaining)} left of your ${format.money(entry.limit)} ${categoryFilter} budget this month (${format.percent(entry.percentUsed)} used).`;
+};
+
+// One goal's progress in a sentence, e.g. "You've saved ₹40,000 of your ₹1,00,000 "Emergency fund" goal (40%)."
+const describeGoal = (goal, format) => {
+    const { progress } = goal;
+    const money = (value) => format.money(value, progress.baseCurrency);
+    const saved = `You've saved ${money(progress.saved)} of your ${money(progress.targetAmount)} "${goal.name}" goal (${format.percent(progress.percentComplete)})`;
+
+    if (progress.status === "completed") return `${saved}. You've reached it! 🎉`;
+    if (progress.status === "overdue") {
+        return `${saved}. Its deadline of ${format.date(goal.deadline)} has passed with ${money(progress.remaining)} still to go.`;
+    }
+    const needed = `To reach it by ${format.date(goal.deadline)} you need to put aside ${money(progress.monthlyNeeded)} a month`;
+    if (!progress.projectedCompletionDate) return `${saved}. ${needed}.`;
+    return `${saved}. ${needed}; at your current pace you'll get there by ${format.date(progress.projectedCompletionDate)}${progress.status === "behind" ? ", after the deadline" : ""}.`;
+};
+
+/**
+ * Answer questions about savings goals, e.g. "how close am I to my goal?"
+ * @param {String|null} name - The goal the user named, if any
+ * @returns {String}
+ */
+const queryGoal = async (name, userId, format) => {
+    const goals = await Goal.list(userId);
+    if (goals.length === 0) {
+        return "You haven't set any savings goals yet.";
+    }
+
+    const wanted = String(name || "").toLowerCase().trim();
+    const match = wanted
+        ? goals.find(goal => goal.name.toLowerCase().includes(wanted) || wanted.includes(goal.name.toLowerCase()) || wanted.includes(goal.tag))
+        : null;
+    if (match || goals.length === 1) {
+        return describeGoal(match || goals[0], format);
+    }
+
+    const list = goals
+        .map(goal => `${goal.name}: ${format.money(goal.progress.saved, goal.progress.baseCurrency)} of ${format.money(goal.progress.targetAmount, goal.progress.baseCurrency)} (${format.percent(goal.progress.percentComplete)})`)
+        .join(", ");
+    return `${wanted ? `I couldn't find a goal called "${name}". ` : ""}Your goals: ${list}.`;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Most rows a top-N answer lists
+const MAX_TOP_N = 20;
+
+// How a period reads in a sentence: "last week", "in March 2026", "from 5 Jan 2026 to 10 Feb 2026"
+const periodPhrase = (period, format) => {
+    if (["today", "yesterday", "this week", "last week"].includes(period.label)) return period.label;
+    if (period.kind === "day") return `on ${format.date(period.from)}`;
+    if (period.kind === "month") return `in ${format.month(period.from)}`;
+    if (period.label.includes(" to ")) return `from ${format.date(period.from)} to ${format.date(period.to)}`;
+    return `in ${period.label}`;
+};
+
+// The same aggregation GET /api/analytics runs, for one resolved period
+const getPeriodReport = (userId, period, category, categories) => Analytics.getReport(userId, {
+    timeframe: "custom",
+    customStart: period.from,
+    customEnd: period.to,
+    filters: category ? parseExpenseFilters({ category }, categories).filters : null,
+});
+
+// Group the report's daily trend into day, week (from the user's first day of the week)
+// or month buckets, up to today
+const bucketTrend = (spendingTrend, per, { today = todayIn(), weekStartDay } = {}) => {
+    const buckets = new Map();
+    spendingTrend
+        .filter(({ date }) => date <= today)
+        .forEach(({ date, amount }) => {
+            let key = date;
+            if (per === "month") key = date.slice(0, 7);
+            if (per === "week") key = getWeekStart(date, weekStartDay);
+            buckets.set(key, (buckets.get(key) || 0) + amount);
+        });
+    return [...buckets.entries()].map(([label, amount]) => ({ label, amount: round2(amount) }));
+};
+
+// Chart.js-style payload the client can render directly
+const chartOf = (type, labels, datasets) => ({ type, labels, datasets });
+
+/**
+ * Step 4: Handle "Query" intent. Answers come from Analytics.getReport, the same
+ * aggregation behind GET /api/analytics, and carry chartable data alongside the reply.
+ * @param {Array} history - Earlier turns, so "and last month?" keeps the category asked about before
+ * @param {Object} format - Formatter from createFormatter for the user's currency and locale
+ * @param {Object} options - { signal, timezone, weekStartDay, categories } where the calendar settings come
+ *   from the user's preferences and categories are the user's active category names
+ * @returns {Object} - { message, data } where data is null for budget answers and errors
+ */
+const queryExpenses = async (message, userId, history = [], format = createFormatter(), { signal, timezone, weekStartDay, categories } = {}) => {
     try {
-        const prompt = `Extract query parameters into JSON: 
-        {"category": "string|null", "time_period": "today|yesterday|this week|this month|last month|month name"}.
-        Categories: ${EXPENSE_CATEGORIES.join(", ")}`;
+        const calendar = { timezone, weekStartDay };
+        const today = todayIn(timezone);
+        const prompt = `Turn the user's question about their spending into JSON:
+{"type": "total|compare|top|average|breakdown|budget|goal",
+ "category": "string|null",
+ "goal": "string|null",
+ "period": {"preset": "string|null", "month": "number|null", "year": "number|null", "from": "YYYY-MM-DD|null", "to": "YYYY-MM-DD|null"},
+ "comparePeriod": "same shape as period, or null",
+ "topBy": "expense|category|title",
+ "limit": "number|null",
+ "averagePer": "day|week|month"}
+- "total": how much was spent. "breakdown": how spending splits across categories.
+- "compare": two periods, e.g. "did I spend more on food this month than last?". "period" is the later one and "comparePeriod" the earlier one (null for the period just before).
+- "top": the biggest expenses ("expense"), categories ("category") or shops and merchants ("title"); "limit" is N (default 5).
+- "average": average spending per day, week or month.
+- "budget": the user asks about their budget, limit or how much they have left to spend.
+- "goal": the user asks about a savings goal, e.g. "how close am I to my goal?"; "goal" is the goal's name if they give one.
+For periods use "preset" for today, yesterday, this week, last week, this month, last month, this year, last year or "last N days";
+"month" (1-12) plus "year" only if the user says the year; "year" alone for a whole year; "from"/"to" for explicit dates.
+Leave every period field null if no period is mentioned. Today is ${today}.
+For a follow-up, keep whatever the earlier question asked about unless the latest message changes it.
+Categories: ${categories.join(", ")}`;
 
-        const response = await callGroqApi([
+        const spec = await llm.completeJson("chatbot.query", [
             { role: "system", content: prompt },
+            ...history,
             { role: "user", content: message }
-        ], true);
-
-        const { category, time_period } = extractJsonFromText(response.choices[0].message.content);
-        const { from, to } = processDatePeriod(time_period || "this month");
-
-        let query = db.collection("expenses")
-            .where("userId", "==", userId)
-            .where("date", ">=", from)
-            .where("date", "<=", to);
-            
-        let categoryFilter = null;
-        if (category) {
-            categoryFilter = await mapToPreDefinedCategory(category);
-            query = query.where("category", "==", categoryFilter);
+        ], { required: ["type"], signal });
+
+        if (spec.type === "budget") {
+            return { message: await queryBudget(spec.category, userId, format, categories), data: null };
+        }
+        if (spec.type === "goal") {
+            return { message: await queryGoal(spec.goal, userId, format), data: null };
         }
 
-        const snapshot = await query.get();
-        if (snapshot.empty) {
-            return `I couldn't find any expenses ${categoryFilter ? `for ${categoryFilter}` : ""} from ${from} to ${to}.`;
+        const period = resolvePeriod(spec.period || {}, new Date(), calendar);
+        if (!period) {
+            return {
+                message: `I'm not sure which dates you mean. Try something like "last month", "March 2025" or "from 2025-01-01 to 2025-03-31".`,
+                data: null,
+            };
         }
 
-        let total = 0;
-        snapshot.forEach(doc => total += doc.data().amount);
-        
-        return `You spent ₹${total.toLocaleString()} ${categoryFilter ? `on ${categoryFilter}` : "in total"} for ${time_period || "this period"}.`;
+        const category = spec.category ? await mapToUserCategory(spec.category, categories) : null;
+        const { report, expenses } = await getPeriodReport(userId, period, category, categories);
+        const subject = category ? `on ${category}` : "in total";
+        const base = { type: spec.type, baseCurrency: report.baseCurrency, locale: format.locale, category, period };
+        const money = (value) => format.money(value, report.baseCurrency);
+        const when = (value) => periodPhrase(value, format);
+
+        if (spec.type === "compare") {
+            const previous = spec.comparePeriod ? resolvePeriod(spec.comparePeriod, new Date(), calendar) : getPreviousPeriod(period);
+            if (!previous) {
+                return { message: "I'm not sure which period you want to compare against.", data: null };
+            }
+            const { report: previousReport } = await getPeriodReport(userId, previous, category, categories);
+
+            const current = round2(report.totalSpent);
+            const before = round2(previousReport.totalSpent);
+            const difference = round2(current - before);
+            const percentChange = before > 0 ? round2((difference / before) * 100) : null;
+            const comparison = difference === 0
+                ? "the same as"
+                : `${money(Math.abs(difference))}${percentChange !== null ? ` (${format.percent(Math.abs(percentChange))})` : ""} ${difference > 0 ? "more than" : "less than"}`;
+
+            // Without a category, chart every category side by side
+            const names = [...new Set([
+                ...report.categoryBreakdown.map(c => c.name),
+                ...previousReport.categoryBreakdown.map(c => c.name),
+            ])];
+            const valueIn = (breakdown, name) => round2((breakdown.find(c => c.name === name) || { value: 0 }).value);
+
+            return {
+                message: `You spent ${money(current)} ${subject} ${when(period)}, ${comparison} ${when(previous)} (${money(before)}).`,
+                data: {
+                    ...base,
+                    comparePeriod: previous,
+                    totals: { current, previous: before },
+                    difference,
+                    percentChange,
+                    chart: category
+                        ? chartOf("bar", [period.label, previous.label], [{ label: category, data: [current, before] }])
+                        : chartOf("bar", names, [
+                            { label: period.label, data: names.map(name => valueIn(report.categoryBreakdown, name)) },
+                            { label: previous.label, data: names.map(name => valueIn(previousReport.categoryBreakdown, name)) },
+                        ]),
+                },
+            };
+        }
+
+        if (report.totalSpent === 0) {
+            return {
+                message: `I couldn't find any expenses${category ? ` for ${category}` : ""} ${when(period)}.`,
+                data: { ...base, total: 0 },
+            };
+        }
+
+        if (spec.type === "top") {
+            const limit = Math.min(MAX_TOP_N, Math.max(1, parseInt(spec.limit, 10) || 5));
+            let rows;
+            let noun;
+            if (spec.topBy === "category") {
+                noun = "categories";
+                rows = report.categoryBreakdown.map(({ name, value }) => ({ label: name, amount: round2(value) }));
+            } else if (spec.topBy === "title") {
+                // Expenses don't keep a merchant, so places are grouped by title
+                noun = "places";
+                const byTitle = new Map();
+                expenses.forEach(expense => {
+                    const key = String(expense.title || "Untitled").trim();
+                    const entry = byTitle.get(key.toLowerCase()) || { label: key, amount: 0, count: 0 };
+                    entry.amount += expense.amount;
+                    entry.count += 1;
+                    byTitle.set(key.toLowerCase(), entry);
+                });
+                rows = [...byTitle.values()]
+                    .map(entry => ({ ...entry, amount: round2(entry.amount) }))
+                    .sort((a, b) => b.amount - a.amount);
+            } else {
+                noun = "expenses";
+                rows = [...expenses]
+                    .sort((a, b) => b.amount - a.amount)
+                    .map(expense => ({ label: expense.title, amount: round2(expense.amount), category: expense.category, date: expense.date }));
+            }
+            rows = rows.slice(0, limit);
+
+            const list = rows.map((row, index) => `${index + 1}. ${row.label} (${money(row.amount)})`).join(", ");
+            return {
+                message: `Your top ${rows.length} ${noun}${category ? ` in ${category}` : ""} ${when(period)}: ${list}.`,
+                data: { ...base, topBy: spec.topBy || "expense", rows, chart: chartOf("bar", rows.map(r => r.label), [{ label: "Spent", data: rows.map(r => r.amount) }]) },
+            };
+        }
+
+        if (spec.type === "average") {
+            const per = ["day", "week", "month"].includes(spec.averagePer) ? spec.averagePer : "day";
+            const buckets = bucketTrend(report.spendingTrend, per, { today, weekStartDay });
+            const average = buckets.length ? round2(buckets.reduce((sum, b) => sum + b.amount, 0) / buckets.length) : 0;
+            return {
+                message: `You spent an average of ${money(average)} per ${per} ${subject} ${when(period)}.`,
+                data: { ...base, per, average, buckets, chart: chartOf("bar", buckets.map(b => b.label), [{ label: `Spent per ${per}`, data: buckets.map(b => b.amount) }]) },
+            };
+        }
+
+        if (spec.type === "breakdown") {
+            const rows = report.categoryBreakdown.map(({ name, value }) => ({
+                label: name,
+                amount: round2(value),
+                share: round2((value / report.totalSpent) * 100),
+            }));
+            const leaders = rows.slice(0, 3).map(row => `${row.label} ${money(row.amount)} (${format.percent(row.share)})`).join(", ");
+            return {
+                message: `You spent ${money(report.totalSpent)} ${when(period)}. Biggest categories: ${leaders}.`,
+                data: { ...base, rows, chart: chartOf("pie", rows.map(r => r.label), [{ label: "Spent", data: rows.map(r => r.amount) }]) },
+            };
+        }
+
+        // "total", and anything the model labels unexpectedly. Long periods chart by month.
+        const trend = report.spendingTrend.length > 62
+            ? bucketTrend(report.spendingTrend, "month", { today })
+            : report.spendingTrend.map(({ date, amount }) => ({ label: date, amount: round2(amount) }));
+        return {
+            message: `You spent ${money(report.totalSpent)} ${subject} ${when(period)}.`,
+            data: {
+                ...base,
+                type: "total",
+                total: round2(report.totalSpent),
+                chart: chartOf("line", trend.map(t => t.label), [{ label: "Spent", data: trend.map(t => t.amount) }]),
+            },
+        };
 
     } catch (error) {
-        return "I'm sorry, I'm having trouble accessing your expense history right now.";
+        console.error("Query Error:", error.message);
+        return { message: "I'm sorry, I'm having trouble accessing your expense history right now.", data: null };
     }
 };
 
 /**
  * Step 5: Handle "Chitchat" intent
+ * @param {Object} options - { signal, onToken } to cancel or stream the reply
  */
-const generateChitchatResponse = async (message) => {
+const generateChitchatResponse = async (message, language, { signal, onToken } = {}) => {
+    const languageText = isEnglish(language) ? "" : ` Reply in ${languageName(language)}.`;
     try {
-        const response = await callGroqApi([
+        const response = await llm.complete("chatbot.chitchat", [
             {
                 role: "system",
-                content: "You are WalletWise, a friendly and polite financial assistant. Keep your answers helpful and under 2 sentences."
+                content: `You are WalletWise, a friendly and polite financial assistant. Keep your answers helpful and under 2 sentences.${languageText}`
             },
             { role: "user", content: message }
-        ]);
-        return response.choices[0].message.content;
+        ], { signal, onToken });
+        return response.text;
     } catch (error) {
-        return "I'm here to help you manage your money! What can I do for you today?";
+        if (signal && signal.aborted) throw error;
+        const fallback = "I'm here to help you manage your money! What can I do for you today?";
+        if (onToken) onToken(fallback);
+        return fallback;
     }
 };
 
 /**
- * Month Name Shortcut Logic
+ * Month Name Shortcut Logic: a bare month ("March", "march 2025?") is a spending total.
+ * Anything longer goes through intent detection, so "March vs April" still compares.
  */
-const handleMonthNameResponse = async (message, userId) => {
-    const monthNames = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
-    const normalized = message.toLowerCase();
-    const matched = monthNames.find(m => normalized.includes(m));
-    if (matched) return await queryExpenses(`Expenses for ${matched}`, userId);
+const MONTH_ONLY = /^\s*(january|february|march|april|may|june|july|august|september|october|november|december)(\s+\d{4})?\s*[?.!]*\s*$/i;
+
+const handleMonthNameResponse = async (message, userId, format, options) => {
+    const matched = message.match(MONTH_ONLY);
+    if (matched) return await queryExpenses(`How much did I spend in ${matched[1]}${matched[2] || ""}?`, userId, [], format, options);
     return null;
 };
 
-// Simple context cache to track conversational flow
-const conversationCache = new Map();
-
 /**
- * MAIN CONTROLLER EXPORT
+ * Answer one message in the context of a conversation. Adds, edits and deletes are
+ * only proposed here; they're written once the user confirms (see confirmAction).
+ * @param {String} message - Latest user message
+ * @param {String} userId - Firebase UID
+ * @param {Array} history - Earlier turns, oldest first
+ * @param {Object} conversation - { ref, data } of the conversation
+ * @param {Object} preferences - { currency, locale, language } from User.getPreferences
+ * @param {Object} options - { signal, onEvent(event, data), onToken(text) } for streamed replies
+ * @returns {Object} - { message, intent, data?, confirmation? } or { error, intent }
  */
-exports.interactWithChatbot = async (req, res) => {
-    const { message } = req.body;
-    const userId = req.user.uid;
+const handleMessage = async (message, userId, history, conversation, preferences, options = {}) => {
+    const { signal, onEvent = () => {}, onToken } = options;
+    const format = createFormatter(preferences);
+    const today = todayIn(preferences.timezone);
+    const categories = await Category.getNames(userId);
+    const queryOptions = { signal, timezone: preferences.timezone, weekStartDay: preferences.weekStartDay, categories };
 
-    if (!message) return res.status(400).json({ error: "Message is required" });
+    // Priority 1: Check if it's a month-name shortcut
+    if (MONTH_ONLY.test(message)) {
+        onEvent("intent_detected", { intent: "query" });
+        onEvent("querying_expenses", {});
+        return { ...(await handleMonthNameResponse(message, userId, format, queryOptions)), intent: "query" };
+    }
 
-    try {
-        // Priority 1: Check if it's a month-name shortcut
-        const monthRes = await handleMonthNameResponse(message, userId);
-        if (monthRes) return res.json({ success: true, message: monthRes });
+    // Priority 2: Detect Intent and Execute
+    const intent = await detectIntent(message, history, { signal });
+    if (signal) signal.throwIfAborted();
+    onEvent("intent_detected", { intent });
 
-        // Priority 2: Initialize or Refresh Context
-        if (!conversationCache.has(userId)) {
-            conversationCache.set(userId, { lastIntent: null, timestamp: Date.now() });
+    // ADD EXPENSE
+    if (intent === "add_expense") {
+        const details = await extractExpenseDetails(message, history, {
+            signal,
+            today,
+            categories,
+            preferredCategories: preferences.defaultCategories,
+        });
+        if (details.error) return { error: details.error, intent };
+
+        const amount = parseFloat(details.amount);
+        if (!(amount > 0)) {
+            return { message: "I couldn't tell how much you spent. Could you tell me the amount?", intent };
         }
-        const context = conversationCache.get(userId);
-
-        // Priority 3: Detect Intent and Execute
-        const intent = await detectIntent(message);
-        context.lastIntent = intent;
-        context.timestamp = Date.now();
-
-        // ADD EXPENSE
-        if (intent === "add_expense") {
-            const details = await extractExpenseDetails(message);
-            if (details.error) return res.status(400).json({ error: details.error });
-
-            const { amount, category, date, title } = details;
-            
-            await db.collection("expenses").add({
-                userId,
-                amount: parseFloat(amount),
-                category,
-                date,
-                title,
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            });
 
-            return res.json({ 
-                success: true, 
-                message: `✅ Logged ₹${amount} for "${title}" in ${category}.` 
+        const currency = String(details.currency || "").toUpperCase();
+        const fields = {
+            amount,
+            currency: isValidCurrency(currency) ? currency : null,
+            category: categories.includes(details.category) ? details.category : OTHER_CATEGORY,
+            date: isValidDate(details.date) ? details.date : today,
+            title: String(details.title || "").trim() || "Expense",
+            // Whatever the model made of tags, notes and payment method is dropped if it doesn't validate
+            ...(parseExpenseDetails({
+                tags: Array.isArray(details.tags) ? details.tags : [],
+                notes: typeof details.notes === "string" ? details.notes : null,
+                paymentMethod: PAYMENT_METHODS.includes(details.paymentMethod) ? details.paymentMethod : null,
+            }).fields || parseExpenseDetails({}).fields),
+        };
+
+        // Things worth a second look before the user confirms
+        const warnings = [];
+        if ((message.match(/\d+(?:\.\d+)?/g) || []).length > 1) {
+            warnings.push("Your message has more than one number, so please check the amount.");
+        }
+        if (fields.date > today) warnings.push("That date is in the future.");
+
+        return proposeAction(conversation, userId, { type: "add", fields }, {
+            message: `Add ${describeExpense(fields, format)}?`,
+            expense: fields,
+            warnings,
+        });
+    }
+
+    // EDIT OR DELETE AN EXISTING EXPENSE
+    if (intent === "edit_expense" || intent === "delete_expense") {
+        const extracted = await extractExpenseTarget(message, history, { signal, today, categories });
+        if (extracted.error) return { error: extracted.error, intent };
+
+        const { target, changes = {} } = extracted;
+        const owned = await findTargetExpense(userId, target, conversation.data.lastExpenseId, categories);
+        if (!owned) {
+            return { message: "I couldn't find that expense. Could you tell me its name or date?", intent };
+        }
+        const expense = { id: owned.doc.id, ...owned.doc.data() };
+
+        if (intent === "delete_expense") {
+            const refusal = groupShareRefusal(expense, "delete", {}, format);
+            if (refusal) {
+                return { message: refusal, intent };
+            }
+            return proposeAction(conversation, userId, { type: "delete", expenseId: expense.id }, {
+                message: `Delete ${describeExpense(expense, format)}?`,
+                expense,
+                warnings: [],
             });
         }
 
-        // QUERY EXPENSES
-        if (intent === "query") {
-            const queryResult = await queryExpenses(message, userId);
-            return res.json({ success: true, message: queryResult });
+        const fields = {};
+        if (parseFloat(changes.amount) > 0) fields.amount = parseFloat(changes.amount);
+        if (isValidCurrency(String(changes.currency || "").toUpperCase())) fields.currency = changes.currency.toUpperCase();
+        if (categories.includes(changes.category)) fields.category = changes.category;
+        if (changes.title && String(changes.title).trim()) fields.title = String(changes.title).trim();
+        if (isValidDate(changes.date)) fields.date = changes.date;
+
+        if (Object.keys(fields).length === 0) {
+            return { message: `What would you like to change about ${describeExpense(expense, format)}?`, intent };
+        }
+        const refusal = groupShareRefusal(expense, "edit", fields, format);
+        if (refusal) {
+            return { message: refusal, intent };
         }
 
-        // CHITCHAT / DEFAULT
-        const reply = await generateChitchatResponse(message);
-        return res.json({ success: true, message: reply });
+        return proposeAction(conversation, userId, { type: "edit", expenseId: expense.id, fields }, {
+            message: `Change ${describeExpense(expense, format)} to ${describeExpense({
+                ...expense,
+                ...fields,
+                originalAmount: fields.amount ?? expense.originalAmount,
+                originalCurrency: fields.currency || expense.originalCurrency,
+            }, format)}?`,
+            expense,
+            changes: fields,
+            warnings: [],
+        });
+    }
+
+    // QUERY EXPENSES
+    if (intent === "query") {
+        onEvent("querying_expenses", {});
+        return { ...(await queryExpenses(message, userId, history, format, queryOptions)), intent };
+    }
+
+    // CHITCHAT / DEFAULT
+    return { message: await generateChitchatResponse(message, preferences.language, { signal, onToken }), intent: "chitchat" };
+};
+
+/**
+ * Translate a reply into the user's preferred language. Amounts and dates are already
+ * formatted for their locale and are left alone. Falls back to the English text.
+ * @param {String} text - Reply in English
+ * @param {String} language - BCP 47 tag from User.getPreferences, or null for English
+ * @param {Object} options - { signal, onToken }; the reply reaches onToken whether or not it's translated
+ */
+const localizeReply = async (text, language, { signal, onToken } = {}) => {
+    if (!text || isEnglish(language)) {
+        if (text && onToken) onToken(text);
+        return text;
+    }
+
+    const prompt = `Translate the user's text into ${languageName(language)}.
+Keep amounts, currency symbols, numbers, dates, emoji and anything in quotes exactly as written.
+Respond ONLY with the translation.`;
+
+    try {
+        const response = await llm.complete("chatbot.translate", [
+            { role: "system", content: prompt },
+            { role: "user", content: text }
+        ], { signal, onToken });
+        return response.text.trim() || text;
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        console.error("Translation Error:", error.message);
+        if (onToken) onToken(text);
+        return text;
+    }
+};
+
+/**
+ * Answer one message and record the turn. Shared by the JSON and streaming endpoints.
+ * @param {String} userId - Firebase UID
+ * @param {String} message - Latest user message
+ * @param {String} conversationId - Conversation to continue, or null to start one
+ * @param {Object} options - { signal, onEvent, onToken } as for handleMessage
+ * @returns {Object} - { status, body } to send, or null when the signal aborted first
+ */
+const runInteraction = async (userId, message, conversationId, options = {}) => {
+    const { signal, onEvent = () => {}, onToken } = options;
+
+    // A new conversation is only stored once the model has answered
+    const conversation = conversationId
+        ? await Conversation.getOwned(conversationId, userId)
+        : Conversation.draft(userId, message);
+    if (conversation.error) {
+        return { status: conversation.status, body: { error: conversation.error } };
+    }
+    onEvent("conversation", { conversationId: conversation.ref.id });
+
+    const history = conversationId ? await Conversation.getHistory(conversation.ref) : [];
+    const preferences = await User.getPreferences(userId);
+    const result = await handleMessage(message, userId, history, conversation, preferences, { signal, onEvent, onToken });
+
+    // Chitchat is already written (and streamed) in the user's language
+    if (result.error) result.error = await localizeReply(result.error, preferences.language, { signal });
+    else if (result.intent !== "chitchat") result.message = await localizeReply(result.message, preferences.language, { signal, onToken });
+
+    // The user never saw a reply cut off by a disconnect, so it isn't recorded
+    if (signal && signal.aborted) return null;
+
+    if (!conversationId) await Conversation.save(conversation);
+    await Conversation.appendTurn(conversation.ref, message, result.error || result.message, {
+        intent: result.intent,
+    });
+
+    if (result.error) {
+        return { status: 400, body: { error: result.error, conversationId: conversation.ref.id } };
+    }
+    if (result.confirmation) {
+        const { token, ...proposal } = result.confirmation;
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: result.message,
+                conversationId: conversation.ref.id,
+                requiresConfirmation: true,
+                confirmationToken: token,
+                proposal,
+            },
+        };
+    }
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: result.message,
+            conversationId: conversation.ref.id,
+            ...(result.data ? { data: result.data } : {}),
+        },
+    };
+};
+
+/**
+ * MAIN CONTROLLER EXPORT
+ * Send `conversationId` to continue a conversation; without one a new conversation
+ * is started. Either way the reply includes the conversationId to send next time.
+ */
+exports.interactWithChatbot = async (req, res) => {
+    const { message } = req.body;
+    const conversationId = req.params.id || req.body.conversationId;
+
+    if (!message) return res.status(400).json({ error: "Message is required" });
+
+    try {
+        const { status, body } = await runInteraction(req.user.uid, message, conversationId);
+        return res.status(status).json(body);
 
     } catch (err) {
         console.error("Critical Chatbot Error:", err);
@@ -324,3 +815,263 @@ exports.interactWithChatbot = async (req, res) => {
         });
     }
 };
+
+/**
+ * Streaming variant of interactWithChatbot over Server-Sent Events. Takes the same body
+ * and sends, in order:
+ *   conversation      { conversationId }
+ *   intent_detected   { intent }
+ *   querying_expenses {}                   (spending questions only)
+ *   token             { text }             pieces of the reply as they're generated
+ *   done              the body interactWithChatbot would return
+ * or `error` { error } instead of done. A client that disconnects cancels the model call.
+ */
+exports.streamChatbot = async (req, res) => {
+    const { message } = req.body;
+    const conversationId = req.params.id || req.body.conversationId;
+
+    if (!message) return res.status(400).json({ error: "Message is required" });
+
+    const stream = openEventStream(res);
+    try {
+        const outcome = await runInteraction(req.user.uid, message, conversationId, {
+            signal: stream.signal,
+            onEvent: stream.send,
+            onToken: (text) => stream.send("token", { text }),
+        });
+
+        if (outcome) stream.send(outcome.status === 200 ? "done" : "error", outcome.body);
+    } catch (err) {
+        if (!stream.signal.aborted) {
+            console.error("Critical Chatbot Error:", err);
+            stream.send("error", { error: "Something went wrong." });
+        }
+    }
+    stream.end();
+};
+
+/**
+ * Voice input: the recording sent under "audio" is transcribed and the transcript is
+ * answered exactly like a typed message to interactWithChatbot (send `conversationId`
+ * to continue a conversation). The reply adds the `transcript`.
+ */
+exports.interactByVoice = async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: "No audio file uploaded" });
+    const conversationId = req.params.id || req.body.conversationId;
+
+    try {
+        const { language } = await User.getPreferences(req.user.uid);
+        const transcription = await speech.transcribe(req.file, { language });
+        if (!transcription.text) {
+            return res.status(422).json({ error: "I couldn't make out anything in that recording. Please try again." });
+        }
+
+        const { status, body } = await runInteraction(req.user.uid, transcription.text, conversationId);
+        return res.status(status).json({ transcript: transcription.text, ...body });
+
+    } catch (err) {
+        console.error("Voice Chatbot Error:", err);
+        return res.status(500).json({ error: "Something went wrong while processing your recording." });
+    }
+};
+
+// List the user's active conversations
+exports.getConversations = async (req, res) => {
+    try {
+        const conversations = await Conversation.list(req.user.uid);
+        res.status(200).json({ conversations });
+    } catch (error) {
+        console.error("Error fetching conversations:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get one conversation with all of its messages
+exports.getConversation = async (req, res) => {
+    try {
+        const conversation = await Conversation.getOwned(req.params.id, req.user.uid);
+        if (conversation.error) {
+            return res.status(conversation.status).json({ error: conversation.error });
+        }
+
+        const messages = await Conversation.getMessages(conversation.ref);
+        const { userId, ...fields } = conversation.data;
+        res.status(200).json({ conversation: { id: conversation.ref.id, ...fields }, messages });
+    } catch (error) {
+        console.error("Error fetching conversation:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Delete a conversation and its messages
+exports.deleteConversation = async (req, res) => {
+    try {
+        const conversation = await Conversation.getOwned(req.params.id, req.user.uid, { allowExpired: true });
+        if (conversation.error) {
+            return res.status(conversation.status).json({ error: conversation.error });
+        }
+
+        await Conversation.remove(conversation.ref);
+        res.status(200).json({ message: "Conversation deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting conversation:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Event sent once a confirmed write has been made
+const ACTION_EVENTS = { add: "expense_logged", edit: "expense_updated", delete: "expense_deleted" };
+
+// Fetch the expense a proposal edits or deletes; a stored ID that can't be looked up is a 404
+const findActionTarget = async (expenseId, userId) => {
+    try {
+        return await Expense.getOwned(expenseId, userId);
+    } catch (error) {
+        console.error("Error looking up chatbot action target:", error.message);
+        return { status: 404, error: "Expense not found" };
+    }
+};
+
+/**
+ * Make a write the chatbot proposed and record it in its conversation. Shared by the
+ * JSON and streaming endpoints.
+ * @param {String} userId - Firebase UID
+ * @param {String} token - confirmationToken from the proposal
+ * @param {Object} options - { onEvent, onToken } for a streamed reply
+ * @returns {Object} - { status, body } to send
+ */
+const applyPendingAction = async (userId, token, { onEvent = () => {}, onToken } = {}) => {
+    const pending = await PendingAction.getOwned(token, userId);
+    if (pending.error) {
+        return { status: pending.status, body: { error: pending.error } };
+    }
+    const { type, expenseId, fields, conversationId } = pending.data;
+    const preferences = await User.getPreferences(userId);
+    const format = createFormatter(preferences);
+
+    // The expense may have gone, changed hands or become a group share since the proposal
+    let owned = null;
+    if (type !== "add") {
+        owned = await findActionTarget(expenseId, userId);
+        if (owned.error) {
+            return { status: owned.status, body: { error: owned.error } };
+        }
+        const refusal = groupShareRefusal(owned.doc.data(), type, fields, format);
+        if (refusal) {
+            return { status: 409, body: { error: refusal } };
+        }
+    }
+    // Looked up before the claim, so a missing exchange rate leaves the proposal to retry
+    const ledger = type === "add" ? await buildLedgerFields({ ...fields, baseCurrency: preferences.currency }) : null;
+
+    // Claim the token in a transaction: of two confirms racing for it, only one writes
+    const claim = await PendingAction.claim(token, userId);
+    if (claim.error) {
+        return { status: claim.status, body: { error: claim.error } };
+    }
+
+    let reply;
+    let affectedId = expenseId || null;
+    let expense;
+    if (type === "add") {
+        expense = {
+            userId,
+            ...ledger,
+            category: fields.category,
+            date: fields.date,
+            title: fields.title,
+            tags: fields.tags || [],
+            notes: fields.notes || null,
+            paymentMethod: fields.paymentMethod || null,
+            source: "chatbot",
+        };
+        const expenseRef = await db.collection("expenses").add({
+            ...expense,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        affectedId = expenseRef.id;
+        reply = `✅ Logged ${format.money(ledger.originalAmount, ledger.originalCurrency)} for "${fields.title}" in ${fields.category}.`;
+    } else if (type === "edit") {
+        ({ expense } = await Expense.applyUpdate(owned, fields, userId));
+        reply = `✏️ Updated to ${describeExpense(expense, format)}.`;
+    } else {
+        expense = owned.doc.data();
+        await Expense.remove(owned);
+        affectedId = null;
+        reply = `🗑️ Deleted ${describeExpense(expense, format)}.`;
+    }
+    onEvent(ACTION_EVENTS[type], { expenseId: expenseId || affectedId, expense });
+
+    // The write is already made, so the reply is finished and recorded even if a stream closes
+    reply = await localizeReply(reply, preferences.language, { onToken });
+
+    // Record the outcome so follow-ups like "make that 500 instead" can refer to it
+    const conversation = await Conversation.getOwned(conversationId, userId);
+    if (!conversation.error) {
+        await Conversation.appendTurn(conversation.ref, "Confirm", reply, {
+            intent: ACTION_INTENTS[type],
+            expenseId: affectedId,
+        });
+    }
+
+    return { status: 200, body: { success: true, message: reply, conversationId, expenseId: affectedId } };
+};
+
+// Carry out a write the chatbot proposed. Send the `confirmationToken` from the proposal.
+exports.confirmAction = async (req, res) => {
+    try {
+        const { status, body } = await applyPendingAction(req.user.uid, req.body.token);
+        res.status(status).json(body);
+    } catch (error) {
+        if (error.rateUnavailable) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error("Error confirming chatbot action:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Streaming variant of confirmAction. Sends `expense_logged`, `expense_updated` or
+ * `expense_deleted` { expenseId, expense } once the write is made, then `token`
+ * events and `done` with the body confirmAction would return (or `error`).
+ */
+exports.streamConfirmAction = async (req, res) => {
+    const stream = openEventStream(res);
+    try {
+        const { status, body } = await applyPendingAction(req.user.uid, req.body.token, {
+            onEvent: stream.send,
+            onToken: (text) => stream.send("token", { text }),
+        });
+        stream.send(status === 200 ? "done" : "error", body);
+    } catch (error) {
+        console.error("Error confirming chatbot action:", error);
+        stream.send("error", { error: error.message });
+    }
+    stream.end();
+};
+
+// Drop a proposed write without making it
+exports.cancelAction = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const pending = await PendingAction.getOwned(req.body.token, userId);
+        if (pending.error) {
+            return res.status(pending.status).json({ error: pending.error });
+        }
+
+        await pending.ref.delete();
+        const { language } = await User.getPreferences(userId);
+        const reply = await localizeReply("Okay, I've left your expenses as they were.", language);
+
+        const conversation = await Conversation.getOwned(pending.data.conversationId, userId);
+        if (!conversation.error) {
+            await Conversation.appendTurn(conversation.ref, "Cancel", reply, { intent: ACTION_INTENTS[pending.data.type] });
+        }
+
+        res.json({ success: true, message: reply, conversationId: pending.data.conversationId });
+    } catch (error) {
+        console.error("Error cancelling chatbot action:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
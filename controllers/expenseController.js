@@ -1,57 +1,311 @@
 const admin = require("firebase-admin");
 const db = require("../config/db"); // Firestore instance
+const { validateCategorySelection } = require("../utils/categories");
+const { isValidDate, isPositiveAmount } = require("../utils/validation");
+const { parseExpenseFilters } = require("../utils/expenseFilters");
+const { parseExpenseDetails } = require("../utils/expenseDetails");
+const Expense = require("../models/Expense");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const { isValidCurrency, buildLedgerFields } = require("../utils/currency");
+const storage = require("../services/storage");
+
+// Fields a user may change after an expense has been created.
+// "amount" and "currency" refer to the original amount and currency of the expense.
+const EDITABLE_FIELDS = [
+    "title", "amount", "currency", "category", "subcategory", "date",
+    "tags", "notes", "paymentMethod",
+];
+
+// A member's share of a group expense follows the group's copy; only how they file it is theirs
+const GROUP_SHARE_FIELDS = ["category", "subcategory", "tags", "notes"];
+
+// Content-Disposition for serving a stored file inline. The stored name came from an
+// upload, so it is reduced to a quoted ASCII fallback plus the full name in RFC 5987 form.
+const inlineDisposition = (fileName) => {
+    const baseName = String(fileName).split(/[\\/]/).pop();
+    const fallback = baseName.replace(/[^\x20-\x7e]|["\\%]/g, "_");
+    const encoded = encodeURIComponent(baseName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Returns an error message, or null when every provided field is valid.
+// Categories are checked against the user's own list separately.
+const validateExpenseUpdate = ({ title, amount, currency, category, subcategory, date }) => {
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+        return "Title must be a non-empty string";
+    }
+    if (amount !== undefined && !isPositiveAmount(amount)) {
+        return "Amount must be a positive number";
+    }
+    if (currency !== undefined && !isValidCurrency(currency)) {
+        return "Currency must be an ISO 4217 code such as INR or USD";
+    }
+    if (date !== undefined && !isValidDate(date)) {
+        return "Date must be in YYYY-MM-DD format";
+    }
+    if (category !== undefined && (typeof category !== "string" || !category)) {
+        return "Category must be a non-empty string";
+    }
+    // null removes the subcategory
+    if (subcategory !== undefined && subcategory !== null && (typeof subcategory !== "string" || !subcategory)) {
+        return "Subcategory must be a non-empty string or null";
+    }
+    return null;
+};
 
 // Add Manual Expense
 exports.addManualExpense = async (req, res) => {
     try {
-        const { title, amount, category, date } = req.body;
+        const { title, amount, category, subcategory = null, date, currency } = req.body;
         const { uid } = req.user; // Ensure user is authenticated
 
         if (!title || !amount || !category || !date) {
             return res.status(400).json({ error: "All fields are required" });
         }
+        if (!isPositiveAmount(amount)) {
+            return res.status(400).json({ error: "Amount must be a positive number" });
+        }
+        if (currency !== undefined && !isValidCurrency(currency)) {
+            return res.status(400).json({ error: "Currency must be an ISO 4217 code such as INR or USD" });
+        }
+        const categoryError = validateCategorySelection(await Category.getTree(uid), category, subcategory);
+        if (categoryError) {
+            return res.status(400).json({ error: categoryError });
+        }
+        const details = parseExpenseDetails(req.body);
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+
+        const baseCurrency = await User.getBaseCurrency(uid);
+        const ledger = await buildLedgerFields({ amount, currency, baseCurrency, date });
 
         await db.collection("expenses").add({
             title,
-            amount,
+            ...ledger,
             category,
+            subcategory: subcategory || null,
             date,
+            ...details.fields,
             userId: uid,
+            source: "manual",
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
         });
 
         res.status(201).json({ message: "Expense added successfully!" });
     } catch (error) {
+        if (error.rateUnavailable) {
+            return res.status(422).json({ error: error.message });
+        }
         console.error("Error adding expense:", error);
         res.status(500).json({ error: error.message });
     }
 };
 
 // Get Expenses List
+// Supports ?from, ?to, ?category, ?subcategory, ?tag, ?paymentMethod, ?minAmount, ?maxAmount, ?source, ?search,
+// ?sortBy (createdAt|date|amount), ?order, ?limit and ?cursor (from nextCursor)
 exports.getExpenses = async (req, res) => {
     try {
         const { uid } = req.user;
 
-        const snapshot = await db.collection("expenses")
-            .where("userId", "==", uid)
-            .orderBy("createdAt", "desc") // Sort only by creation time
-            .get();
+        const categories = await Category.getNames(uid, { includeArchived: true });
+        const { filters, limit, cursor, error: filterError } = parseExpenseFilters(req.query, categories);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        let after = null;
+        if (cursor) {
+            const { doc, error } = await Expense.getOwned(cursor, uid);
+            if (error) {
+                return res.status(400).json({ error: "Invalid cursor" });
+            }
+            after = doc;
+        }
+
+        const { expenses, nextCursor } = await Expense.findPage(uid, filters, { limit, after });
+
+        res.status(200).json({ expenses, nextCursor });
+    } catch (error) {
+        console.error("Error fetching expenses:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Update Expense
+exports.updateExpense = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}` });
+        }
+
+        const validationError = validateExpenseUpdate(fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const details = parseExpenseDetails(fields, { partial: true });
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+        Object.assign(fields, details.fields);
+        if (fields.title !== undefined) fields.title = fields.title.trim();
+        if (fields.amount !== undefined) fields.amount = parseFloat(fields.amount);
+
+        const owned = await Expense.getOwned(id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+        if (owned.doc.data().groupExpenseId) {
+            const shared = Object.keys(fields).filter(field => !GROUP_SHARE_FIELDS.includes(field));
+            if (shared.length > 0) {
+                return res.status(409).json({
+                    error: `This is your share of a group expense: change ${shared.join(", ")} in the group. Only ${GROUP_SHARE_FIELDS.join(", ")} can be edited here`,
+                });
+            }
+        }
+
+        if (fields.category !== undefined || fields.subcategory !== undefined) {
+            const current = owned.doc.data();
+            // Moving to another category drops a subcategory that belonged to the old one
+            if (fields.subcategory === undefined && fields.category !== current.category && current.subcategory) {
+                fields.subcategory = null;
+            }
+            const categoryError = validateCategorySelection(
+                await Category.getTree(uid),
+                fields.category ?? current.category,
+                fields.subcategory ?? null
+            );
+            if (categoryError) {
+                return res.status(400).json({ error: categoryError });
+            }
+        }
+
+        const { changes, expense } = await Expense.applyUpdate(owned, fields, uid);
+        if (Object.keys(changes).length === 0) {
+            return res.status(200).json({ message: "No changes to save", expense });
+        }
+
+        res.status(200).json({ message: "Expense updated successfully", expense });
+    } catch (error) {
+        if (error.rateUnavailable) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error("Error updating expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Expense Revision History
+exports.getExpenseRevisions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
 
-        if (snapshot.empty) {
-            return res.status(200).json({ expenses: [] });
+        const { expenseRef, status, error } = await Expense.getOwned(id, uid);
+        if (error) {
+            return res.status(status).json({ error });
         }
 
-        const expenses = snapshot.docs.map(doc => ({
+        const snapshot = await expenseRef.collection("revisions")
+            .orderBy("editedAt", "desc")
+            .get();
+
+        const revisions = snapshot.docs.map(doc => ({
             id: doc.id,
             ...doc.data(),
         }));
 
-        res.status(200).json({ expenses });
+        res.status(200).json({ revisions });
     } catch (error) {
-        console.error("Error fetching expenses:", error);
+        console.error("Error fetching expense revisions:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Expense Attachment (the stored receipt image)
+exports.getAttachment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+
+        const { doc, status, error } = await Expense.getOwned(id, uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const { attachment } = doc.data();
+        if (!attachment) {
+            return res.status(404).json({ error: "This expense has no attachment" });
+        }
+
+        const { buffer, contentType } = await storage.read(attachment.key);
+        res.setHeader("Content-Type", contentType);
+        res.setHeader("Content-Disposition", inlineDisposition(attachment.fileName || attachment.key));
+        res.status(200).send(buffer);
+    } catch (error) {
+        console.error("Error fetching attachment:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Replace (or add) Expense Attachment
+exports.replaceAttachment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+
+        if (!req.file) {
+            return res.status(400).json({ error: "No file provided" });
+        }
+
+        const { expenseRef, doc, status, error } = await Expense.getOwned(id, uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const previous = doc.data().attachment || null;
+        const key = storage.buildKey("attachments", uid, `${id}-${Date.now()}`, req.file.mimetype);
+        await storage.save(key, req.file.buffer, req.file.mimetype);
+
+        const attachment = {
+            key,
+            contentType: req.file.mimetype,
+            size: req.file.size,
+            fileName: req.file.originalname,
+        };
+
+        const batch = db.batch();
+        batch.update(expenseRef, { attachment, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        batch.set(expenseRef.collection("revisions").doc(), {
+            changes: { attachment: { from: previous ? previous.key : null, to: key } },
+            editedBy: uid,
+            editedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await batch.commit();
+
+        try {
+            await Expense.releaseAttachment(previous, id);
+        } catch (cleanupError) {
+            console.error("Error removing previous attachment:", cleanupError);
+        }
+
+        res.status(200).json({ message: "Attachment saved successfully", attachment });
+    } catch (error) {
+        console.error("Error replacing attachment:", error);
         res.status(500).json({ error: error.message });
     }
 };
+
 // Delete Expense
 exports.deleteExpense = async (req, res) => {
     try {
@@ -59,18 +313,16 @@ exports.deleteExpense = async (req, res) => {
         const { uid } = req.user;
 
         // Verify the expense belongs to the user before deleting
-        const expenseRef = db.collection("expenses").doc(id);
-        const doc = await expenseRef.get();
-
-        if (!doc.exists) {
-            return res.status(404).json({ error: "Expense not found" });
+        const owned = await Expense.getOwned(id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
         }
-
-        if (doc.data().userId !== uid) {
-            return res.status(403).json({ error: "Unauthorized" });
+        if (owned.doc.data().groupExpenseId) {
+            return res.status(409).json({ error: "This is your share of a group expense: delete it from the group instead" });
         }
 
-        await expenseRef.delete();
+        await Expense.remove(owned);
+
         res.status(200).json({ message: "Expense deleted successfully" });
     } catch (error) {
         console.error("Error deleting expense:", error);
@@ -0,0 +1,239 @@
+const Goal = require("../models/Goal");
+const User = require("../models/User");
+const { isValidDate, isPositiveAmount } = require("../utils/validation");
+const { isValidCurrency } = require("../utils/currency");
+const { todayIn } = require("../utils/period");
+const { normalizeTag, parseExpenseDetails } = require("../utils/expenseDetails");
+
+const MAX_NAME_LENGTH = 60;
+const MAX_NOTE_LENGTH = 200;
+
+// Fields a user may change after a goal has been created
+const EDITABLE_FIELDS = ["name", "targetAmount", "deadline", "startDate", "tag", "countInvestments"];
+
+// Returns an error message, or null when every provided field is valid
+const validateGoal = ({ name, targetAmount, deadline, startDate, countInvestments }, today, partial = false) => {
+    if (!partial || name !== undefined) {
+        if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return `Name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+        }
+    }
+    if (!partial || targetAmount !== undefined) {
+        if (!isPositiveAmount(targetAmount)) {
+            return "Target amount must be a positive number";
+        }
+    }
+    if (!partial || deadline !== undefined) {
+        if (!isValidDate(deadline) || deadline <= today) {
+            return "Deadline must be a date after today, in YYYY-MM-DD format";
+        }
+    }
+    if (startDate !== undefined && (!isValidDate(startDate) || startDate > today)) {
+        return "Start date must be today or earlier, in YYYY-MM-DD format";
+    }
+    if (countInvestments !== undefined && typeof countInvestments !== "boolean") {
+        return "countInvestments must be true or false";
+    }
+    return null;
+};
+
+// The tag expenses use to count towards a goal; defaults to one made from the goal's name
+const parseGoalTag = (tag, name) => {
+    if (tag !== undefined && typeof tag !== "string") return { error: "Goal tag must be text" };
+    const value = tag ?? normalizeTag(name).replace(/[^\p{L}\p{N}_-]/gu, "").replace(/^[-_]+|[-_]+$/g, "").slice(0, 30);
+    const { fields, error } = parseExpenseDetails({ tags: [value] }, { partial: true });
+    if (error) return { error: error.replace("Invalid tag", "Invalid goal tag") };
+    if (!fields.tags.length) return { error: "Goal tag must not be empty" };
+    return { tag: fields.tags[0] };
+};
+
+// Create Goal: { name, targetAmount, deadline, startDate?, tag?, countInvestments? }
+exports.createGoal = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { name, targetAmount, deadline, startDate, tag, countInvestments } = req.body;
+
+        const { timezone } = await User.getPreferences(uid);
+        const today = todayIn(timezone);
+        const validationError = validateGoal({ name, targetAmount, deadline, startDate, countInvestments }, today);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const parsedTag = parseGoalTag(tag, name);
+        if (parsedTag.error) {
+            return res.status(400).json({ error: parsedTag.error });
+        }
+
+        const result = await Goal.create(uid, {
+            name: name.trim(),
+            targetAmount: parseFloat(targetAmount),
+            deadline,
+            startDate: startDate || today,
+            tag: parsedTag.tag,
+            countInvestments,
+        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({ message: "Goal created successfully!", goal: result.goal });
+    } catch (error) {
+        console.error("Error creating goal:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Goals List, each with its progress
+exports.getGoals = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const goals = await Goal.list(uid);
+        res.status(200).json({ goals });
+    } catch (error) {
+        console.error("Error fetching goals:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Goal, with its contributions and the expenses counted towards it
+exports.getGoal = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Goal.getOwned(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const goal = await Goal.getDetails(owned, uid);
+        res.status(200).json({ goal });
+    } catch (error) {
+        console.error("Error fetching goal:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Update Goal
+exports.updateGoal = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}` });
+        }
+
+        const { timezone } = await User.getPreferences(uid);
+        const validationError = validateGoal(fields, todayIn(timezone), true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (fields.tag !== undefined) {
+            const parsedTag = parseGoalTag(fields.tag);
+            if (parsedTag.error) {
+                return res.status(400).json({ error: parsedTag.error });
+            }
+            fields.tag = parsedTag.tag;
+        }
+        if (fields.name !== undefined) fields.name = fields.name.trim();
+        if (fields.targetAmount !== undefined) fields.targetAmount = parseFloat(fields.targetAmount);
+
+        const owned = await Goal.getOwned(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await Goal.update(owned, fields, uid);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(200).json({ message: "Goal updated successfully", goal: result.goal });
+    } catch (error) {
+        console.error("Error updating goal:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Delete Goal
+exports.deleteGoal = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Goal.getOwned(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        await Goal.remove(owned);
+        res.status(200).json({ message: "Goal deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting goal:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Add Contribution: { amount, currency?, date? (defaults to today), note? }
+exports.addContribution = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { amount, currency, date, note } = req.body;
+
+        if (!isPositiveAmount(amount)) {
+            return res.status(400).json({ error: "Amount must be a positive number" });
+        }
+        if (currency !== undefined && !isValidCurrency(currency)) {
+            return res.status(400).json({ error: "Currency must be an ISO 4217 code such as INR or USD" });
+        }
+        if (date !== undefined && !isValidDate(date)) {
+            return res.status(400).json({ error: "Date must be in YYYY-MM-DD format" });
+        }
+        if (note !== undefined && note !== null && (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)) {
+            return res.status(400).json({ error: `Note must be text of at most ${MAX_NOTE_LENGTH} characters` });
+        }
+
+        const owned = await Goal.getOwned(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const { timezone } = await User.getPreferences(uid);
+        const contribution = await Goal.addContribution(owned, {
+            amount,
+            currency,
+            date: date || todayIn(timezone),
+            note: (note && note.trim()) || null,
+        }, uid);
+        const goal = await Goal.getDetails(owned, uid);
+
+        res.status(201).json({ message: "Contribution added successfully!", contribution, progress: goal.progress });
+    } catch (error) {
+        if (error.rateUnavailable) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error("Error adding contribution:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Delete Contribution
+exports.deleteContribution = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Goal.getOwned(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await Goal.removeContribution(owned, req.params.contributionId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(200).json({ message: "Contribution deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting contribution:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,305 @@
+const Group = require("../models/Group");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const { isValidDate, isPositiveAmount } = require("../utils/validation");
+const { isValidCurrency } = require("../utils/currency");
+const { todayIn } = require("../utils/period");
+const { parseExpenseDetails } = require("../utils/expenseDetails");
+
+const MAX_NAME_LENGTH = 60;
+
+const isEmail = (value) => typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+
+// Invites are matched on the signed-in email, so it has to be one the user has proven they own
+const verifiedEmail = (user) => (user.email && user.email_verified ? user.email : null);
+
+// Send a model result that may be { status, error }
+const sendResult = (res, result, status, body) => {
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(status).json(body);
+};
+
+// Create Group
+exports.createGroup = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { name, currency } = req.body;
+
+        if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return res.status(400).json({ error: `Name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+        }
+        if (currency !== undefined && !isValidCurrency(currency)) {
+            return res.status(400).json({ error: "Currency must be an ISO 4217 code such as INR or USD" });
+        }
+
+        const group = await Group.create(uid, { name: name.trim(), currency });
+        res.status(201).json({ message: "Group created successfully!", group });
+    } catch (error) {
+        console.error("Error creating group:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Groups List (groups the user belongs to)
+exports.getGroups = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const groups = await Group.listForUser(uid);
+        res.status(200).json({ groups });
+    } catch (error) {
+        console.error("Error fetching groups:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Group, with each member's balance
+exports.getGroup = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const balances = await Group.getBalances(owned);
+        res.status(200).json({ group: owned.group, ...balances });
+    } catch (error) {
+        console.error("Error fetching group:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Invite Member by email
+exports.inviteMember = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { email } = req.body;
+
+        if (!isEmail(email)) {
+            return res.status(400).json({ error: "A valid email address is required" });
+        }
+
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await Group.invite(owned, email, uid);
+        sendResult(res, result, 201, { message: `Invited ${result.invite && result.invite.email}`, invite: result.invite });
+    } catch (error) {
+        console.error("Error inviting group member:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Invites waiting for the signed-in user
+exports.getInvites = async (req, res) => {
+    try {
+        const email = verifiedEmail(req.user);
+        if (!email) {
+            return res.status(403).json({ error: "Verify your email address to see group invites" });
+        }
+
+        const invites = await Group.listInvites(email);
+        res.status(200).json({ invites });
+    } catch (error) {
+        console.error("Error fetching group invites:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Accept or decline an invite: POST /invites/:inviteId/accept and /invites/:inviteId/decline
+const respond = (accept) => async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const email = verifiedEmail(req.user);
+        if (!email) {
+            return res.status(403).json({ error: "Verify your email address to join groups" });
+        }
+
+        const result = await Group.respondToInvite(req.params.inviteId, { uid, email }, accept);
+        sendResult(res, result, 200, accept
+            ? { message: `Joined ${result.group && result.group.name}`, group: result.group }
+            : { message: "Invite declined" });
+    } catch (error) {
+        console.error("Error responding to group invite:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+exports.acceptInvite = respond(true);
+exports.declineInvite = respond(false);
+
+// Remove Member: members can leave, and the owner can remove anyone who is settled up
+exports.removeMember = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await Group.removeMember(owned, req.params.memberId, uid);
+        sendResult(res, result, 200, { message: "Member removed from the group" });
+    } catch (error) {
+        console.error("Error removing group member:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Add Group Expense
+// Body: { title, amount, currency?, category, date, paidBy? (defaults to you), notes?,
+//   split: { method: "equal", participants? } or { method: "exact" | "percentage" | "shares", entries } }
+exports.addGroupExpense = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { title, amount, currency, category, date, paidBy = uid, split = {} } = req.body;
+
+        if (typeof title !== "string" || !title.trim()) {
+            return res.status(400).json({ error: "Title is required" });
+        }
+        if (!isPositiveAmount(amount)) {
+            return res.status(400).json({ error: "Amount must be a positive number" });
+        }
+        if (currency !== undefined && !isValidCurrency(currency)) {
+            return res.status(400).json({ error: "Currency must be an ISO 4217 code such as INR or USD" });
+        }
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: "Date must be in YYYY-MM-DD format" });
+        }
+        if (!split || typeof split !== "object" || Array.isArray(split)) {
+            return res.status(400).json({ error: "Split must be an object such as { \"method\": \"equal\" }" });
+        }
+        const details = parseExpenseDetails({ notes: req.body.notes }, { partial: true });
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+
+        // Members each have their own categories; the one logging it picks from theirs
+        const categories = await Category.getNames(uid);
+        if (!categories.includes(category)) {
+            return res.status(400).json({ error: `Category must be one of: ${categories.join(", ")}` });
+        }
+
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+        if (!owned.group.memberIds.includes(paidBy)) {
+            return res.status(400).json({ error: "The payer must be a member of the group" });
+        }
+
+        const result = await Group.addExpense(owned, {
+            title: title.trim(),
+            amount,
+            currency,
+            category,
+            date,
+            paidBy,
+            notes: details.fields.notes,
+        }, split, uid);
+        sendResult(res, result, 201, { message: "Group expense added successfully!", expense: result.expense });
+    } catch (error) {
+        console.error("Error adding group expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Group Expenses List
+exports.getGroupExpenses = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const expenses = await Group.listExpenses(owned);
+        res.status(200).json({ expenses });
+    } catch (error) {
+        console.error("Error fetching group expenses:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Delete Group Expense (whoever logged or paid for it, or the group owner)
+exports.deleteGroupExpense = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await Group.removeExpense(owned, req.params.expenseId, uid);
+        sendResult(res, result, 200, { message: "Group expense deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting group expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Balances: who owes whom, and the fewest payments that settle everyone up
+exports.getBalances = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const balances = await Group.getBalances(owned);
+        res.status(200).json(balances);
+    } catch (error) {
+        console.error("Error fetching group balances:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Record Settlement: { to, amount, from? (defaults to you), date? (defaults to today) }
+exports.recordSettlement = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { from = uid, to, amount, date } = req.body;
+
+        if (typeof to !== "string" || !to) {
+            return res.status(400).json({ error: "Who was paid ('to') is required" });
+        }
+        if (!isPositiveAmount(amount)) {
+            return res.status(400).json({ error: "Amount must be a positive number" });
+        }
+        if (date !== undefined && !isValidDate(date)) {
+            return res.status(400).json({ error: "Date must be in YYYY-MM-DD format" });
+        }
+
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const { timezone } = await User.getPreferences(uid);
+        const result = await Group.recordSettlement(owned, { from, to, amount, date: date || todayIn(timezone) }, uid);
+        sendResult(res, result, 201, { message: "Settlement recorded", settlement: result.settlement });
+    } catch (error) {
+        console.error("Error recording settlement:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Settlements List
+exports.getSettlements = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const owned = await Group.getForMember(req.params.id, uid);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const settlements = await Group.listSettlements(owned);
+        res.status(200).json({ settlements });
+    } catch (error) {
+        console.error("Error fetching settlements:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,247 @@
+const admin = require("firebase-admin");
+const db = require("../config/db"); // Firestore instance
+const { parseCsvStatement, isOfxStatement, parseOfxStatement } = require("../utils/statementParser");
+const { autoCategorize } = require("../utils/autoCategorize");
+const { validateCategorySelection } = require("../utils/categories");
+const Category = require("../models/Category");
+const { isValidCurrency, toLedgerFields } = require("../utils/currency");
+const exchangeRates = require("../services/exchangeRates");
+const User = require("../models/User");
+
+// Firestore batches cap out at 500 writes; keep one import (plus its status update) in one batch
+const MAX_IMPORT_ROWS = 400;
+const DUPLICATE_WINDOW_DAYS = 2;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const shiftDate = (dateStr, days) => {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const titleTokens = (title) => String(title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+// Titles are similar when one contains the other or they share most of their words
+const isSimilarTitle = (a, b) => {
+    const tokensA = titleTokens(a);
+    const tokensB = titleTokens(b);
+    if (!tokensA.length || !tokensB.length) return false;
+
+    const joinedA = tokensA.join(" ");
+    const joinedB = tokensB.join(" ");
+    if (joinedA.includes(joinedB) || joinedB.includes(joinedA)) return true;
+
+    const setB = new Set(tokensB);
+    const shared = tokensA.filter(t => setB.has(t)).length;
+    const union = new Set([...tokensA, ...tokensB]).size;
+    return shared / union >= 0.5;
+};
+
+// Same amount (in the statement's currency), date within the window and a similar title
+const findLikelyDuplicate = (row, existing, currency) => existing.find(expense => {
+    const amount = expense.originalCurrency === currency ? expense.originalAmount : expense.amount;
+    if (Math.abs(parseFloat(amount) - row.amount) >= 0.01) return false;
+    const dayDiff = Math.abs(new Date(expense.date) - new Date(row.date)) / MS_PER_DAY;
+    if (!(dayDiff <= DUPLICATE_WINDOW_DAYS)) return false;
+    return isSimilarTitle(expense.title, row.title);
+});
+
+// Parse the multipart "mapping" field, which arrives as a JSON string
+const parseMapping = (mapping) => {
+    if (!mapping) return {};
+    if (typeof mapping === "object") return mapping;
+    try {
+        return JSON.parse(mapping);
+    } catch (e) {
+        return null;
+    }
+};
+
+// Parse an uploaded statement and return a preview with suggested categories and duplicates
+exports.previewImport = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        if (!req.file) {
+            return res.status(400).json({ error: "No statement file provided" });
+        }
+
+        const mapping = parseMapping(req.body.mapping);
+        if (mapping === null) {
+            return res.status(400).json({ error: "Column mapping must be valid JSON" });
+        }
+
+        // Statement amounts are in the account's currency, which defaults to the user's base currency
+        const baseCurrency = await User.getBaseCurrency(uid);
+        const currency = req.body.currency ? String(req.body.currency).toUpperCase() : baseCurrency;
+        if (!isValidCurrency(currency)) {
+            return res.status(400).json({ error: "Currency must be an ISO 4217 code such as INR or USD" });
+        }
+
+        const text = req.file.buffer.toString("utf8");
+        const format = isOfxStatement(text) ? "ofx" : "csv";
+        const parsed = format === "ofx"
+            ? parseOfxStatement(text)
+            : parseCsvStatement(text, {
+                mapping,
+                dateFormat: req.body.dateFormat,
+                expenseSign: req.body.expenseSign,
+            });
+
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        if (parsed.rows.length === 0) {
+            return res.status(400).json({ error: "No expenses found in the statement" });
+        }
+        if (parsed.rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                error: `A statement can contain at most ${MAX_IMPORT_ROWS} expenses; split it into smaller date ranges`
+            });
+        }
+
+        // Load existing expenses around the statement's date range for duplicate checks
+        const dates = parsed.rows.map(row => row.date).sort();
+        const existingSnapshot = await db.collection("expenses")
+            .where("userId", "==", uid)
+            .where("date", ">=", shiftDate(dates[0], -DUPLICATE_WINDOW_DAYS))
+            .where("date", "<=", shiftDate(dates[dates.length - 1], DUPLICATE_WINDOW_DAYS))
+            .get();
+        const existing = existingSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const categories = await Category.getNames(uid);
+
+        const rows = parsed.rows.map((row, index) => {
+            const duplicate = findLikelyDuplicate(row, existing, currency);
+            return {
+                index,
+                date: row.date,
+                title: row.title || "Imported expense",
+                amount: row.amount,
+                category: autoCategorize(row.title, row.sourceCategory, categories),
+                duplicateOf: duplicate
+                    ? { id: duplicate.id, title: duplicate.title, amount: duplicate.amount, date: duplicate.date }
+                    : null,
+            };
+        });
+
+        const importRef = await db.collection("imports").add({
+            userId: uid,
+            fileName: req.file.originalname,
+            format,
+            currency,
+            rows,
+            skippedRows: parsed.skippedRows,
+            status: "preview",
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        res.status(200).json({
+            importId: importRef.id,
+            format,
+            currency,
+            totalRows: rows.length,
+            skippedRows: parsed.skippedRows,
+            duplicateCount: rows.filter(row => row.duplicateOf).length,
+            rows,
+        });
+    } catch (error) {
+        console.error("Error previewing import:", error);
+        res.status(500).json({ error: "Failed to process statement" });
+    }
+};
+
+// Save the confirmed rows of a previewed import as expenses, in one batch
+exports.commitImport = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+        const { rows: selections } = req.body;
+
+        if (!Array.isArray(selections) || selections.length === 0) {
+            return res.status(400).json({ error: "Select at least one row to import" });
+        }
+
+        const importRef = db.collection("imports").doc(id);
+        const doc = await importRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ error: "Import not found" });
+        }
+        const importData = doc.data();
+        if (importData.userId !== uid) {
+            return res.status(403).json({ error: "Unauthorized" });
+        }
+        if (importData.status !== "preview") {
+            return res.status(409).json({ error: "This import has already been committed" });
+        }
+
+        const baseCurrency = await User.getBaseCurrency(uid);
+        const originalCurrency = importData.currency || baseCurrency;
+
+        const categories = await Category.getTree(uid);
+
+        // Each selection is { index, category?, subcategory?, title? } referring to a previewed row
+        const seen = new Set();
+        const expenses = [];
+        for (const selection of selections) {
+            const row = importData.rows[selection && selection.index];
+            if (!row || seen.has(row.index)) {
+                return res.status(400).json({ error: `Invalid or repeated row index: ${selection && selection.index}` });
+            }
+            seen.add(row.index);
+            if (selection.title !== undefined && (typeof selection.title !== "string" || !selection.title.trim())) {
+                return res.status(400).json({ error: `Row ${row.index}: Title must be a non-empty string` });
+            }
+
+            // Historical rate for each transaction date (memoized by the rate service)
+            const quote = await exchangeRates.getRate(originalCurrency, baseCurrency, row.date);
+
+            const category = selection.category || row.category;
+            const subcategory = selection.subcategory || null;
+            const categoryError = validateCategorySelection(categories, category, subcategory);
+            if (categoryError) {
+                return res.status(400).json({ error: `Row ${row.index}: ${categoryError}` });
+            }
+
+            expenses.push({
+                userId: uid,
+                title: (selection.title || row.title).trim(),
+                ...toLedgerFields({
+                    originalAmount: row.amount,
+                    originalCurrency,
+                    baseCurrency,
+                    exchangeRate: quote.rate,
+                    rateDate: quote.date,
+                }),
+                category,
+                subcategory,
+                date: row.date,
+                source: "import",
+                importId: id,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+
+        const batch = db.batch();
+        expenses.forEach(expense => batch.set(db.collection("expenses").doc(), expense));
+        batch.update(importRef, {
+            status: "committed",
+            committedCount: expenses.length,
+            committedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await batch.commit();
+
+        res.status(201).json({ message: `Imported ${expenses.length} expenses`, imported: expenses.length });
+    } catch (error) {
+        if (error.rateUnavailable) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error("Error committing import:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
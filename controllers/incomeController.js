@@ -0,0 +1,103 @@
+const Income = require("../models/Income");
+const User = require("../models/User");
+const { isValidDate, isPositiveAmount } = require("../utils/validation");
+const { isValidCurrency, createAmountNormalizer } = require("../utils/currency");
+
+const MAX_NOTES_LENGTH = 1000;
+
+// Returns an error message, or null when the income fields are valid
+const validateIncome = ({ title, amount, currency, type, date, notes }) => {
+    if (typeof title !== "string" || !title.trim()) {
+        return "Title is required, e.g. \"March salary\"";
+    }
+    if (!isPositiveAmount(amount)) {
+        return "Amount must be a positive number";
+    }
+    if (currency !== undefined && !isValidCurrency(currency)) {
+        return "Currency must be an ISO 4217 code such as INR or USD";
+    }
+    if (!Income.INCOME_TYPES.includes(type)) {
+        return `Type must be one of: ${Income.INCOME_TYPES.join(", ")}`;
+    }
+    if (!isValidDate(date)) {
+        return "Date must be in YYYY-MM-DD format";
+    }
+    if (notes !== undefined && notes !== null && (typeof notes !== "string" || notes.length > MAX_NOTES_LENGTH)) {
+        return `Notes must be text of at most ${MAX_NOTES_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Add Income
+exports.addIncome = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { title, amount, currency, type = "other", date, notes } = req.body;
+
+        const validationError = validateIncome({ title, amount, currency, type, date, notes });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const income = await Income.create(uid, {
+            title: title.trim(),
+            amount,
+            currency,
+            type,
+            date,
+            notes: (notes && notes.trim()) || null,
+        });
+        res.status(201).json({ message: "Income added successfully!", income });
+    } catch (error) {
+        if (error.rateUnavailable) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error("Error adding income:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Income List
+// Supports ?from, ?to and ?type; total is in the user's base currency
+exports.getIncome = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { from, to, type } = req.query;
+
+        if ((from !== undefined && !isValidDate(from)) || (to !== undefined && !isValidDate(to))) {
+            return res.status(400).json({ error: "from and to must be in YYYY-MM-DD format" });
+        }
+        if (type !== undefined && !Income.INCOME_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Type must be one of: ${Income.INCOME_TYPES.join(", ")}` });
+        }
+
+        const docs = (await Income.findInRange(uid, { from, to })).filter(doc => !type || doc.data().type === type);
+        const toBaseAmount = await createAmountNormalizer(docs, await User.getBaseCurrency(uid));
+        const income = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const total = Math.round(income.reduce((sum, entry) => sum + (toBaseAmount(entry) || 0), 0) * 100) / 100;
+
+        res.status(200).json({ income, total });
+    } catch (error) {
+        console.error("Error fetching income:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Delete Income
+exports.deleteIncome = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+
+        const { incomeRef, status, error } = await Income.getOwned(id, uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await incomeRef.delete();
+        res.status(200).json({ message: "Income deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting income:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -1,175 +1,275 @@
 // controllers/ocrController.js
 
-const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const admin = require('firebase-admin');
 const db = require('../config/db');
+const User = require('../models/User');
+const storage = require('../services/storage');
+const llm = require('../services/llm');
+const { isValidCurrency, getExchangeRate, buildLedgerFields } = require('../utils/currency');
+const { isValidDate } = require('../utils/validation');
+const Category = require('../models/Category');
+const { OTHER_CATEGORY, validateCategorySelection } = require('../utils/categories');
+const { BLOCKING_ISSUES, validateReceipt } = require('../utils/receiptValidation');
+const { PAYMENT_METHODS, parseExpenseDetails } = require('../utils/expenseDetails');
 
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-console.log("Gemini API Key being used:", process.env.GEMINI_API_KEY);
+// Fields a reviewer may correct on a pending receipt
+const CORRECTABLE_FIELDS = ['merchant', 'title', 'category', 'currency', 'date', 'subtotal', 'tax', 'tip', 'discount', 'total', 'lineItems', 'paymentMethod'];
 
-// Function to get exchange rates
-const getExchangeRate = async (fromCurrency, toCurrency) => {
-  console.log(`Fetching exchange rate from ${fromCurrency} to ${toCurrency}`);
-  try {
-    const response = await axios.get(
-      `https://api.exchangerate-api.com/v4/latest/${fromCurrency}`
-    );
-    console.log('Exchange rate API response:', response.data);
-    return response.data.rates[toCurrency];
-  } catch (error) {
-    console.error('Error fetching exchange rate:', error.message);
-    throw new Error('Failed to fetch exchange rate');
+/**
+ * Group line items into one suggested expense per category. Tax and tip are
+ * shared out in proportion to each category's subtotal and discounts taken off
+ * the same way; the last split absorbs rounding so the splits add up to the total.
+ */
+const buildSuggestedSplits = (receipt) => {
+  const { lineItems, total, category, title } = receipt;
+  if (!lineItems.length || total === null) {
+    return [{ title, amount: total, category }];
   }
-};
 
-// Process receipt image with Gemini
-exports.processReceipt = async (req, res) => {
-  try {
-    console.log('Starting processReceipt function');
-    const userId = req.user.uid;
-    const { convertCurrency = false, defaultCurrency = 'INR' } = req.body;
+  const byCategory = {};
+  lineItems.forEach(item => {
+    if (!byCategory[item.category]) byCategory[item.category] = { amount: 0, items: [] };
+    byCategory[item.category].amount += item.amount;
+    byCategory[item.category].items.push(item.description);
+  });
 
-    console.log('User ID from request:', userId);
-    console.log('Convert currency:', convertCurrency);
-    console.log('Default currency:', defaultCurrency);
+  const itemsTotal = Object.values(byCategory).reduce((sum, group) => sum + group.amount, 0);
+  const entries = Object.entries(byCategory).sort((a, b) => b[1].amount - a[1].amount);
 
-    // Check if image is provided
-    if (!req.file) {
-      console.error('No image provided in the request');
-      return res.status(400).json({ error: 'No image provided' });
-    }
+  let allocated = 0;
+  return entries.map(([splitCategory, group], index) => {
+    const isLast = index === entries.length - 1;
+    const amount = isLast
+      ? parseFloat((total - allocated).toFixed(2))
+      : parseFloat((itemsTotal > 0 ? (group.amount / itemsTotal) * total : 0).toFixed(2));
+    allocated += amount;
 
-    console.log('Image received:', req.file.originalname, 'Mimetype:', req.file.mimetype, 'Size:', req.file.size);
+    return {
+      title: entries.length === 1 ? title : `${title} - ${splitCategory}`,
+      amount,
+      category: splitCategory,
+      items: group.items,
+    };
+  });
+};
 
-    // Get the image file from multer
-    const imageBuffer = req.file.buffer;
-    const base64Image = imageBuffer.toString('base64');
-    console.log('Image converted to base64');
+// Verify the receipt exists and belongs to the user
+const getOwnedReceipt = async (receiptId, userId) => {
+  const receiptRef = db.collection('receipts').doc(receiptId);
+  const receiptDoc = await receiptRef.get();
 
-    // Get user currency preference
-    console.log('Fetching user currency preference from Firestore');
-    const userDoc = await db.collection('users').doc(userId).get();
-    const userPreferences = userDoc.data();
-    let userCurrency = defaultCurrency;
+  if (!receiptDoc.exists) {
+    return { status: 404, error: 'Receipt not found' };
+  }
+  if (receiptDoc.data().userId !== userId) {
+    return { status: 403, error: 'Unauthorized' };
+  }
+  return { ref: receiptRef, doc: receiptDoc };
+};
 
-    if (userPreferences && userPreferences.currency) {
-      userCurrency = userPreferences.currency.split(' ')[0];
-      console.log('User currency from Firestore:', userCurrency);
-    } else {
-      console.log('User currency not found in Firestore, using default:', defaultCurrency);
+// The extraction as returned to the client, with the total converted if asked
+const buildReceiptResponse = async (receiptId, receipt, { hasAttachment, userCurrency, convertCurrency }) => {
+  let convertedAmount = receipt.total;
+  let exchangeRate = null;
+
+  if (convertCurrency && receipt.currency !== userCurrency) {
+    console.log(`Attempting currency conversion from ${receipt.currency} to ${userCurrency}`);
+    try {
+      // Use the rate for the receipt's own date, not today's
+      const rate = await getExchangeRate(receipt.currency, userCurrency, isValidDate(receipt.date) ? receipt.date : undefined);
+      exchangeRate = rate;
+      convertedAmount = parseFloat((receipt.total * rate).toFixed(2)); // Round to 2 decimal places
+      console.log('Conversion rate:', rate, 'Converted amount:', convertedAmount);
+    } catch (error) {
+      console.error('Currency conversion error:', error.message);
+      // Continue with original amount if conversion fails
     }
+  } else {
+    console.log('Currency conversion not needed or skipped.');
+  }
 
-    // Call Gemini Vision API to analyze the receipt
-    console.log('Calling Gemini Vision API');
-    const model = genAI.getGenerativeModel(
-  { model: 'gemini-2.5-flash' }, 
-  { apiVersion: 'v1' }
-);
-    
-    const predefinedCategories = [
-      "Food & Dining",
-      "Transportation",
-      "Shopping",
-      "Bills & Utilities",
-      "Entertainment",
-      "Travel",
-      "Education",
-      "Health & Fitness",
-      "Personal Care",
-      "Home & Rent",
-      "Groceries",
-      "Investments",
-      "Insurance",
-      "Gifts & Donations"
-    ];
-    
-    const prompt = `Analyze this receipt image and extract the following information in JSON format:
+  return {
+    receiptId,
+    hasAttachment,
+    total: receipt.total,
+    currency: receipt.currency,
+    category: receipt.category,
+    date: receipt.date,
+    title: receipt.title,
+    merchant: receipt.merchant,
+    subtotal: receipt.subtotal,
+    tax: receipt.tax,
+    tip: receipt.tip,
+    discount: receipt.discount,
+    lineItems: receipt.lineItems,
+    paymentMethod: receipt.paymentMethod ?? null,
+    suggestedSplits: buildSuggestedSplits(receipt),
+    convertedAmount: convertedAmount !== receipt.total ? convertedAmount : null,
+    convertedCurrency: convertCurrency ? userCurrency : null,
+    baseCurrency: userCurrency,
+    exchangeRate
+  };
+};
+
+// Run one uploaded receipt (image or PDF) through the OCR model and store the extraction.
+// Returns the HTTP status and response body for that file.
+const extractReceipt = async (file, { userId, userCurrency, convertCurrency, categories }) => {
+  console.log('Receipt received:', file.originalname, 'Mimetype:', file.mimetype, 'Size:', file.size);
+
+  // The OCR model reads PDFs (all pages) and HEIC photos natively, so every file goes inline
+  const isPdf = file.mimetype === 'application/pdf';
+  const base64Image = file.buffer.toString('base64');
+
+  const prompt = `Analyze this receipt ${isPdf ? 'document' : 'image'} and extract the following information in JSON format:
 
-1. Total amount
-2. Currency code (e.g., USD, EUR, INR)
-3. Date (if available)
+1. Merchant name
+2. Every line item with its description, quantity and line amount
+3. Subtotal, tax, tip and total discount (use 0 when not shown)
+4. Total amount
+5. Currency code (e.g., USD, EUR, INR)
+6. Date (if available)
+7. How it was paid, only if the receipt shows it (e.g. a card slip, "Cash", "Paid via UPI")
 
-For the category, please FIRST try to classify the expense into one of these predefined categories:
-${predefinedCategories.join(", ")}
+For the category of the receipt AND of each line item, please FIRST try to classify it into one of these categories:
+${categories.filter(category => category !== OTHER_CATEGORY).join(", ")}
 
-ONLY if the expense clearly doesn't fit any of these categories, then use "Other".
+ONLY if it clearly doesn't fit any of these categories, then use "${OTHER_CATEGORY}".
+Items on one receipt can differ: a supermarket receipt with a pharmacy item should give that item a health category while the food items stay in the grocery one.
 
-Also, create a short descriptive title for this receipt (maximum 2 words).
+${isPdf ? 'The document may have several pages. Read every page and treat them as ONE invoice: line items can continue across pages and the total is usually on the last page.\n\n' : ''}Also, create a short descriptive title for this receipt (maximum 2 words).
 
 Respond only with valid JSON in this format:
 {
+  "merchant": "string",
+  "lineItems": [
+    { "description": "string", "quantity": number, "amount": number, "category": "string" }
+  ],
+  "subtotal": number,
+  "tax": number,
+  "tip": number,
+  "discount": number,
   "total": number,
   "currency": "string",
   "category": "string",
   "date": "string (YYYY-MM-DD format or empty string if not found)",
-  "title": "string (1-2 words)"
-}`;
-
-    const imagePart = {
-      inlineData: {
-        data: base64Image,
-        mimeType: req.file.mimetype,
-      },
+  "title": "string (1-2 words)",
+  "paymentMethod": "${PAYMENT_METHODS.join("|")}|null",
+  "confidence": { "merchant": number, "total": number, "currency": number, "date": number, "category": number }
+}
+
+"confidence" is how sure you are of each field, from 0 (guessed or unreadable) to 1 (clearly printed).`;
+
+  // Call the vision model configured for OCR to analyze the receipt
+  console.log('LLM OCR prompt:', prompt);
+  let extractedData;
+  try {
+    extractedData = await llm.completeJson('ocr.receipt', [
+      { role: 'user', content: prompt, attachments: [{ data: base64Image, mimeType: file.mimetype }] },
+    ]);
+    console.log('Extracted data from receipt:', extractedData);
+  } catch (error) {
+    console.error('Failed to extract structured data from receipt:', error.message);
+    return { status: 500, error: 'Failed to extract structured data from receipt' };
+  }
+
+  // Check the extraction before anything is trusted; a missing or non-numeric total no longer throws
+  const { receipt, issues, confidence, needsReview } = validateReceipt(extractedData, { categories });
+
+  // Keep the original file for tax and reimbursement records
+  const receiptRef = db.collection('receipts').doc();
+  let attachment = null;
+  try {
+    const key = storage.buildKey('receipts', userId, receiptRef.id, file.mimetype);
+    await storage.save(key, file.buffer, file.mimetype);
+    attachment = { key, contentType: file.mimetype, size: file.size, fileName: file.originalname };
+  } catch (error) {
+    console.error('Failed to store receipt image:', error.message);
+  }
+
+  // Keep the extraction so the expenses created from it can link back via receiptId.
+  // Anything that failed a check or was read with low confidence waits in the review queue.
+  await receiptRef.set({
+    ...receipt,
+    attachment,
+    issues,
+    confidence,
+    userId,
+    status: needsReview ? 'pending_review' : 'processed',
+    expenseIds: [],
+    createdAt: new Date(),
+  });
+
+  if (needsReview) {
+    console.log('Receipt sent for review:', issues);
+    return {
+      status: 202,
+      message: 'Receipt needs review before it can be added',
+      reviewRequired: true,
+      data: { receiptId: receiptRef.id, issues, confidence }
     };
+  }
 
-    console.log('Gemini API prompt:', prompt);
-    const result = await model.generateContent([prompt, imagePart]);
-    const response = await result.response;
-    const text = response.text();
-    console.log('Gemini API response text:', text);
+  const data = await buildReceiptResponse(receiptRef.id, receipt, {
+    hasAttachment: attachment !== null,
+    userCurrency,
+    convertCurrency,
+  });
 
-    // Extract JSON from the response
-    const jsonMatch = text.match(/```json\n([\s\S]*?)\n```/) || text.match(/{[\s\S]*?}/);
-    let extractedData;
+  return {
+    status: 200,
+    message: 'Receipt processed successfully',
+    data: { ...data, confidence }
+  };
+};
 
-    if (jsonMatch) {
-      try {
-        extractedData = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-        console.log('Extracted data from Gemini:', extractedData);
-      } catch (e) {
-        console.error('Error parsing JSON from Gemini:', e.message);
-        return res.status(500).json({ error: 'Failed to parse receipt data' });
-      }
-    } else {
-      console.error('Failed to extract structured data from receipt');
-      return res.status(500).json({ error: 'Failed to extract structured data from receipt' });
+// Process receipt images or PDFs with the OCR model. Several files can be sent under
+// the "receipt" field; each one becomes its own receipt and extraction.
+exports.processReceipt = async (req, res) => {
+  try {
+    console.log('Starting processReceipt function');
+    const userId = req.user.uid;
+    const { convertCurrency = false, defaultCurrency = 'INR' } = req.body;
+    const files = req.files || (req.file ? [req.file] : []);
+
+    console.log('User ID from request:', userId);
+    console.log('Convert currency:', convertCurrency);
+    console.log('Default currency:', defaultCurrency);
+
+    // Check if image is provided
+    if (files.length === 0) {
+      console.error('No image provided in the request');
+      return res.status(400).json({ error: 'No image provided' });
     }
 
-    // Round the total to 2 decimal places
-    extractedData.total = parseFloat(extractedData.total.toFixed(2));
+    // Get user currency preference
+    console.log('Fetching user currency preference from Firestore');
+    const userCurrency = await User.getBaseCurrency(userId, defaultCurrency);
+    console.log('User base currency:', userCurrency);
+
+    // The user's own categories, for the prompt and for checking what comes back
+    const categories = await Category.getNames(userId);
+    const options = { userId, userCurrency, convertCurrency, categories };
 
-    // Handle currency conversion if needed
-    let convertedAmount = extractedData.total;
-    let originalCurrency = extractedData.currency;
+    // Only the receipt is stored here; expenses are created when the user clicks "Add Expense"
+    if (files.length === 1) {
+      const { status, ...body } = await extractReceipt(files[0], options);
+      return res.status(status).json(body);
+    }
 
-    if (convertCurrency && originalCurrency !== userCurrency) {
-      console.log(`Attempting currency conversion from ${originalCurrency} to ${userCurrency}`);
+    // One result per file, in upload order; a failure on one file doesn't stop the rest
+    const results = [];
+    for (const file of files) {
       try {
-        const rate = await getExchangeRate(originalCurrency, userCurrency);
-        convertedAmount = parseFloat((extractedData.total * rate).toFixed(2)); // Round to 2 decimal places
-        console.log('Conversion rate:', rate, 'Converted amount:', convertedAmount);
+        results.push({ fileName: file.originalname, ...(await extractReceipt(file, options)) });
       } catch (error) {
-        console.error('Currency conversion error:', error.message);
-        // Continue with original amount if conversion fails
+        console.error(`OCR Processing Error for ${file.originalname}:`, error);
+        results.push({ fileName: file.originalname, status: 500, error: 'Failed to process receipt' });
       }
-    } else {
-      console.log('Currency conversion not needed or skipped.');
     }
 
-    // Return the data without storing it in the database
-    // The data will be stored only when the user clicks "Add Expense"
     res.status(200).json({
-      message: 'Receipt processed successfully',
-      data: {
-        total: extractedData.total,
-        currency: extractedData.currency,
-        category: extractedData.category,
-        date: extractedData.date || new Date().toISOString().split('T')[0],
-        title: extractedData.title || 'Receipt',
-        convertedAmount: convertedAmount !== extractedData.total ? convertedAmount : null,
-        convertedCurrency: convertCurrency ? userCurrency : null
-      }
+      message: `${results.filter(result => !result.error).length} of ${files.length} receipts processed`,
+      results
     });
 
   } catch (error) {
@@ -180,41 +280,267 @@ Respond only with valid JSON in this format:
   }
 };
 
-// New endpoint to add the expense after user confirms
+// New endpoint to add the expense after user confirms.
+// Body: { title, amount, currency, category, subcategory?, date, tags?, notes?, paymentMethod?, receiptId? }.
+// Send `splits: [{ title, amount, category, subcategory? }]` to turn one receipt into several
+// expenses; the split amounts must add up to the receipt's total. Every expense created
+// from a receipt carries its receiptId, and any tags, notes and paymentMethod sent.
 exports.addExpense = async (req, res) => {
   try {
     const userId = req.user.uid;
+    const { splits, receiptId, ...fields } = req.body;
+
+    // Only these fields are taken from the client; everything else stored on the expense is
+    // set here, so a client can't pass off a receipt as a group share or a recurring charge
     const expenseData = {
-      ...req.body,
+      title: typeof fields.title === 'string' ? fields.title.trim() : '',
+      category: fields.category,
+      subcategory: fields.subcategory || null,
+      date: fields.date,
       userId,
       source: 'ocr',
       createdAt: new Date()
     };
-    
-    // Remove merchant data if present
-    if (expenseData.merchant) {
-      delete expenseData.merchant;
+
+    // The ledger fields are rebuilt server-side from the receipt's original amount and
+    // currency, rather than trusting any converted amount the client sends back
+    const originalAmount = fields.originalAmount ?? fields.amount;
+    const originalCurrency = String(fields.originalCurrency || fields.currency || '').toUpperCase();
+
+    // Tags, notes and payment method apply to every expense made from the receipt
+    const details = parseExpenseDetails(fields);
+    if (details.error) {
+      return res.status(400).json({ error: details.error, success: false });
     }
-    
-    // Ensure amounts are rounded to 2 decimal places
-    if (expenseData.amount) {
-      expenseData.amount = parseFloat(parseFloat(expenseData.amount).toFixed(2));
+    Object.assign(expenseData, details.fields);
+
+    let receiptRef = null;
+    let receiptTotal = null;
+    if (receiptId) {
+      const owned = await getOwnedReceipt(receiptId, userId);
+      if (owned.error) {
+        return res.status(owned.status).json({ error: owned.error, success: false });
+      }
+      const receiptDoc = owned.doc;
+      if (receiptDoc.data().status === 'pending_review') {
+        return res.status(409).json({ error: 'Receipt must be reviewed and approved first', success: false });
+      }
+      if (receiptDoc.data().status === 'added') {
+        return res.status(409).json({ error: 'Expenses have already been added from this receipt', success: false });
+      }
+      receiptRef = owned.ref;
+      receiptTotal = receiptDoc.data().total;
+      expenseData.receiptId = receiptId;
+      // Every expense split from the receipt links to the same stored image
+      if (receiptDoc.data().attachment) {
+        expenseData.attachment = receiptDoc.data().attachment;
+      }
     }
-    
-    if (expenseData.originalAmount) {
-      expenseData.originalAmount = parseFloat(parseFloat(expenseData.originalAmount).toFixed(2));
+
+    // One expense per split, or a single expense for the whole amount
+    const categories = await Category.getTree(userId);
+    let parts;
+    if (Array.isArray(splits) && splits.length > 0) {
+      for (const [index, split] of splits.entries()) {
+        if (!split || !(parseFloat(split.amount) > 0)) {
+          return res.status(400).json({ error: `Split ${index + 1} needs a positive amount`, success: false });
+        }
+        const categoryError = validateCategorySelection(categories, split.category, split.subcategory);
+        if (categoryError) {
+          return res.status(400).json({ error: `Split ${index + 1}: ${categoryError}`, success: false });
+        }
+      }
+      // Splits have to account for the whole receipt (to the cent), or money would go missing
+      const expectedTotal = typeof receiptTotal === 'number' ? receiptTotal : parseFloat(originalAmount);
+      const splitsTotal = splits.reduce((sum, split) => sum + parseFloat(split.amount), 0);
+      if (expectedTotal > 0 && Math.abs(splitsTotal - expectedTotal) >= 0.005) {
+        return res.status(400).json({
+          error: `Splits add up to ${splitsTotal.toFixed(2)} but the receipt total is ${expectedTotal.toFixed(2)}`,
+          success: false,
+        });
+      }
+      parts = splits.map((split, index) => ({
+        title: split.title || expenseData.title || 'Receipt',
+        category: split.category,
+        subcategory: split.subcategory || null,
+        amount: split.amount,
+        splitIndex: index,
+      }));
+    } else {
+      if (!(parseFloat(originalAmount) > 0)) {
+        return res.status(400).json({ error: 'Amount must be a positive number', success: false });
+      }
+      const categoryError = validateCategorySelection(categories, expenseData.category, expenseData.subcategory);
+      if (categoryError) {
+        return res.status(400).json({ error: categoryError, success: false });
+      }
+      parts = [{ amount: originalAmount }];
+    }
+
+    const baseCurrency = await User.getBaseCurrency(userId);
+    const currency = isValidCurrency(originalCurrency) ? originalCurrency : null;
+    const date = isValidDate(expenseData.date) ? expenseData.date : undefined;
+
+    // Rates are looked up before anything is written
+    const expenses = [];
+    for (const { amount, ...partFields } of parts) {
+      const ledger = await buildLedgerFields({ amount, currency, baseCurrency, date });
+      expenses.push({ ref: db.collection('expenses').doc(), data: { ...expenseData, ...partFields, ...ledger } });
+    }
+    const expenseIds = expenses.map(expense => expense.ref.id);
+
+    // The receipt is claimed in the same transaction that writes its expenses,
+    // so two submits racing for one receipt can't both add them
+    const conflict = await db.runTransaction(async (transaction) => {
+      if (receiptRef) {
+        const receiptDoc = await transaction.get(receiptRef);
+        if (receiptDoc.data().status === 'added') {
+          return 'Expenses have already been added from this receipt';
+        }
+        transaction.update(receiptRef, {
+          status: 'added',
+          expenseIds: admin.firestore.FieldValue.arrayUnion(...expenseIds),
+        });
+      }
+      expenses.forEach(expense => transaction.set(expense.ref, expense.data));
+      return null;
+    });
+    if (conflict) {
+      return res.status(409).json({ error: conflict, success: false });
     }
-    
-    console.log('Adding expense to database:', expenseData);
-    const expenseRef = await db.collection('expenses').add(expenseData);
     
     res.status(200).json({
-      message: 'Expense added successfully',
-      expenseId: expenseRef.id,
+      message: expenseIds.length > 1 ? `${expenseIds.length} expenses added successfully` : 'Expense added successfully',
+      expenseId: expenseIds[0],
+      expenseIds,
       success: true
     });
   } catch (error) {
+    if (error.rateUnavailable) {
+      return res.status(422).json({ error: error.message, success: false });
+    }
     console.error('Error adding expense:', error);
     res.status(500).json({ error: 'Failed to add expense', success: false });
   }
 };
+
+// List the user's receipts waiting for review, newest first
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const snapshot = await db.collection('receipts')
+      .where('userId', '==', userId)
+      .where('status', '==', 'pending_review')
+      .get();
+
+    const receipts = snapshot.docs
+      .map(doc => {
+        const { attachment, ...receipt } = doc.data();
+        return {
+          id: doc.id,
+          ...receipt,
+          hasAttachment: Boolean(attachment),
+          createdAt: receipt.createdAt?.toDate ? receipt.createdAt.toDate() : receipt.createdAt,
+        };
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.status(200).json({ receipts });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch receipts for review' });
+  }
+};
+
+// Correct fields on a pending receipt; the checks are re-run on the result
+exports.correctReceipt = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const owned = await getOwnedReceipt(req.params.id, userId);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    const stored = owned.doc.data();
+    if (stored.status !== 'pending_review') {
+      return res.status(409).json({ error: 'Receipt is not awaiting review' });
+    }
+
+    const corrections = {};
+    CORRECTABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) corrections[field] = req.body[field];
+    });
+    if (Object.keys(corrections).length === 0) {
+      return res.status(400).json({ error: `Provide at least one of: ${CORRECTABLE_FIELDS.join(', ')}` });
+    }
+
+    // A field the reviewer typed in is certain; the rest keep the model's score
+    const confidence = { ...stored.confidence };
+    Object.keys(corrections).forEach(field => {
+      if (field in confidence) confidence[field] = 1;
+    });
+
+    const checked = validateReceipt({ ...stored, ...corrections, confidence }, { categories: await Category.getNames(userId) });
+    const { receipt, issues } = checked;
+
+    await owned.ref.update({
+      ...receipt,
+      issues,
+      confidence: checked.confidence,
+      correctedBy: userId,
+      correctedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    res.status(200).json({
+      message: issues.length ? 'Receipt updated; some checks still fail' : 'Receipt updated',
+      data: { receiptId: owned.ref.id, ...receipt, issues, confidence: checked.confidence }
+    });
+  } catch (error) {
+    console.error('Error correcting receipt:', error);
+    res.status(500).json({ error: 'Failed to update receipt' });
+  }
+};
+
+// Approve a pending receipt so expenses can be added from it. Low-confidence
+// fields can be signed off as they are, but failed checks must be corrected first.
+exports.approveReceipt = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { convertCurrency = false } = req.body;
+    const owned = await getOwnedReceipt(req.params.id, userId);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    const stored = owned.doc.data();
+    if (stored.status !== 'pending_review') {
+      return res.status(409).json({ error: 'Receipt is not awaiting review' });
+    }
+
+    const blocking = (stored.issues || []).filter(issue => BLOCKING_ISSUES.includes(issue.code));
+    if (blocking.length) {
+      return res.status(422).json({ error: 'Correct the receipt before approving it', issues: blocking });
+    }
+
+    await owned.ref.update({
+      status: 'processed',
+      reviewedBy: userId,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const userCurrency = await User.getBaseCurrency(userId);
+    const data = await buildReceiptResponse(owned.ref.id, stored, {
+      hasAttachment: Boolean(stored.attachment),
+      userCurrency,
+      convertCurrency,
+    });
+
+    res.status(200).json({
+      message: 'Receipt approved',
+      data: { ...data, confidence: stored.confidence }
+    });
+  } catch (error) {
+    console.error('Error approving receipt:', error);
+    res.status(500).json({ error: 'Failed to approve receipt' });
+  }
+};
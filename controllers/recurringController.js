@@ -0,0 +1,266 @@
+const admin = require("firebase-admin");
+const db = require("../config/db"); // Firestore instance
+const RecurringExpense = require("../models/RecurringExpense");
+const Category = require("../models/Category");
+const { FREQUENCIES, getOccurrenceDate, findIndexOnOrAfter } = require("../utils/recurrence");
+const { toDateString } = require("../utils/period");
+const { isValidDate, isPositiveAmount, isPositiveInteger } = require("../utils/validation");
+const { isValidCurrency } = require("../utils/currency");
+const User = require("../models/User");
+
+// Returns an error message, or null when the provided fields are valid.
+// categories are the names of the user's active top-level categories.
+const validateRecurring = (fields, categories, partial = false) => {
+    const { title, amount, currency, category, frequency, interval, startDate, endDate, maxOccurrences } = fields;
+    const has = (value) => !partial || value !== undefined;
+
+    if (has(title) && (typeof title !== "string" || !title.trim())) return "Title is required";
+    if (has(amount) && !isPositiveAmount(amount)) return "Amount must be a positive number";
+    if (currency != null && !isValidCurrency(currency)) return "Currency must be an ISO 4217 code such as INR or USD";
+    if (has(category) && !categories.includes(category)) {
+        return `Category must be one of: ${categories.join(", ")}`;
+    }
+    if (!partial && !FREQUENCIES.includes(frequency)) {
+        return `Frequency must be one of: ${FREQUENCIES.join(", ")}`;
+    }
+    if (!partial && !isValidDate(startDate)) return "Start date must be in YYYY-MM-DD format";
+    if (interval != null && !isPositiveInteger(interval)) return "Interval must be a positive integer";
+    if (endDate != null && !isValidDate(endDate)) return "End date must be in YYYY-MM-DD format";
+    if (maxOccurrences != null && !isPositiveInteger(maxOccurrences)) {
+        return "Occurrence count must be a positive integer";
+    }
+    return null;
+};
+
+// Fetch a recurring expense and verify it belongs to the user
+const getOwnedTemplate = async (id, uid) => {
+    const templateRef = db.collection(RecurringExpense.COLLECTION).doc(id);
+    const doc = await templateRef.get();
+
+    if (!doc.exists) return { status: 404, error: "Recurring expense not found" };
+    if (doc.data().userId !== uid) return { status: 403, error: "Unauthorized" };
+
+    return { templateRef, doc };
+};
+
+// Create Recurring Expense
+exports.createRecurring = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { title, amount, currency, category, frequency, interval = 1, startDate, endDate = null, maxOccurrences = null } = req.body;
+
+        const validationError = validateRecurring(req.body, await Category.getNames(uid));
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (endDate && endDate < startDate) {
+            return res.status(400).json({ error: "End date must be on or after the start date" });
+        }
+
+        // The amount is in the template's own currency; each occurrence is converted when it's created
+        const baseCurrency = await User.getBaseCurrency(uid);
+        const rule = {
+            userId: uid,
+            title: title.trim(),
+            amount: parseFloat(amount),
+            currency: currency || baseCurrency,
+            baseCurrency,
+            category,
+            frequency,
+            interval: Number(interval),
+            startDate,
+            endDate,
+            maxOccurrences: maxOccurrences === null ? null : Number(maxOccurrences),
+            skippedDates: [],
+            paused: false,
+            nextIndex: 0,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        rule.nextDueDate = RecurringExpense.nextDueFor(rule, 0);
+        rule.completed = rule.nextDueDate === null;
+
+        const templateRef = await db.collection(RecurringExpense.COLLECTION).add(rule);
+
+        // Back-fill anything already due (e.g. rent that started on the 1st)
+        const materialized = await RecurringExpense.materialize(templateRef.id);
+
+        res.status(201).json({
+            message: "Recurring expense created successfully!",
+            id: templateRef.id,
+            materialized,
+        });
+    } catch (error) {
+        console.error("Error creating recurring expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Get Recurring Expenses List
+exports.getRecurring = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        const snapshot = await db.collection(RecurringExpense.COLLECTION)
+            .where("userId", "==", uid)
+            .get();
+
+        const recurring = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+        }));
+
+        res.status(200).json({ recurring });
+    } catch (error) {
+        console.error("Error fetching recurring expenses:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Update Recurring Expense (schedule fields are fixed once created)
+exports.updateRecurring = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { uid } = req.user;
+        const { title, amount, category, endDate, maxOccurrences } = req.body;
+
+        if (req.body.frequency !== undefined || req.body.interval !== undefined || req.body.startDate !== undefined) {
+            return res.status(400).json({ error: "The schedule can't be changed; create a new recurring expense instead" });
+        }
+
+        const categories = category === undefined ? [] : await Category.getNames(uid);
+        const validationError = validateRecurring({ title, amount, category, endDate, maxOccurrences }, categories, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { templateRef, doc, status, error } = await getOwnedTemplate(id, uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+        if (title !== undefined) updates.title = title.trim();
+        if (amount !== undefined) updates.amount = parseFloat(amount);
+        if (category !== undefined) updates.category = category;
+        if (endDate !== undefined) updates.endDate = endDate;
+        if (maxOccurrences !== undefined) updates.maxOccurrences = maxOccurrences === null ? null : Number(maxOccurrences);
+
+        // Changing the end conditions may finish or revive the rule
+        const rule = { ...doc.data(), ...updates };
+        if (rule.endDate && rule.endDate < rule.startDate) {
+            return res.status(400).json({ error: "End date must be on or after the start date" });
+        }
+        updates.nextDueDate = RecurringExpense.nextDueFor(rule, rule.nextIndex || 0);
+        updates.completed = updates.nextDueDate === null;
+
+        await templateRef.update(updates);
+        res.status(200).json({ message: "Recurring expense updated successfully" });
+    } catch (error) {
+        console.error("Error updating recurring expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Pause Recurring Expense
+exports.pauseRecurring = async (req, res) => {
+    try {
+        const { templateRef, status, error } = await getOwnedTemplate(req.params.id, req.user.uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await templateRef.update({ paused: true, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        res.status(200).json({ message: "Recurring expense paused" });
+    } catch (error) {
+        console.error("Error pausing recurring expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Resume Recurring Expense - occurrences missed while paused are not back-filled
+exports.resumeRecurring = async (req, res) => {
+    try {
+        const { templateRef, doc, status, error } = await getOwnedTemplate(req.params.id, req.user.uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const rule = doc.data();
+        const today = toDateString(new Date());
+        const nextIndex = findIndexOnOrAfter(rule, rule.nextIndex || 0, today);
+
+        await templateRef.update({
+            paused: false,
+            nextIndex: nextIndex === null ? rule.nextIndex || 0 : nextIndex,
+            nextDueDate: nextIndex === null ? null : RecurringExpense.nextDueFor(rule, nextIndex),
+            completed: nextIndex === null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        const materialized = nextIndex === null ? 0 : await RecurringExpense.materialize(doc.id);
+        res.status(200).json({ message: "Recurring expense resumed", materialized });
+    } catch (error) {
+        console.error("Error resuming recurring expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Skip one upcoming occurrence (defaults to the next one due)
+exports.skipOccurrence = async (req, res) => {
+    try {
+        const { templateRef, doc, status, error } = await getOwnedTemplate(req.params.id, req.user.uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const rule = doc.data();
+        const date = req.body.date || rule.nextDueDate;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: "Date must be in YYYY-MM-DD format" });
+        }
+
+        // Find the occurrence on that date directly; the lookup doesn't walk the schedule day by day
+        const index = findIndexOnOrAfter(rule, rule.nextIndex || 0, date);
+        const isScheduled = index !== null && getOccurrenceDate(rule, index) === date;
+        if (!isScheduled) {
+            return res.status(400).json({ error: `No upcoming occurrence is scheduled on ${date}` });
+        }
+
+        await templateRef.update({
+            skippedDates: admin.firestore.FieldValue.arrayUnion(date),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        res.status(200).json({ message: `Occurrence on ${date} will be skipped` });
+    } catch (error) {
+        console.error("Error skipping occurrence:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Delete Recurring Expense - expenses already created are kept
+exports.deleteRecurring = async (req, res) => {
+    try {
+        const { templateRef, status, error } = await getOwnedTemplate(req.params.id, req.user.uid);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await templateRef.delete();
+        res.status(200).json({ message: "Recurring expense deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting recurring expense:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Create any expenses that have come due for this user
+exports.materializeRecurring = async (req, res) => {
+    try {
+        const created = await RecurringExpense.materializeDue(req.user.uid);
+        res.status(200).json({ message: "Recurring expenses are up to date", created });
+    } catch (error) {
+        console.error("Error materializing recurring expenses:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,108 @@
+const User = require("../models/User");
+const Category = require("../models/Category");
+const { isValidCurrency } = require("../utils/currency");
+const { isValidLocale } = require("../utils/format");
+const { WEEK_DAYS, isValidTimezone } = require("../utils/period");
+
+// Profile fields a user may change through PATCH /api/user/me
+const EDITABLE_FIELDS = [
+    "name", "avatar", "theme", "currency", "timezone", "locale", "language",
+    "weekStartDay", "defaultCategories", "notifications",
+];
+
+const THEMES = ["light", "dark", "system"];
+
+// Returns an error message, or null when every provided field is valid.
+// categories are the names of the user's active top-level categories.
+const validateProfileUpdate = (fields, categories = []) => {
+    const { name, avatar, theme, currency, timezone, locale, language, weekStartDay, defaultCategories, notifications } = fields;
+
+    if (name !== undefined && (typeof name !== "string" || !name.trim() || name.trim().length > 100)) {
+        return "Name must be a non-empty string of at most 100 characters";
+    }
+    if (avatar !== undefined && (typeof avatar !== "string" || !avatar.trim())) {
+        return "Avatar must be an image path or URL";
+    }
+    if (theme !== undefined && !THEMES.includes(theme)) {
+        return `Theme must be one of: ${THEMES.join(", ")}`;
+    }
+    if (currency !== undefined && !isValidCurrency(currency)) {
+        return "Currency must be an ISO 4217 code such as INR or USD";
+    }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return "Timezone must be an IANA timezone such as Asia/Kolkata";
+    }
+    // null goes back to the default: the currency's locale, or English
+    if (locale !== undefined && locale !== null && !isValidLocale(locale)) {
+        return "Locale must be a language tag such as en-IN";
+    }
+    if (language !== undefined && language !== null && !isValidLocale(language)) {
+        return "Language must be a language tag such as hi or en";
+    }
+    if (weekStartDay !== undefined && !WEEK_DAYS.includes(weekStartDay)) {
+        return `Week start day must be one of: ${WEEK_DAYS.join(", ")}`;
+    }
+    if (defaultCategories !== undefined) {
+        if (!Array.isArray(defaultCategories) || defaultCategories.length === 0) {
+            return "Default categories must be a non-empty list";
+        }
+        const unknown = defaultCategories.filter(category => !categories.includes(category));
+        if (unknown.length) {
+            return `Unknown categories: ${unknown.join(", ")}. Categories must be among: ${categories.join(", ")}`;
+        }
+    }
+    if (notifications !== undefined) {
+        if (!notifications || typeof notifications !== "object" || Array.isArray(notifications)) {
+            return "Notifications must be an object of on/off settings";
+        }
+        const known = Object.keys(User.DEFAULT_NOTIFICATIONS);
+        const invalid = Object.entries(notifications).find(([key, value]) => !known.includes(key) || typeof value !== "boolean");
+        if (invalid) {
+            return `Notification settings must be true or false for: ${known.join(", ")}`;
+        }
+    }
+    return null;
+};
+
+// GET /api/user/me - Profile and preferences of the signed-in user
+exports.getMe = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const profile = await User.getProfile(uid);
+        res.status(200).json({ user: { id: uid, ...profile } });
+    } catch (error) {
+        console.error("Error fetching user profile:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// PATCH /api/user/me - Change any of EDITABLE_FIELDS
+exports.updateMe = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}` });
+        }
+
+        const categories = fields.defaultCategories === undefined ? [] : await Category.getNames(uid);
+        const validationError = validateProfileUpdate(fields, categories);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (fields.name !== undefined) fields.name = fields.name.trim();
+        if (fields.avatar !== undefined) fields.avatar = fields.avatar.trim();
+        if (fields.defaultCategories !== undefined) fields.defaultCategories = [...new Set(fields.defaultCategories)];
+
+        const profile = await User.updateProfile(uid, fields);
+        res.status(200).json({ message: "Profile updated successfully", user: { id: uid, ...profile } });
+    } catch (error) {
+        console.error("Error updating user profile:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,10 @@
+// Let through only users whose Firebase ID token carries the custom claim { admin: true },
+// set with admin.auth().setCustomUserClaims(uid, { admin: true }). Use after authMiddleware.
+const adminMiddleware = (req, res, next) => {
+  if (!req.user || req.user.admin !== true) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+};
+
+module.exports = adminMiddleware;
@@ -0,0 +1,53 @@
+// middleware/upload.js
+const multer = require('multer');
+const { detectFileType } = require('../utils/fileType');
+
+// Configure multer for memory storage; controllers read req.file.buffer
+const storage = multer.memoryStorage();
+
+// Check each uploaded file's content against the allowed types. The detected
+// mimetype replaces whatever the client sent, so storage and OCR can rely on it.
+const verifyContent = (types, label) => (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  for (const file of files) {
+    const detected = detectFileType(file.buffer);
+    if (!detected || !types.includes(detected.ext)) {
+      return res.status(400).json({ error: `${file.originalname} is not a supported ${label} file` });
+    }
+    file.mimetype = detected.mime;
+  }
+  next();
+};
+
+/**
+ * Build an upload handler. Text formats are matched on their file extension;
+ * binary formats on their content (see utils/fileType.js for the known types).
+ * @param {Object} options - { extensions: ['csv', ...] or types: ['jpg', 'pdf', ...], label: 'image', fileSize }
+ * @returns {Object} - { single(field), array(field, maxCount) } route middleware
+ */
+const createUpload = ({ extensions, types, label, fileSize = 5 * 1024 * 1024 }) => {
+  const pattern = extensions ? new RegExp(`\\.(${extensions.join('|')})$`, 'i') : null;
+
+  const upload = multer({
+    storage,
+    limits: {
+      fileSize, // 5MB limit by default
+    },
+    fileFilter: (req, file, cb) => {
+      if (pattern && !pattern.test(file.originalname)) {
+        return cb(new Error(`Only ${label} files are allowed!`), false);
+      }
+      cb(null, true);
+    }
+  });
+
+  const withContentCheck = (handler) => (types ? [handler, verifyContent(types, label)] : handler);
+
+  return {
+    single: (field) => withContentCheck(upload.single(field)),
+    array: (field, maxCount) => withContentCheck(upload.array(field, maxCount)),
+  };
+};
+
+module.exports = { createUpload };
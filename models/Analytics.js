@@ -0,0 +1,248 @@
+const db = require("../config/db");
+const { todayIn, getPeriodRange, getDaysInPeriod } = require("../utils/period");
+const { calculateCategoryTotals, calculateCurrencyExposure, calculateBreakdown } = require("../utils/aggregations");
+const { matchesExpenseFilters } = require("../utils/expenseFilters");
+const { createAmountNormalizer } = require("../utils/currency");
+const RecurringExpense = require("./RecurringExpense");
+const Income = require("./Income");
+const User = require("./User");
+
+// Percentage change from one period to the next; Infinity when the previous period was zero
+const getPercentChange = (current, previous) => {
+  if (previous > 0) return Math.round(((current - previous) / previous) * 10000) / 100;
+  return current > 0 ? Infinity : 0;
+};
+
+const Analytics = {
+  /**
+   * Build the spending and cash-flow report served by GET /api/analytics
+   * @param {String} uid - Owner of the expenses
+   * @param {Object} options - { timeframe, customStart, customEnd, filters } where filters
+   *   is an optional parseExpenseFilters result applied to both periods' expenses. Income and
+   *   the cash-flow fields (netSavings, savingsRate, cashFlowTrend) always use all spending.
+   * @returns {Object} - { report, expenses, period }
+   */
+  getReport: async (uid, { timeframe = "month", customStart, customEnd, filters = null } = {}) => {
+    // --- Date Calculation Logic ---
+    // Periods follow the user's calendar: their timezone's "today" and first day of the week
+    const { currency: baseCurrency, timezone, weekStartDay } = await User.getPreferences(uid);
+    const today = todayIn(timezone);
+    const { startDate, endDate, previousStartDate, previousEndDate } = getPeriodRange(timeframe, customStart, customEnd, { timezone, weekStartDay });
+
+    const expensesRef = db.collection("expenses");
+
+    // Query for current period expenses
+    const currentPeriodQuery = expensesRef
+      .where("userId", "==", uid)
+      .where("date", ">=", startDate)
+      .where("date", "<=", endDate);
+
+    // Query for previous period expenses
+    const previousPeriodQuery = expensesRef
+      .where("userId", "==", uid)
+      .where("date", ">=", previousStartDate)
+      .where("date", "<=", previousEndDate);
+
+    // Fetch data concurrently
+    const [currentPeriodSnapshot, previousPeriodSnapshot, currentIncomeDocs, previousIncomeDocs] = await Promise.all([
+      currentPeriodQuery.get(),
+      previousPeriodQuery.get(),
+      Income.findInRange(uid, { from: startDate, to: endDate }),
+      Income.findInRange(uid, { from: previousStartDate, to: previousEndDate }),
+    ]);
+
+    // Narrow both periods to the requested filters (exports, chatbot queries)
+    const applyFilters = (snapshot) => (filters
+      ? snapshot.docs.filter(doc => matchesExpenseFilters(doc.data(), filters))
+      : snapshot.docs);
+    const currentPeriodDocs = applyFilters(currentPeriodSnapshot);
+    const previousPeriodDocs = applyFilters(previousPeriodSnapshot);
+
+    // Report every amount in the user's current base currency
+    const toBaseAmount = await createAmountNormalizer(
+      [...currentPeriodSnapshot.docs, ...previousPeriodDocs, ...currentIncomeDocs, ...previousIncomeDocs],
+      baseCurrency
+    );
+
+    // --- Process Current Period ---
+    const expenses = [];
+    const dailySpending = {};
+    const { totals: currentCategoryTotals, totalAmount: totalSpent } = calculateCategoryTotals(currentPeriodDocs, toBaseAmount);
+
+    currentPeriodDocs.forEach(doc => {
+      const data = doc.data();
+      try {
+        const amount = toBaseAmount(data);
+        if (isNaN(amount)) return;
+
+        // Add to expenses array (for top expenses)
+        expenses.push({
+          id: doc.id,
+          ...data,
+          amount: amount
+        });
+
+        // Add to daily spending
+        if (!dailySpending[data.date]) {
+          dailySpending[data.date] = 0;
+        }
+        dailySpending[data.date] += amount;
+      } catch(e) {/* ignore */}
+    });
+
+    // --- Process Income ---
+    const dailyIncome = {};
+    let totalIncome = 0;
+    currentIncomeDocs.forEach(doc => {
+      const data = doc.data();
+      const amount = toBaseAmount(data);
+      if (isNaN(amount)) return;
+      totalIncome += amount;
+      dailyIncome[data.date] = (dailyIncome[data.date] || 0) + amount;
+    });
+    const previousIncomeTotal = previousIncomeDocs.reduce((sum, doc) => sum + (toBaseAmount(doc.data()) || 0), 0);
+    const incomeBreakdown = calculateBreakdown(currentIncomeDocs, data => [data.type || "other"], toBaseAmount);
+
+    // Cash flow sets income against everything spent, so it ignores the filters;
+    // filtered spending against all income would say nothing about savings
+    const dailyOutflow = {};
+    let totalOutflow = 0;
+    currentPeriodSnapshot.docs.forEach(doc => {
+      const data = doc.data();
+      const amount = toBaseAmount(data);
+      if (isNaN(amount)) return;
+      totalOutflow += amount;
+      dailyOutflow[data.date] = (dailyOutflow[data.date] || 0) + amount;
+    });
+
+    // --- Process Previous Period ---
+    const { totals: previousCategoryTotals, totalAmount: previousPeriodTotal } = calculateCategoryTotals(previousPeriodDocs, toBaseAmount);
+
+    // --- Calculate Metrics ---
+    // Average Daily Spending
+    const daysInPeriod = getDaysInPeriod(startDate, endDate);
+    const avgDailySpent = totalSpent / daysInPeriod;
+
+    // Category Breakdown (Current Period)
+    const categoryBreakdown = Object.entries(currentCategoryTotals)
+      .map(([name, value]) => ({ name, value }))
+      .sort((a, b) => b.value - a.value);
+
+    // Tag and Payment Method Breakdowns (Current Period)
+    // Untagged spending is left out of the tag breakdown; unrecorded payment methods are "unspecified"
+    const tagBreakdown = calculateBreakdown(currentPeriodDocs, data => data.tags || [], toBaseAmount);
+    const paymentMethodBreakdown = calculateBreakdown(currentPeriodDocs, data => [data.paymentMethod || "unspecified"], toBaseAmount);
+
+    // Spending and Cash-Flow Trends (Fill missing days)
+    // Month ranges already run from the 1st to the last day, so the trend covers the whole month
+    const spendingTrend = [];
+    const cashFlowTrend = [];
+    const currentDateIterator = new Date(startDate + 'T00:00:00Z');
+    const endDateObj = new Date(endDate + 'T00:00:00Z');
+
+    while (currentDateIterator <= endDateObj) {
+      const dateStr = currentDateIterator.toISOString().split('T')[0];
+      spendingTrend.push({
+        date: dateStr,
+        amount: dailySpending[dateStr] || 0
+      });
+      const income = Math.round((dailyIncome[dateStr] || 0) * 100) / 100;
+      const spent = Math.round((dailyOutflow[dateStr] || 0) * 100) / 100;
+      cashFlowTrend.push({
+        date: dateStr,
+        income,
+        expenses: spent,
+        net: Math.round((income - spent) * 100) / 100
+      });
+      currentDateIterator.setUTCDate(currentDateIterator.getUTCDate() + 1);
+    }
+
+    // Top Expenses
+    const topExpenses = expenses
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, 5)
+      .map(expense => ({
+        title: expense.title,
+        amount: expense.amount,
+        category: expense.category,
+        date: expense.date
+      }));
+
+    // --- Comparison Calculations ---
+    // Overall Comparison
+    const percentChange = getPercentChange(totalSpent, previousPeriodTotal);
+
+    // Category Comparison
+    const categoryComparison = categoryBreakdown.map(currentCat => {
+      const previousValue = previousCategoryTotals[currentCat.name] || 0;
+      return {
+        name: currentCat.name,
+        currentValue: currentCat.value,
+        previousValue: previousValue,
+        percentChange: getPercentChange(currentCat.value, previousValue)
+      };
+    });
+
+    // Add categories from the previous period that don't exist in the current one
+    Object.keys(previousCategoryTotals).forEach(prevCatName => {
+      if (!currentCategoryTotals[prevCatName]) {
+        categoryComparison.push({
+          name: prevCatName,
+          currentValue: 0,
+          previousValue: previousCategoryTotals[prevCatName],
+          percentChange: -100
+        });
+      }
+    });
+
+    // Upcoming Recurring Charges (rest of the current period)
+    let upcomingRecurring = { total: 0, charges: [] };
+    if (endDate >= today) {
+      upcomingRecurring = await RecurringExpense.getUpcoming(uid, endDate);
+    }
+
+    // Net Savings: what's left of the period's income after all spending
+    const netSavings = Math.round((totalIncome - totalOutflow) * 100) / 100;
+
+    const report = {
+      baseCurrency,
+      timezone,
+      weekStartDay,
+      totalSpent,
+      avgDailySpent: avgDailySpent || 0,
+      totalIncome: Math.round(totalIncome * 100) / 100,
+      netSavings,
+      // Share of income saved, as a percentage; null when there was no income to save from
+      savingsRate: totalIncome > 0 ? Math.round((netSavings / totalIncome) * 10000) / 100 : null,
+      incomeBreakdown,
+      categoryBreakdown,
+      tagBreakdown,
+      paymentMethodBreakdown,
+      spendingTrend,
+      cashFlowTrend,
+      upcomingRecurring,
+      topExpenses,
+      comparison: {
+        currentPeriodTotal: totalSpent,
+        previousPeriodTotal: previousPeriodTotal,
+        percentChange,
+      },
+      incomeComparison: {
+        currentPeriodTotal: Math.round(totalIncome * 100) / 100,
+        previousPeriodTotal: Math.round(previousIncomeTotal * 100) / 100,
+        percentChange: getPercentChange(totalIncome, previousIncomeTotal),
+      },
+      categoryComparison,
+      currencyExposure: calculateCurrencyExposure(currentPeriodDocs, toBaseAmount, baseCurrency),
+      timeframe
+    };
+
+    return {
+      report,
+      expenses,
+      period: { startDate, endDate, previousStartDate, previousEndDate },
+    };
+  },
+};
+
+module.exports = Analytics;
@@ -0,0 +1,76 @@
+const db = require("../config/db");
+const { todayIn, getPeriodRange, getDaysInPeriod } = require("../utils/period");
+const { calculateCategoryTotals } = require("../utils/aggregations");
+const { createAmountNormalizer } = require("../utils/currency");
+const User = require("./User");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const Budget = {
+  /**
+   * Compare each monthly category budget against this month's spending.
+   * Limits and spending are both in the user's base currency.
+   * @param {String} userId - Owner of the budgets
+   * @returns {Object} - Period boundaries, per-category status and overall totals
+   */
+  getStatus: async (userId) => {
+    // "This month" on the user's calendar
+    const { currency: baseCurrency, timezone } = await User.getPreferences(userId);
+    const { startDate, endDate } = getPeriodRange("month", null, null, { timezone });
+
+    const [budgetSnapshot, expenseSnapshot] = await Promise.all([
+      db.collection("budgets").where("userId", "==", userId).get(),
+      db.collection("expenses")
+        .where("userId", "==", userId)
+        .where("date", ">=", startDate)
+        .where("date", "<=", endDate)
+        .get(),
+    ]);
+
+    const toBaseAmount = await createAmountNormalizer(expenseSnapshot.docs, baseCurrency);
+    const { totals } = calculateCategoryTotals(expenseSnapshot, toBaseAmount);
+
+    // Project at the daily rate seen so far this period
+    const today = todayIn(timezone);
+    const daysInPeriod = getDaysInPeriod(startDate, endDate);
+    const daysElapsed = getDaysInPeriod(startDate, today < endDate ? today : endDate);
+
+    const categories = budgetSnapshot.docs.map((doc) => {
+      const { category, limit } = doc.data();
+      const spent = round2(totals[category] || 0);
+      const dailyRate = spent / daysElapsed;
+      const projectedSpend = round2(dailyRate * daysInPeriod);
+
+      return {
+        id: doc.id,
+        category,
+        limit,
+        spent,
+        remaining: round2(limit - spent),
+        percentUsed: limit > 0 ? round2((spent / limit) * 100) : 0,
+        dailyRate: round2(dailyRate),
+        projectedSpend,
+        projectedOverspend: round2(Math.max(0, projectedSpend - limit)),
+        isOverBudget: spent > limit,
+      };
+    });
+
+    const totalLimit = round2(categories.reduce((sum, c) => sum + c.limit, 0));
+    const totalSpent = round2(categories.reduce((sum, c) => sum + c.spent, 0));
+
+    return {
+      baseCurrency,
+      startDate,
+      endDate,
+      daysElapsed,
+      daysInPeriod,
+      categories,
+      totalLimit,
+      totalSpent,
+      totalRemaining: round2(totalLimit - totalSpent),
+      overBudgetCategories: categories.filter((c) => c.isOverBudget).map((c) => c.category),
+    };
+  },
+};
+
+module.exports = Budget;
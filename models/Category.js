@@ -0,0 +1,320 @@
+const admin = require("firebase-admin");
+const db = require("../config/db");
+const {
+  EXPENSE_CATEGORIES,
+  OTHER_CATEGORY,
+  INVESTMENTS_CATEGORY,
+  DEFAULT_CATEGORY_STYLES,
+  DEFAULT_CATEGORY_STYLE,
+} = require("../utils/categories");
+
+// Each user's category tree: top-level categories (parentId null) and their subcategories
+const COLLECTION = "categories";
+
+// Firestore batches top out at 500 writes
+const WRITE_BATCH_SIZE = 400;
+
+const sameName = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const toCategory = (doc) => {
+  const { name, parentId = null, icon, color, archived = false, order = 0 } = doc.data();
+  return { id: doc.id, name, parentId, icon, color, archived, order };
+};
+
+const byOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+// What the API returns for a category; the sort order stays internal
+const toResponse = ({ id, name, parentId, icon, color, archived }) => ({ id, name, parentId, icon, color, archived });
+
+// Run writes in as many batches as they need. Large renames therefore aren't atomic,
+// but every write is idempotent, so repeating a failed rename finishes the job.
+const commitInBatches = async (writes) => {
+  for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + WRITE_BATCH_SIZE).forEach((write) => write(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Give a user the default categories, plus any other category their expenses already
+ * use (manual entry used to accept any text). Document IDs are derived from the name,
+ * so two requests seeding at once write the same documents.
+ */
+const seedDefaults = async (userId) => {
+  const expenses = await db.collection("expenses").where("userId", "==", userId).get();
+  const names = [...EXPENSE_CATEGORIES];
+  expenses.forEach((doc) => {
+    const { category } = doc.data();
+    if (typeof category === "string" && category.trim() && !names.some((name) => sameName(name, category))) {
+      names.push(category);
+    }
+  });
+
+  const writes = names.map((name, order) => (batch) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || String(order);
+    batch.set(db.collection(COLLECTION).doc(`${userId}_${slug}`), {
+      userId,
+      name,
+      parentId: null,
+      ...(DEFAULT_CATEGORY_STYLES[name] || DEFAULT_CATEGORY_STYLE),
+      archived: false,
+      order,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+  await commitInBatches(writes);
+};
+
+// Every category of the user, archived ones included, seeding them on first use
+const loadAll = async (userId) => {
+  let snapshot = await db.collection(COLLECTION).where("userId", "==", userId).get();
+  if (snapshot.empty) {
+    await seedDefaults(userId);
+    snapshot = await db.collection(COLLECTION).where("userId", "==", userId).get();
+  }
+  return snapshot.docs.map(toCategory);
+};
+
+// Move the expenses filed under a category (or one of its subcategories) to another
+const relabelExpenses = async (userId, { category, subcategory }, update) => {
+  let query = db.collection("expenses")
+    .where("userId", "==", userId)
+    .where("category", "==", category);
+  if (subcategory !== undefined) query = query.where("subcategory", "==", subcategory);
+
+  const snapshot = await query.get();
+  const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+  await commitInBatches(snapshot.docs.map((doc) => (batch) => batch.update(doc.ref, { ...update, updatedAt })));
+  return snapshot.size;
+};
+
+// Budgets, recurring templates and default categories only use top-level categories
+const renameTopLevel = async (userId, from, to) => {
+  const [budgets, templates, userDoc] = await Promise.all([
+    db.collection("budgets").where("userId", "==", userId).where("category", "==", from).get(),
+    db.collection("recurringExpenses").where("userId", "==", userId).where("category", "==", from).get(),
+    db.collection("users").doc(userId).get(),
+  ]);
+
+  const writes = [];
+  if (!budgets.empty) {
+    // One budget per category: when the target already has one, the limits are combined
+    const existing = from === to
+      ? { empty: true }
+      : await db.collection("budgets").where("userId", "==", userId).where("category", "==", to).limit(1).get();
+    if (existing.empty) {
+      budgets.forEach((doc) => writes.push((batch) => batch.update(doc.ref, { category: to })));
+    } else {
+      const target = existing.docs[0];
+      const limit = budgets.docs.reduce((sum, doc) => sum + doc.data().limit, target.data().limit);
+      writes.push((batch) => batch.update(target.ref, { limit }));
+      budgets.forEach((doc) => writes.push((batch) => batch.delete(doc.ref)));
+    }
+  }
+  templates.forEach((doc) => writes.push((batch) => batch.update(doc.ref, { category: to })));
+
+  const defaultCategories = userDoc.exists ? userDoc.data().defaultCategories : null;
+  if (Array.isArray(defaultCategories) && defaultCategories.includes(from)) {
+    const renamed = [...new Set(defaultCategories.map((name) => (name === from ? to : name)))];
+    writes.push((batch) => batch.update(userDoc.ref, { defaultCategories: renamed }));
+  }
+
+  await commitInBatches(writes);
+};
+
+const Category = {
+  COLLECTION,
+  sameName,
+
+  /**
+   * The user's categories as a tree, ordered as they were created
+   * @param {String} userId - Firebase UID
+   * @param {Object} options - { includeArchived }; archived categories are left out by default,
+   *   and so are the subcategories of an archived category
+   * @returns {Array} - [{ id, name, parentId, icon, color, archived, subcategories: [...] }]
+   */
+  getTree: async (userId, { includeArchived = false } = {}) => {
+    const all = (await loadAll(userId)).sort(byOrder);
+    const visible = (category) => includeArchived || !category.archived;
+
+    return all
+      .filter((category) => category.parentId === null && visible(category))
+      .map((category) => ({
+        ...toResponse(category),
+        subcategories: all.filter((child) => child.parentId === category.id && visible(child)).map(toResponse),
+      }));
+  },
+
+  /**
+   * Names of the user's top-level categories, e.g. for prompts and validation
+   * @param {String} userId - Firebase UID
+   * @param {Object} options - { includeArchived }
+   * @returns {String[]}
+   */
+  getNames: async (userId, options) => (await Category.getTree(userId, options)).map((category) => category.name),
+
+  /**
+   * Fetch a category and verify it belongs to the user
+   * @returns {Object} - { categoryRef, category }, or { status, error } when missing or not theirs
+   */
+  getOwned: async (id, userId) => {
+    const categoryRef = db.collection(COLLECTION).doc(id);
+    const doc = await categoryRef.get();
+
+    if (!doc.exists) return { status: 404, error: "Category not found" };
+    if (doc.data().userId !== userId) return { status: 403, error: "Unauthorized" };
+
+    return { categoryRef, category: toCategory(doc) };
+  },
+
+  /**
+   * Add a category, or a subcategory when parentId is given. Subcategories take their
+   * parent's icon and color unless others are provided.
+   * @param {String} userId - Firebase UID
+   * @param {Object} fields - Validated { name, parentId?, icon?, color? }
+   * @returns {Object} - { category }, or { status, error }
+   */
+  create: async (userId, { name, parentId = null, icon, color }) => {
+    const all = await loadAll(userId);
+
+    let parent = null;
+    if (parentId) {
+      parent = all.find((category) => category.id === parentId);
+      if (!parent) return { status: 404, error: "Parent category not found" };
+      if (parent.parentId) return { status: 400, error: "Subcategories can't have subcategories of their own" };
+      if (parent.archived) return { status: 400, error: `${parent.name} is archived; unarchive it first` };
+    }
+
+    const siblings = all.filter((category) => category.parentId === (parent ? parent.id : null));
+    const clash = siblings.find((category) => sameName(category.name, name));
+    if (clash) {
+      return {
+        status: 409,
+        error: clash.archived
+          ? `${clash.name} already exists but is archived; unarchive it instead`
+          : `A category named ${clash.name} already exists`,
+      };
+    }
+
+    const style = parent || DEFAULT_CATEGORY_STYLE;
+    const category = {
+      name,
+      parentId: parent ? parent.id : null,
+      icon: icon || style.icon,
+      color: color || style.color,
+      archived: false,
+      order: siblings.reduce((max, sibling) => Math.max(max, sibling.order + 1), 0),
+    };
+    const categoryRef = await db.collection(COLLECTION).add({
+      userId,
+      ...category,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { category: toResponse({ id: categoryRef.id, ...category }) };
+  },
+
+  /**
+   * Rename, restyle, archive or unarchive a category. Renaming also relabels the
+   * expenses (and budgets, recurring expenses and default categories) filed under it.
+   * @param {Object} owned - { categoryRef, category } from getOwned
+   * @param {Object} fields - Validated subset of { name, icon, color, archived }
+   * @param {String} userId - Firebase UID
+   * @returns {Object} - { category, relabeled }, or { status, error }
+   */
+  update: async ({ categoryRef, category }, fields, userId) => {
+    const all = await loadAll(userId);
+    const parent = category.parentId ? all.find((c) => c.id === category.parentId) : null;
+    const renaming = fields.name !== undefined && fields.name !== category.name;
+
+    if (!parent && category.name === OTHER_CATEGORY && (renaming || fields.archived)) {
+      return { status: 400, error: `${OTHER_CATEGORY} can't be renamed or archived` };
+    }
+    // Savings goals find their contributions by this name
+    if (!parent && category.name === INVESTMENTS_CATEGORY && renaming) {
+      return { status: 400, error: `${INVESTMENTS_CATEGORY} can't be renamed; savings goals count its expenses` };
+    }
+    if (renaming) {
+      const clash = all.find((c) => c.id !== category.id && c.parentId === category.parentId && sameName(c.name, fields.name));
+      if (clash) return { status: 409, error: `A category named ${clash.name} already exists` };
+    }
+    if (fields.archived === false && parent && parent.archived) {
+      return { status: 400, error: `${parent.name} is archived; unarchive it first` };
+    }
+
+    let relabeled = 0;
+    if (renaming) {
+      if (parent) {
+        relabeled = await relabelExpenses(userId, { category: parent.name, subcategory: category.name }, { subcategory: fields.name });
+      } else {
+        relabeled = await relabelExpenses(userId, { category: category.name }, { category: fields.name });
+        await renameTopLevel(userId, category.name, fields.name);
+      }
+    }
+
+    await categoryRef.update({ ...fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { category: toResponse({ ...category, ...fields }), relabeled };
+  },
+
+  /**
+   * Fold one category into another and delete it. A category merges into another
+   * top-level category, bringing its subcategories along (joining same-named ones);
+   * a subcategory merges into any category or subcategory.
+   * @param {Object} owned - { categoryRef, category } from getOwned for the category going away
+   * @param {String} targetId - Category that takes over its expenses
+   * @param {String} userId - Firebase UID
+   * @returns {Object} - { category, relabeled } with the target category, or { status, error }
+   */
+  merge: async ({ categoryRef, category: source }, targetId, userId) => {
+    const all = await loadAll(userId);
+    const target = all.find((c) => c.id === targetId);
+    if (!target) return { status: 404, error: "Target category not found" };
+    if (target.id === source.id) return { status: 400, error: "A category can't be merged into itself" };
+
+    const targetParent = target.parentId ? all.find((c) => c.id === target.parentId) : null;
+    if (target.archived || (targetParent && targetParent.archived)) {
+      return { status: 400, error: "Can't merge into an archived category" };
+    }
+
+    let relabeled = 0;
+    const writes = [];
+
+    if (!source.parentId) {
+      if (source.name === OTHER_CATEGORY) return { status: 400, error: `${OTHER_CATEGORY} can't be merged away` };
+      if (source.name === INVESTMENTS_CATEGORY) {
+        return { status: 400, error: `${INVESTMENTS_CATEGORY} can't be merged away; savings goals count its expenses` };
+      }
+      if (targetParent) return { status: 400, error: "A category can only be merged into another top-level category" };
+
+      relabeled = await relabelExpenses(userId, { category: source.name }, { category: target.name });
+      await renameTopLevel(userId, source.name, target.name);
+
+      // Subcategories move across, or join the target's subcategory of the same name
+      for (const child of all.filter((c) => c.parentId === source.id)) {
+        const match = all.find((c) => c.parentId === target.id && sameName(c.name, child.name));
+        if (!match) {
+          writes.push((batch) => batch.update(db.collection(COLLECTION).doc(child.id), { parentId: target.id }));
+          continue;
+        }
+        if (match.name !== child.name) {
+          await relabelExpenses(userId, { category: target.name, subcategory: child.name }, { subcategory: match.name });
+        }
+        writes.push((batch) => batch.delete(db.collection(COLLECTION).doc(child.id)));
+      }
+    } else {
+      const sourceParent = all.find((c) => c.id === source.parentId);
+      relabeled = await relabelExpenses(userId, { category: sourceParent.name, subcategory: source.name }, {
+        category: targetParent ? targetParent.name : target.name,
+        subcategory: targetParent ? target.name : null,
+      });
+    }
+
+    writes.push((batch) => batch.delete(categoryRef));
+    await commitInBatches(writes);
+
+    return { category: toResponse(target), relabeled };
+  },
+};
+
+module.exports = Category;
@@ -0,0 +1,175 @@
+const admin = require("firebase-admin");
+const db = require("../config/db");
+
+const COLLECTION = "conversations";
+
+// Idle conversations expire after this long; CHAT_HISTORY_TTL_HOURS overrides it
+const TTL_MS = (parseFloat(process.env.CHAT_HISTORY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Earlier messages sent to the model with each new one
+const HISTORY_LIMIT = 10;
+
+// Firestore batches top out at 500 writes
+const DELETE_BATCH_SIZE = 400;
+
+const toDate = (value) => (value && value.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const nextExpiry = () => new Date(Date.now() + TTL_MS);
+
+const isExpired = (data) => {
+  const expiresAt = toDate(data.expiresAt);
+  return Boolean(expiresAt) && expiresAt <= new Date();
+};
+
+// Delete a conversation together with its messages subcollection
+const removeWithMessages = async (conversationRef) => {
+  for (;;) {
+    const messages = await conversationRef.collection("messages").limit(DELETE_BATCH_SIZE).get();
+    if (messages.empty) break;
+
+    const batch = db.batch();
+    messages.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  await conversationRef.delete();
+};
+
+const Conversation = {
+  COLLECTION,
+  HISTORY_LIMIT,
+  isExpired,
+
+  /**
+   * Start a conversation, titled after its first message. Nothing is stored until
+   * save() is called, so a first turn that fails leaves no empty conversation behind.
+   * @param {String} userId - Owner of the conversation
+   * @param {String} firstMessage - Used for the title
+   * @returns {Object} - { ref, data }
+   */
+  draft: (userId, firstMessage) => {
+    const ref = db.collection(COLLECTION).doc();
+    const data = {
+      userId,
+      title: String(firstMessage).trim().slice(0, 60),
+      lastIntent: null,
+      lastExpenseId: null,
+      messageCount: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: nextExpiry(),
+    };
+    return { ref, data };
+  },
+
+  /**
+   * Store a conversation started with draft()
+   * @param {Object} conversation - { ref, data } from draft
+   */
+  save: async ({ ref, data }) => {
+    await ref.set(data);
+  },
+
+  /**
+   * Fetch a conversation the user owns and can still continue
+   * @param {Object} options - { allowExpired } to also return expired conversations
+   * @returns {Object} - { ref, data }, or { status, error } when missing, not theirs or expired
+   */
+  getOwned: async (id, userId, { allowExpired = false } = {}) => {
+    const ref = db.collection(COLLECTION).doc(id);
+    const doc = await ref.get();
+
+    if (!doc.exists) return { status: 404, error: "Conversation not found" };
+    if (doc.data().userId !== userId) return { status: 403, error: "Unauthorized" };
+    if (!allowExpired && isExpired(doc.data())) return { status: 410, error: "Conversation has expired" };
+
+    return { ref, data: doc.data() };
+  },
+
+  /**
+   * The most recent messages as model chat messages, oldest first
+   * @param {Object} ref - Conversation document reference
+   * @param {Number} limit - Most messages to return
+   * @returns {Array} - [{ role: "user" | "assistant", content }]
+   */
+  getHistory: async (ref, limit = HISTORY_LIMIT) => {
+    const snapshot = await ref.collection("messages").orderBy("createdAt", "desc").limit(limit).get();
+    return snapshot.docs.reverse().map((doc) => ({ role: doc.data().role, content: doc.data().content }));
+  },
+
+  // Every message in a conversation, oldest first
+  getMessages: async (ref) => {
+    const snapshot = await ref.collection("messages").orderBy("createdAt", "asc").get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data(), createdAt: toDate(doc.data().createdAt) }));
+  },
+
+  /**
+   * Store a user message and the reply to it, and push the expiry back
+   * @param {Object} ref - Conversation document reference
+   * @param {String} message - What the user said
+   * @param {String} reply - What the assistant answered
+   * @param {Object} context - { intent, expenseId } where expenseId is an expense the turn created
+   */
+  appendTurn: async (ref, message, reply, { intent = null, expenseId = null } = {}) => {
+    // Explicit times keep the pair in order; both writes share one server timestamp otherwise
+    const now = Date.now();
+    const batch = db.batch();
+    batch.set(ref.collection("messages").doc(), { role: "user", content: message, createdAt: new Date(now) });
+    batch.set(ref.collection("messages").doc(), { role: "assistant", content: reply, intent, createdAt: new Date(now + 1) });
+
+    const updates = {
+      lastIntent: intent,
+      messageCount: admin.firestore.FieldValue.increment(2),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: nextExpiry(),
+    };
+    if (expenseId) updates.lastExpenseId = expenseId;
+    batch.update(ref, updates);
+
+    await batch.commit();
+  },
+
+  /**
+   * A user's conversations that haven't expired, most recently active first
+   * @param {String} userId - Owner of the conversations
+   * @returns {Array}
+   */
+  list: async (userId) => {
+    const snapshot = await db.collection(COLLECTION).where("userId", "==", userId).get();
+
+    return snapshot.docs
+      .filter((doc) => !isExpired(doc.data()))
+      .map((doc) => {
+        const { title, lastIntent, messageCount, createdAt, updatedAt, expiresAt } = doc.data();
+        return {
+          id: doc.id,
+          title,
+          lastIntent,
+          messageCount,
+          createdAt: toDate(createdAt),
+          updatedAt: toDate(updatedAt),
+          expiresAt: toDate(expiresAt),
+        };
+      })
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  },
+
+  remove: removeWithMessages,
+
+  /**
+   * Delete conversations past their expiry, messages included
+   * @returns {Number} - Number of conversations deleted
+   */
+  purgeExpired: async () => {
+    const snapshot = await db.collection(COLLECTION)
+      .where("expiresAt", "<=", new Date())
+      .limit(DELETE_BATCH_SIZE)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      await removeWithMessages(doc.ref);
+    }
+    return snapshot.size;
+  },
+};
+
+module.exports = Conversation;
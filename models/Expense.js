@@ -1,5 +1,21 @@
 const admin = require("../config/firebaseAdmin"); // Firestore setup
 const db = admin.firestore();
+const { matchesExpenseFilters } = require("../utils/expenseFilters");
+const storage = require("../services/storage");
+const { toLedgerFields, buildLedgerFields } = require("../utils/currency");
+const User = require("./User");
+
+// Unset fields count as null, and tag lists are compared by value
+const isSameValue = (a, b) => (Array.isArray(a) || Array.isArray(b)
+  ? JSON.stringify(a ?? []) === JSON.stringify(b ?? [])
+  : (a ?? null) === (b ?? null));
+
+// Documents read per Firestore round trip while paging, and the most round trips per page
+const SCAN_BATCH_SIZE = 200;
+const MAX_SCAN_BATCHES = 10;
+
+// Firestore allows at most 500 writes per batch
+const WRITE_BATCH_SIZE = 400;
 
 const Expense = {
   addManualExpense: async (userId, amount, category, date, title = "") => {
@@ -19,6 +35,225 @@ const Expense = {
       throw new Error("Error adding expense: " + error.message);
     }
   },
+
+  /**
+   * Fetch one page of a user's expenses matching the given filters.
+   * Equality filters and the range on the sort field run in Firestore; the rest
+   * (other ranges, legacy "manual" source, title search) are applied while scanning.
+   * @param {String} userId - Owner of the expenses
+   * @param {Object} filters - Output of parseExpenseFilters
+   * @param {Object} options - { limit, after } where after is the cursor DocumentSnapshot
+   * @returns {Object} - { expenses, nextCursor }
+   */
+  findPage: async (userId, filters, { limit, after = null }) => {
+    let query = db.collection("expenses").where("userId", "==", userId);
+
+    if (filters.categories.length === 1) {
+      query = query.where("category", "==", filters.categories[0]);
+    } else if (filters.categories.length > 1) {
+      query = query.where("category", "in", filters.categories);
+    }
+
+    // Older manual expenses have no source field, so "manual" is matched while scanning
+    if (filters.source && filters.source !== "manual") {
+      query = query.where("source", "==", filters.source);
+    }
+    if (filters.paymentMethods.length === 1) {
+      query = query.where("paymentMethod", "==", filters.paymentMethods[0]);
+    }
+
+    if (filters.sortBy === "date") {
+      if (filters.from) query = query.where("date", ">=", filters.from);
+      if (filters.to) query = query.where("date", "<=", filters.to);
+    } else if (filters.sortBy === "amount") {
+      if (filters.minAmount !== null) query = query.where("amount", ">=", filters.minAmount);
+      if (filters.maxAmount !== null) query = query.where("amount", "<=", filters.maxAmount);
+    }
+
+    query = query.orderBy(filters.sortBy, filters.order);
+
+    const expenses = [];
+    let lastScanned = after;
+
+    for (let batch = 0; batch < MAX_SCAN_BATCHES; batch++) {
+      const pageQuery = lastScanned ? query.startAfter(lastScanned) : query;
+      const snapshot = await pageQuery.limit(SCAN_BATCH_SIZE).get();
+
+      for (const doc of snapshot.docs) {
+        lastScanned = doc;
+        if (!matchesExpenseFilters(doc.data(), filters)) continue;
+
+        expenses.push({ id: doc.id, ...doc.data() });
+        if (expenses.length === limit) {
+          return { expenses, nextCursor: doc.id };
+        }
+      }
+
+      if (snapshot.size < SCAN_BATCH_SIZE) {
+        return { expenses, nextCursor: null };
+      }
+    }
+
+    // Scan budget used up: return a short page and let the client continue from here
+    return { expenses, nextCursor: lastScanned ? lastScanned.id : null };
+  },
+
+  /**
+   * Store amounts that older manual expenses saved as strings ("250") as numbers.
+   * Firestore compares values of different types by type, so a string amount is
+   * invisible to the amount range and out of order when sorting by amount.
+   * Run by scripts/backfillExpenseAmounts.js; safe to repeat, it only touches string amounts.
+   * @returns {Number} - Number of expenses fixed
+   */
+  backfillNumericAmounts: async () => {
+    // Every string sorts at or after "", and every number before it
+    const snapshot = await db.collection("expenses").where("amount", ">=", "").get();
+    const stale = snapshot.docs.filter((doc) => typeof doc.data().amount === "string");
+
+    for (let i = 0; i < stale.length; i += WRITE_BATCH_SIZE) {
+      const batch = db.batch();
+      stale.slice(i, i + WRITE_BATCH_SIZE).forEach((doc) => {
+        const amount = parseFloat(doc.data().amount);
+        batch.update(doc.ref, { amount: isNaN(amount) ? 0 : amount });
+      });
+      await batch.commit();
+    }
+    return stale.length;
+  },
+
+  /**
+   * Fetch an expense and verify it belongs to the user
+   * @param {String} id - Expense document ID
+   * @param {String} uid - User who must own it
+   * @returns {Object} - { expenseRef, doc }, or { status, error } when missing or not theirs
+   */
+  getOwned: async (id, uid) => {
+    const expenseRef = db.collection("expenses").doc(id);
+    const doc = await expenseRef.get();
+
+    if (!doc.exists) return { status: 404, error: "Expense not found" };
+    if (doc.data().userId !== uid) return { status: 403, error: "Unauthorized" };
+
+    return { expenseRef, doc };
+  },
+
+  /**
+   * Apply validated edits to an expense and append them to its revision log atomically.
+   * "amount" and "currency" are the original amount and currency; changing either
+   * rebuilds the ledger fields, keeping the stored rate unless the currency changes.
+   * @param {Object} owned - { expenseRef, doc } from getOwned
+   * @param {Object} fields - Any of title, amount (number), currency, category, subcategory, date,
+   *   tags, notes, paymentMethod
+   * @param {String} uid - User making the edit
+   * @returns {Object} - { changes, expense } where changes is { field: { from, to } }
+   */
+  applyUpdate: async ({ expenseRef, doc }, fields, uid) => {
+    // Only record fields whose value actually changes
+    const current = doc.data();
+    const editable = {
+      ...current,
+      amount: current.originalAmount ?? parseFloat(current.amount),
+      currency: current.originalCurrency ?? current.baseCurrency ?? null,
+    };
+    const changes = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (!isSameValue(editable[field], value)) {
+        changes[field] = { from: editable[field] ?? null, to: value };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return { changes, expense: { id: doc.id, ...current } };
+    }
+
+    const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    Object.entries(changes).forEach(([field, { to }]) => {
+      if (field !== "amount" && field !== "currency") updates[field] = to;
+    });
+
+    if (changes.amount || changes.currency) {
+      const baseCurrency = current.baseCurrency || await User.getBaseCurrency(uid);
+      const originalAmount = fields.amount ?? editable.amount;
+      const originalCurrency = fields.currency ?? editable.currency ?? baseCurrency;
+
+      if (!changes.currency && current.exchangeRate) {
+        Object.assign(updates, toLedgerFields({
+          originalAmount,
+          originalCurrency,
+          baseCurrency,
+          exchangeRate: current.exchangeRate,
+          rateDate: current.rateDate,
+        }));
+      } else {
+        Object.assign(updates, await buildLedgerFields({
+          amount: originalAmount,
+          currency: originalCurrency,
+          baseCurrency,
+          date: fields.date ?? current.date,
+        }));
+      }
+    }
+
+    const batch = db.batch();
+    batch.update(expenseRef, updates);
+    batch.set(expenseRef.collection("revisions").doc(), {
+      changes,
+      editedBy: uid,
+      editedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    const updated = await expenseRef.get();
+    return { changes, expense: { id: doc.id, ...updated.data() } };
+  },
+
+  /**
+   * Delete an expense together with its revision log and, when nothing else
+   * uses it, its stored attachment
+   * @param {Object} owned - { expenseRef, doc } from getOwned
+   */
+  remove: async ({ expenseRef, doc }) => {
+    // Firestore doesn't cascade, so remove the revision log along with the expense, in
+    // batches under the write limit. The expense goes last, so a failed run can be retried.
+    const revisions = await expenseRef.collection("revisions").get();
+    for (let i = 0; i < revisions.docs.length; i += WRITE_BATCH_SIZE) {
+      const batch = db.batch();
+      revisions.docs.slice(i, i + WRITE_BATCH_SIZE).forEach((revision) => batch.delete(revision.ref));
+      await batch.commit();
+    }
+    await expenseRef.delete();
+
+    // The expense is gone either way; a leftover file is only logged
+    try {
+      await Expense.releaseAttachment(doc.data().attachment, doc.id);
+    } catch (cleanupError) {
+      console.error("Error removing expense attachment:", cleanupError);
+    }
+  },
+
+  /**
+   * Delete a stored attachment once no other expense points at it.
+   * Split receipts share one image, so the file stays until its last expense goes.
+   * @param {Object} attachment - { key, ... } as stored on the expense
+   * @param {String} expenseId - The expense letting go of the attachment
+   * @returns {Boolean} - Whether the file was deleted
+   */
+  releaseAttachment: async (attachment, expenseId) => {
+    if (!attachment || !attachment.key) return false;
+
+    const sharedWith = await db.collection("expenses")
+      .where("attachment.key", "==", attachment.key)
+      .limit(2)
+      .get();
+    if (sharedWith.docs.some((doc) => doc.id !== expenseId)) return false;
+
+    await storage.remove(attachment.key);
+
+    // Don't leave the originating receipt pointing at a deleted file
+    const receipts = await db.collection("receipts").where("attachment.key", "==", attachment.key).get();
+    await Promise.all(receipts.docs.map((doc) => doc.ref.update({ attachment: null })));
+    return true;
+  },
 };
 
 module.exports = Expense;
@@ -0,0 +1,236 @@
+const admin = require("firebase-admin");
+const db = require("../config/db");
+const { buildLedgerFields, createAmountNormalizer, getExchangeRate } = require("../utils/currency");
+const { INVESTMENTS_CATEGORY } = require("../utils/categories");
+const { calculateGoalProgress } = require("../utils/goals");
+const { todayIn } = require("../utils/period");
+const User = require("./User");
+
+// Savings goals. Money counts towards a goal when it's logged as a contribution, or
+// spent on an expense tagged with the goal's tag. One goal at a time can also collect
+// untagged Investments expenses.
+const COLLECTION = "goals";
+
+/**
+ * Does an expense count towards a goal?
+ * @param {Object} expense - Expense data
+ * @param {Object} goal - { id, tag, countInvestments, startDate }
+ * @param {Set} goalTags - Tags of all the user's goals; an Investments expense tagged for
+ *   another goal counts only there
+ */
+const isGoalExpense = (expense, goal, goalTags) => {
+  if (expense.date < goal.startDate) return false;
+  const tags = expense.tags || [];
+  if (tags.includes(goal.tag)) return true;
+  return Boolean(goal.countInvestments)
+    && expense.category === INVESTMENTS_CATEGORY
+    && !tags.some((tag) => goalTags.has(tag));
+};
+
+/**
+ * Attach progress to goals, in the user's base currency
+ * @param {String} userId - Owner of the goals
+ * @param {Array} goals - [{ id, ...goal data }]
+ * @param {Object} options - { withEntries } also returns each goal's contributions and linked expenses;
+ *   { goalTags } is the tags of all the user's goals, looked up when not given
+ * @returns {Array} - Goals with { progress } (and { contributions, linkedExpenses })
+ */
+const withProgress = async (userId, goals, { withEntries = false, goalTags = null } = {}) => {
+  if (goals.length === 0) return [];
+
+  const { currency: baseCurrency, timezone } = await User.getPreferences(userId);
+  const today = todayIn(timezone);
+  const earliestStart = goals.reduce((earliest, goal) => (goal.startDate < earliest ? goal.startDate : earliest), goals[0].startDate);
+
+  const [expenseSnapshot, contributionSnapshots] = await Promise.all([
+    db.collection("expenses").where("userId", "==", userId).where("date", ">=", earliestStart).get(),
+    Promise.all(goals.map((goal) => db.collection(COLLECTION).doc(goal.id).collection("contributions").orderBy("date", "desc").get())),
+  ]);
+  const contributionDocs = contributionSnapshots.flatMap((snapshot) => snapshot.docs);
+  const toBaseAmount = await createAmountNormalizer([...expenseSnapshot.docs, ...contributionDocs], baseCurrency);
+  const tags = goalTags || new Set((await db.collection(COLLECTION).where("userId", "==", userId).get())
+    .docs.map((doc) => doc.data().tag));
+
+  return Promise.all(goals.map(async (goal, index) => {
+    const contributions = contributionSnapshots[index].docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const linkedExpenses = expenseSnapshot.docs
+      .filter((doc) => isGoalExpense(doc.data(), goal, tags))
+      .map((doc) => ({ id: doc.id, ...doc.data() }));
+    const saved = [...contributions, ...linkedExpenses].reduce((sum, entry) => sum + (toBaseAmount(entry) || 0), 0);
+
+    // Targets are set in the base currency of the day; follow the user if they change it
+    const targetAmount = goal.currency && goal.currency !== baseCurrency
+      ? Math.round(goal.targetAmount * await getExchangeRate(goal.currency, baseCurrency) * 100) / 100
+      : goal.targetAmount;
+
+    return {
+      ...goal,
+      progress: { baseCurrency, targetAmount, ...calculateGoalProgress({ ...goal, targetAmount }, saved, today) },
+      ...(withEntries ? { contributions, linkedExpenses } : {}),
+    };
+  }));
+};
+
+// Another goal of the user's already using a tag, or collecting Investments expenses
+const findOtherGoal = async (userId, field, value, exceptId = null) => {
+  const snapshot = await db.collection(COLLECTION).where("userId", "==", userId).where(field, "==", value).get();
+  return snapshot.docs.filter((doc) => doc.id !== exceptId);
+};
+
+// Only one goal collects untagged Investments expenses, so the same money isn't counted twice
+const releaseInvestments = async (batch, userId, exceptId) => {
+  const others = await findOtherGoal(userId, "countInvestments", true, exceptId);
+  others.forEach((doc) => batch.update(doc.ref, { countInvestments: false }));
+};
+
+const Goal = {
+  COLLECTION,
+
+  /**
+   * Create a goal. It collects Investments expenses unless another goal already does,
+   * or countInvestments says otherwise; asking for it moves it from the other goal.
+   * @param {String} userId - Firebase UID
+   * @param {Object} fields - Validated { name, targetAmount, deadline, startDate, tag, countInvestments? }
+   * @returns {Object} - { goal } with progress, or { status, error } when the tag is taken
+   */
+  create: async (userId, fields) => {
+    if ((await findOtherGoal(userId, "tag", fields.tag)).length) {
+      return { status: 409, error: `Another goal already uses the tag "${fields.tag}"` };
+    }
+
+    const countInvestments = fields.countInvestments
+      ?? (await findOtherGoal(userId, "countInvestments", true)).length === 0;
+    const goalRef = db.collection(COLLECTION).doc();
+    const goal = {
+      userId,
+      name: fields.name,
+      targetAmount: fields.targetAmount,
+      currency: await User.getBaseCurrency(userId),
+      deadline: fields.deadline,
+      startDate: fields.startDate,
+      tag: fields.tag,
+      countInvestments,
+    };
+
+    const batch = db.batch();
+    if (countInvestments) await releaseInvestments(batch, userId, goalRef.id);
+    batch.set(goalRef, { ...goal, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    await batch.commit();
+
+    const [withStatus] = await withProgress(userId, [{ id: goalRef.id, ...goal }]);
+    return { goal: withStatus };
+  },
+
+  /**
+   * A user's goals with their progress, nearest deadline first
+   * @param {String} userId - Firebase UID
+   * @returns {Array}
+   */
+  list: async (userId) => {
+    const snapshot = await db.collection(COLLECTION).where("userId", "==", userId).get();
+    const goals = snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.deadline.localeCompare(b.deadline));
+    return withProgress(userId, goals, { goalTags: new Set(goals.map((goal) => goal.tag)) });
+  },
+
+  /**
+   * Fetch a goal and verify it belongs to the user
+   * @returns {Object} - { goalRef, doc }, or { status, error } when missing or not theirs
+   */
+  getOwned: async (id, userId) => {
+    const goalRef = db.collection(COLLECTION).doc(id);
+    const doc = await goalRef.get();
+
+    if (!doc.exists) return { status: 404, error: "Goal not found" };
+    if (doc.data().userId !== userId) return { status: 403, error: "Unauthorized" };
+
+    return { goalRef, doc };
+  },
+
+  /**
+   * One goal with its progress, contributions and the expenses counted towards it
+   * @param {Object} owned - { doc } from getOwned
+   * @param {String} userId - Firebase UID
+   * @returns {Object}
+   */
+  getDetails: async ({ doc }, userId) => {
+    const [goal] = await withProgress(userId, [{ id: doc.id, ...doc.data() }], { withEntries: true });
+    return goal;
+  },
+
+  /**
+   * Save validated edits
+   * @param {Object} owned - { goalRef, doc } from getOwned
+   * @param {Object} fields - Any of name, targetAmount, deadline, startDate, tag, countInvestments
+   * @param {String} userId - Firebase UID
+   * @returns {Object} - { goal } with progress, or { status, error } when the tag is taken
+   */
+  update: async ({ goalRef, doc }, fields, userId) => {
+    if (fields.tag !== undefined && fields.tag !== doc.data().tag
+      && (await findOtherGoal(userId, "tag", fields.tag, doc.id)).length) {
+      return { status: 409, error: `Another goal already uses the tag "${fields.tag}"` };
+    }
+
+    // A new target is in the user's base currency as it is now
+    const updates = fields.targetAmount === undefined ? fields : { ...fields, currency: await User.getBaseCurrency(userId) };
+
+    const batch = db.batch();
+    if (fields.countInvestments) await releaseInvestments(batch, userId, doc.id);
+    batch.update(goalRef, { ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    await batch.commit();
+
+    const [goal] = await withProgress(userId, [{ id: doc.id, ...doc.data(), ...updates }]);
+    return { goal };
+  },
+
+  /**
+   * Delete a goal and its contributions. Tagged expenses keep their tags.
+   * @param {Object} owned - { goalRef } from getOwned
+   */
+  remove: async ({ goalRef }) => {
+    const contributions = await goalRef.collection("contributions").get();
+    const batch = db.batch();
+    contributions.docs.forEach((doc) => batch.delete(doc.ref));
+    batch.delete(goalRef);
+    await batch.commit();
+  },
+
+  /**
+   * Log money put aside for a goal, converted into the user's base currency on its date
+   * @param {Object} owned - { goalRef } from getOwned
+   * @param {Object} fields - Validated { amount, currency?, date, note }
+   * @param {String} userId - Firebase UID
+   * @returns {Object} - The stored contribution
+   */
+  addContribution: async ({ goalRef }, { amount, currency, date, note }, userId) => {
+    const baseCurrency = await User.getBaseCurrency(userId);
+    const contribution = {
+      ...await buildLedgerFields({ amount, currency, baseCurrency, date }),
+      date,
+      note,
+    };
+    const contributionRef = await goalRef.collection("contributions").add({
+      ...contribution,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { id: contributionRef.id, ...contribution };
+  },
+
+  /**
+   * Delete a contribution
+   * @param {Object} owned - { goalRef } from getOwned
+   * @param {String} contributionId - Contribution document ID
+   * @returns {Object} - {} on success, or { status, error } when it doesn't exist
+   */
+  removeContribution: async ({ goalRef }, contributionId) => {
+    const contributionRef = goalRef.collection("contributions").doc(contributionId);
+    const doc = await contributionRef.get();
+    if (!doc.exists) return { status: 404, error: "Contribution not found" };
+
+    await contributionRef.delete();
+    return {};
+  },
+};
+
+module.exports = Goal;
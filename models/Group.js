@@ -0,0 +1,368 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const db = require("../config/db");
+const { buildLedgerFields } = require("../utils/currency");
+const { OTHER_CATEGORY } = require("../utils/categories");
+const { computeSplits, calculateBalances, suggestSettlements } = require("../utils/splits");
+const User = require("./User");
+const Category = require("./Category");
+
+// Shared wallets. Each group keeps its expenses and settlements in subcollections,
+// and every member's share of an expense is also written to the expenses collection
+// (source "group") so it counts in their own analytics and budgets.
+const COLLECTION = "groups";
+const INVITES = "groupInvites";
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// One invite per group and address, so inviting someone twice doesn't create two
+const inviteId = (groupId, email) => `${groupId}_${crypto.createHash("sha256").update(email).digest("hex").slice(0, 32)}`;
+
+// The member's own copy of their share, keyed so it can be found from the group expense
+const shareRef = (groupExpenseId, userId) => db.collection("expenses").doc(`${groupExpenseId}_${userId}`);
+
+const toGroup = (doc) => ({ id: doc.id, ...doc.data() });
+
+// A currency with no exchange rate is the member's to fix, so it's a 422 naming the pair
+const rateFailure = (error) => {
+  if (!error.rateUnavailable) throw error;
+  return { status: 422, error: `Couldn't convert the expense: ${error.message}` };
+};
+
+const memberEntry = async (userId, role) => {
+  const { name, email } = await User.getProfile(userId);
+  return { name, email: normalizeEmail(email), role, joinedAt: new Date() };
+};
+
+const Group = {
+  COLLECTION,
+  INVITES,
+  normalizeEmail,
+
+  /**
+   * Start a group with its creator as owner
+   * @param {String} userId - Firebase UID of the creator
+   * @param {Object} fields - Validated { name, currency? }; the currency defaults to the creator's
+   * @returns {Object} - The new group
+   */
+  create: async (userId, { name, currency }) => {
+    const group = {
+      name,
+      currency: currency || await User.getBaseCurrency(userId),
+      ownerId: userId,
+      memberIds: [userId],
+      members: { [userId]: await memberEntry(userId, "owner") },
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const groupRef = await db.collection(COLLECTION).add(group);
+    return { id: groupRef.id, ...group };
+  },
+
+  /**
+   * Groups the user belongs to
+   * @param {String} userId - Firebase UID
+   * @returns {Array}
+   */
+  listForUser: async (userId) => {
+    const snapshot = await db.collection(COLLECTION).where("memberIds", "array-contains", userId).get();
+    return snapshot.docs.map(toGroup);
+  },
+
+  /**
+   * Fetch a group the user is a member of
+   * @returns {Object} - { groupRef, group }, or { status, error } when missing or not theirs
+   */
+  getForMember: async (id, userId) => {
+    const groupRef = db.collection(COLLECTION).doc(id);
+    const doc = await groupRef.get();
+
+    if (!doc.exists) return { status: 404, error: "Group not found" };
+    if (!(doc.data().memberIds || []).includes(userId)) {
+      return { status: 403, error: "You're not a member of this group" };
+    }
+
+    return { groupRef, group: toGroup(doc) };
+  },
+
+  /**
+   * Invite someone by email. They join once they accept while signed in with that address.
+   * @param {Object} owned - { groupRef, group } from getForMember
+   * @param {String} email - Address to invite
+   * @param {String} invitedBy - Member sending the invite
+   * @returns {Object} - { invite }, or { status, error }
+   */
+  invite: async ({ group }, email, invitedBy) => {
+    const address = normalizeEmail(email);
+    const alreadyMember = Object.values(group.members || {}).some((member) => member.email === address);
+    if (alreadyMember) return { status: 409, error: `${address} is already in this group` };
+
+    const inviteRef = db.collection(INVITES).doc(inviteId(group.id, address));
+    const existing = await inviteRef.get();
+    if (existing.exists && existing.data().status === "pending") {
+      return { status: 409, error: `${address} has already been invited` };
+    }
+
+    const invite = {
+      groupId: group.id,
+      groupName: group.name,
+      email: address,
+      invitedBy,
+      invitedByName: group.members[invitedBy].name,
+      status: "pending",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await inviteRef.set(invite);
+    return { invite: { id: inviteRef.id, ...invite } };
+  },
+
+  /**
+   * Pending invites for an email address
+   * @param {String} email - The signed-in user's verified address
+   * @returns {Array}
+   */
+  listInvites: async (email) => {
+    const snapshot = await db.collection(INVITES)
+      .where("email", "==", normalizeEmail(email))
+      .where("status", "==", "pending")
+      .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Accept or decline an invite addressed to the user's email
+   * @param {String} id - Invite ID
+   * @param {Object} user - { uid, email } of the signed-in user
+   * @param {Boolean} accept - Join the group, or decline the invite
+   * @returns {Object} - { group } when accepted, {} when declined, or { status, error }
+   */
+  respondToInvite: async (id, { uid, email }, accept) => {
+    const inviteRef = db.collection(INVITES).doc(id);
+    const member = accept ? await memberEntry(uid, "member") : null;
+
+    return db.runTransaction(async (transaction) => {
+      const inviteDoc = await transaction.get(inviteRef);
+      if (!inviteDoc.exists) return { status: 404, error: "Invite not found" };
+      const invite = inviteDoc.data();
+      if (invite.email !== normalizeEmail(email)) return { status: 403, error: "This invite is for another email address" };
+      if (invite.status !== "pending") return { status: 409, error: `This invite has already been ${invite.status}` };
+
+      const respondedAt = admin.firestore.FieldValue.serverTimestamp();
+      if (!accept) {
+        transaction.update(inviteRef, { status: "declined", respondedAt });
+        return {};
+      }
+
+      const groupRef = db.collection(COLLECTION).doc(invite.groupId);
+      const groupDoc = await transaction.get(groupRef);
+      if (!groupDoc.exists) return { status: 404, error: "Group not found" };
+
+      const group = groupDoc.data();
+      const memberIds = [...new Set([...group.memberIds, uid])];
+      const members = { ...group.members, [uid]: { ...member, email: invite.email } };
+      transaction.update(groupRef, { memberIds, members });
+      transaction.update(inviteRef, { status: "accepted", acceptedBy: uid, respondedAt });
+      return { group: { id: groupDoc.id, ...group, memberIds, members } };
+    });
+  },
+
+  /**
+   * Log a shared expense and give every member with a share their own copy of it
+   * @param {Object} owned - { groupRef, group } from getForMember
+   * @param {Object} fields - Validated { title, amount, currency?, category, date, paidBy, notes? }
+   * @param {Object} split - { method, participants? | entries? } (see computeSplits)
+   * @param {String} createdBy - Member logging it
+   * @returns {Object} - { expense }, or { status, error }
+   */
+  addExpense: async ({ groupRef, group }, fields, split, createdBy) => {
+    // Balances are kept in the group's currency, so the expense is converted first
+    const ledger = await buildLedgerFields({
+      amount: fields.amount,
+      currency: fields.currency,
+      baseCurrency: group.currency,
+      date: fields.date,
+    }).catch(rateFailure);
+    if (ledger.error) return ledger;
+
+    const { splits, error } = computeSplits(ledger.amount, split, group.memberIds);
+    if (error) return { status: 400, error };
+
+    // Every share is converted into its member's base currency before anything is written
+    const shares = await Promise.all(splits.filter((share) => share.amount > 0).map(async ({ userId, amount }) => {
+      const [baseCurrency, categories] = await Promise.all([User.getBaseCurrency(userId), Category.getNames(userId)]);
+      const shareLedger = await buildLedgerFields({ amount, currency: group.currency, baseCurrency, date: fields.date });
+      return { userId, categories, shareLedger };
+    })).catch(rateFailure);
+    if (shares.error) return shares;
+
+    const expenseRef = groupRef.collection("expenses").doc();
+    const expense = {
+      title: fields.title,
+      ...ledger,
+      category: fields.category,
+      date: fields.date,
+      notes: fields.notes || null,
+      paidBy: fields.paidBy,
+      splitMethod: split.method || "equal",
+      splits,
+      createdBy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    const batch = db.batch();
+    batch.set(expenseRef, expense);
+    shares.forEach(({ userId, categories, shareLedger }) => {
+      // Filed under the same category when the member has it, otherwise under Other
+      batch.set(shareRef(expenseRef.id, userId), {
+        userId,
+        title: fields.title,
+        ...shareLedger,
+        category: categories.includes(fields.category) ? fields.category : OTHER_CATEGORY,
+        subcategory: null,
+        date: fields.date,
+        tags: [],
+        notes: null,
+        paymentMethod: null,
+        source: "group",
+        groupId: group.id,
+        groupExpenseId: expenseRef.id,
+        paidBy: fields.paidBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+
+    return { expense: { id: expenseRef.id, ...expense } };
+  },
+
+  /**
+   * Shared expenses of a group, newest first
+   * @param {Object} owned - { groupRef } from getForMember
+   * @returns {Array}
+   */
+  listExpenses: async ({ groupRef }) => {
+    const snapshot = await groupRef.collection("expenses").orderBy("date", "desc").get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Delete a shared expense and every member's copy of their share. Only the member
+   * who logged it, the member who paid, or the group owner may do this.
+   * @param {Object} owned - { groupRef, group } from getForMember
+   * @param {String} expenseId - Group expense ID
+   * @param {String} userId - Member asking
+   * @returns {Object} - {} on success, or { status, error }
+   */
+  removeExpense: async ({ groupRef, group }, expenseId, userId) => {
+    const expenseRef = groupRef.collection("expenses").doc(expenseId);
+    const doc = await expenseRef.get();
+    if (!doc.exists) return { status: 404, error: "Group expense not found" };
+
+    const { createdBy, paidBy, splits } = doc.data();
+    if (![createdBy, paidBy, group.ownerId].includes(userId)) {
+      return { status: 403, error: "Only whoever logged or paid for this expense, or the group owner, can delete it" };
+    }
+
+    const batch = db.batch();
+    splits.forEach((share) => batch.delete(shareRef(expenseId, share.userId)));
+    batch.delete(expenseRef);
+    await batch.commit();
+    return {};
+  },
+
+  /**
+   * Who owes whom: each member's net balance and the payments that would settle up
+   * @param {Object} owned - { groupRef, group } from getForMember
+   * @returns {Object} - { currency, balances: [{ userId, name, balance }], suggestedSettlements: [{ from, to, amount }] }
+   */
+  getBalances: async ({ groupRef, group }) => {
+    const [expenses, settlements] = await Promise.all([
+      groupRef.collection("expenses").get(),
+      groupRef.collection("settlements").get(),
+    ]);
+    const net = calculateBalances(
+      expenses.docs.map((doc) => doc.data()),
+      settlements.docs.map((doc) => doc.data())
+    );
+
+    // Former members keep a row while they still owe or are owed something
+    const userIds = [...new Set([...group.memberIds, ...Object.keys(net).filter((userId) => net[userId] !== 0)])];
+    const nameOf = (userId) => (group.members[userId] ? group.members[userId].name : "Former member");
+    return {
+      currency: group.currency,
+      balances: userIds.map((userId) => ({ userId, name: nameOf(userId), balance: net[userId] || 0 })),
+      suggestedSettlements: suggestSettlements(net).map((payment) => ({
+        ...payment,
+        fromName: nameOf(payment.from),
+        toName: nameOf(payment.to),
+      })),
+    };
+  },
+
+  /**
+   * Record a payment between two members, in the group's currency
+   * @param {Object} owned - { groupRef, group } from getForMember
+   * @param {Object} fields - Validated { from, to, amount, date }
+   * @param {String} recordedBy - Must be one of the two members, or the group owner
+   * @returns {Object} - { settlement }, or { status, error }
+   */
+  recordSettlement: async ({ groupRef, group }, { from, to, amount, date }, recordedBy) => {
+    if (!group.memberIds.includes(from) || !group.memberIds.includes(to)) {
+      return { status: 400, error: "Both people in a settlement must be members of the group" };
+    }
+    if (from === to) return { status: 400, error: "A settlement needs two different members" };
+    if (![from, to, group.ownerId].includes(recordedBy)) {
+      return { status: 403, error: "Only the two members involved, or the group owner, can record a settlement" };
+    }
+
+    const settlement = {
+      from,
+      to,
+      amount: Math.round(parseFloat(amount) * 100) / 100,
+      currency: group.currency,
+      date,
+      recordedBy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const settlementRef = await groupRef.collection("settlements").add(settlement);
+    return { settlement: { id: settlementRef.id, ...settlement } };
+  },
+
+  /**
+   * Settlements recorded in a group, newest first
+   * @param {Object} owned - { groupRef } from getForMember
+   * @returns {Array}
+   */
+  listSettlements: async ({ groupRef }) => {
+    const snapshot = await groupRef.collection("settlements").orderBy("date", "desc").get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Take a member out of the group: they can leave, or the owner can remove them.
+   * Only someone who is settled up can go, and the owner can't leave their own group.
+   * @param {Object} owned - { groupRef, group } from getForMember
+   * @param {String} memberId - Member leaving
+   * @param {String} userId - Member asking
+   * @returns {Object} - {} on success, or { status, error }
+   */
+  removeMember: async (owned, memberId, userId) => {
+    const { groupRef, group } = owned;
+    if (!group.memberIds.includes(memberId)) return { status: 404, error: "Not a member of this group" };
+    if (memberId !== userId && userId !== group.ownerId) {
+      return { status: 403, error: "Only the group owner can remove other members" };
+    }
+    if (memberId === group.ownerId) return { status: 400, error: "The group owner can't leave the group" };
+
+    const { balances } = await Group.getBalances(owned);
+    const { balance } = balances.find((entry) => entry.userId === memberId);
+    if (balance !== 0) return { status: 409, error: "Settle up before leaving the group" };
+
+    await groupRef.update({
+      memberIds: admin.firestore.FieldValue.arrayRemove(memberId),
+      [`members.${memberId}`]: admin.firestore.FieldValue.delete(),
+    });
+    return {};
+  },
+};
+
+module.exports = Group;
@@ -0,0 +1,68 @@
+const admin = require("firebase-admin");
+const db = require("../config/db");
+const { buildLedgerFields } = require("../utils/currency");
+const User = require("./User");
+
+// Money coming in. Entries carry the same currency fields as expenses, so income and
+// spending can be compared in the user's base currency.
+const COLLECTION = "income";
+const INCOME_TYPES = ["salary", "freelance", "refund", "business", "investment", "gift", "other"];
+
+const Income = {
+  COLLECTION,
+  INCOME_TYPES,
+
+  /**
+   * Record income, converted into the user's base currency on its date
+   * @param {String} userId - Firebase UID
+   * @param {Object} fields - Validated { title, amount, currency?, type, date, notes }
+   * @returns {Object} - The stored entry
+   */
+  create: async (userId, { title, amount, currency, type, date, notes }) => {
+    const baseCurrency = await User.getBaseCurrency(userId);
+    const entry = {
+      userId,
+      title,
+      ...await buildLedgerFields({ amount, currency, baseCurrency, date }),
+      type,
+      date,
+      notes,
+    };
+    const incomeRef = await db.collection(COLLECTION).add({
+      ...entry,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { id: incomeRef.id, ...entry };
+  },
+
+  /**
+   * A user's income between two dates, either bound optional
+   * @param {String} userId - Firebase UID
+   * @param {Object} options - { from, to } as YYYY-MM-DD
+   * @returns {Array} - Document snapshots, newest first
+   */
+  findInRange: async (userId, { from, to } = {}) => {
+    let query = db.collection(COLLECTION).where("userId", "==", userId);
+    if (from) query = query.where("date", ">=", from);
+    if (to) query = query.where("date", "<=", to);
+
+    const snapshot = await query.orderBy("date", "desc").get();
+    return snapshot.docs;
+  },
+
+  /**
+   * Fetch an income entry and verify it belongs to the user
+   * @returns {Object} - { incomeRef, doc }, or { status, error } when missing or not theirs
+   */
+  getOwned: async (id, userId) => {
+    const incomeRef = db.collection(COLLECTION).doc(id);
+    const doc = await incomeRef.get();
+
+    if (!doc.exists) return { status: 404, error: "Income not found" };
+    if (doc.data().userId !== userId) return { status: 403, error: "Unauthorized" };
+
+    return { incomeRef, doc };
+  },
+};
+
+module.exports = Income;
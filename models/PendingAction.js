@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const db = require("../config/db");
+
+// Writes the chatbot has proposed and is waiting for the user to confirm,
+// keyed by their confirmation token
+const COLLECTION = "pendingChatActions";
+
+// How long a proposal can be confirmed for
+const TTL_MS = 15 * 60 * 1000;
+
+const toDate = (value) => (value && value.toDate ? value.toDate() : new Date(value));
+
+const PendingAction = {
+  COLLECTION,
+
+  /**
+   * Store a proposed write and return the token that confirms it
+   * @param {String} userId - Who may confirm it
+   * @param {String} conversationId - Conversation the proposal was made in
+   * @param {Object} action - { type: "add" | "edit" | "delete", expenseId?, fields? }
+   * @returns {String} - Confirmation token
+   */
+  create: async (userId, conversationId, action) => {
+    const token = crypto.randomBytes(16).toString("hex");
+    await db.collection(COLLECTION).doc(token).set({
+      ...action,
+      userId,
+      conversationId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: new Date(Date.now() + TTL_MS),
+    });
+    return token;
+  },
+
+  /**
+   * Fetch a proposal the user can still confirm or cancel
+   * @returns {Object} - { ref, data }, or { status, error }
+   */
+  getOwned: async (token, userId) => {
+    // Tokens are random hex; anything else can't be one and isn't a valid document ID
+    if (!/^[a-f0-9]{32}$/.test(String(token))) return { status: 400, error: "Invalid confirmation token" };
+
+    const ref = db.collection(COLLECTION).doc(token);
+    const doc = await ref.get();
+
+    if (!doc.exists) return { status: 404, error: "Nothing is waiting for confirmation with that token" };
+    if (doc.data().userId !== userId) return { status: 403, error: "Unauthorized" };
+    if (toDate(doc.data().expiresAt) <= new Date()) {
+      await ref.delete();
+      return { status: 410, error: "This confirmation has expired; please ask again" };
+    }
+
+    return { ref, data: doc.data() };
+  },
+
+  /**
+   * Take a proposal so it can be carried out, deleting it in the same transaction.
+   * Of several confirms racing for one token, only one gets { data }.
+   * @returns {Object} - { data }, or { status, error }
+   */
+  claim: async (token, userId) => {
+    if (!/^[a-f0-9]{32}$/.test(String(token))) return { status: 400, error: "Invalid confirmation token" };
+
+    const ref = db.collection(COLLECTION).doc(token);
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return { status: 404, error: "Nothing is waiting for confirmation with that token" };
+      if (doc.data().userId !== userId) return { status: 403, error: "Unauthorized" };
+
+      transaction.delete(ref);
+      if (toDate(doc.data().expiresAt) <= new Date()) {
+        return { status: 410, error: "This confirmation has expired; please ask again" };
+      }
+      return { data: doc.data() };
+    });
+  },
+
+  /**
+   * Delete proposals nobody confirmed in time
+   * @returns {Number} - Number deleted
+   */
+  purgeExpired: async () => {
+    const snapshot = await db.collection(COLLECTION).where("expiresAt", "<=", new Date()).limit(400).get();
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    return snapshot.size;
+  },
+};
+
+module.exports = PendingAction;
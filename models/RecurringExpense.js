@@ -0,0 +1,171 @@
+const admin = require("firebase-admin");
+const db = require("../config/db");
+const { toDateString, todayIn } = require("../utils/period");
+const { getOccurrenceDate, isRuleFinished, listOccurrences, findIndexOnOrAfter } = require("../utils/recurrence");
+const { getExchangeRate, toLedgerFields } = require("../utils/currency");
+const exchangeRates = require("../services/exchangeRates");
+const User = require("./User");
+
+const COLLECTION = "recurringExpenses";
+
+// Next due date for an occurrence index, or null once the rule is finished
+const nextDueFor = (rule, index) => (isRuleFinished(rule, index) ? null : getOccurrenceDate(rule, index));
+
+const RecurringExpense = {
+  COLLECTION,
+  nextDueFor,
+
+  /**
+   * Create the expense documents for every occurrence of a template due by a date.
+   * Expenses use a deterministic ID (templateId_date), so running this twice
+   * for the same day never creates duplicates.
+   * @param {String} templateId - Recurring expense document ID
+   * @param {String} upTo - Last due date to materialize (YYYY-MM-DD), defaults to today
+   * @returns {Number} - Number of expenses created
+   */
+  materialize: async (templateId, upTo = toDateString(new Date())) => {
+    const templateRef = db.collection(COLLECTION).doc(templateId);
+
+    // Look exchange rates up before the transaction, which may be retried
+    const preview = await templateRef.get();
+    if (!preview.exists) return 0;
+    const previewRule = preview.data();
+    const baseCurrency = previewRule.baseCurrency || await User.getBaseCurrency(previewRule.userId);
+    const originalCurrency = previewRule.currency || baseCurrency;
+
+    const quotes = {};
+    for (const { date } of listOccurrences(previewRule, previewRule.nextIndex || 0, upTo)) {
+      quotes[date] = await exchangeRates.getRate(originalCurrency, baseCurrency, date);
+    }
+
+    return db.runTransaction(async (transaction) => {
+      const templateDoc = await transaction.get(templateRef);
+      if (!templateDoc.exists) return 0;
+
+      const rule = templateDoc.data();
+      if (rule.paused || rule.completed) return 0;
+
+      const due = listOccurrences(rule, rule.nextIndex || 0, upTo);
+      if (due.length === 0) return 0;
+
+      const skipped = new Set(rule.skippedDates || []);
+      const pending = due.filter((occurrence) => !skipped.has(occurrence.date));
+      const expenseRefs = pending.map((occurrence) => db.collection("expenses").doc(`${templateId}_${occurrence.date}`));
+      const existing = expenseRefs.length ? await transaction.getAll(...expenseRefs) : [];
+
+      let created = 0;
+      for (const [i, snapshot] of existing.entries()) {
+        if (snapshot.exists) continue;
+        const date = pending[i].date;
+        const quote = quotes[date] || await exchangeRates.getRate(originalCurrency, baseCurrency, date);
+        transaction.set(snapshot.ref, {
+          userId: rule.userId,
+          title: rule.title,
+          ...toLedgerFields({
+            originalAmount: rule.amount,
+            originalCurrency,
+            baseCurrency,
+            exchangeRate: quote.rate,
+            rateDate: quote.date,
+          }),
+          category: rule.category,
+          date,
+          source: "recurring",
+          recurringId: templateId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        created++;
+      }
+
+      const nextIndex = due[due.length - 1].index + 1;
+      const nextDueDate = nextDueFor(rule, nextIndex);
+      transaction.update(templateRef, {
+        nextIndex,
+        nextDueDate,
+        completed: nextDueDate === null,
+        lastMaterializedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return created;
+    });
+  },
+
+  /**
+   * Materialize every template that has come due, optionally for one user only
+   * @param {String} userId - Limit to this user's templates (optional)
+   * @returns {Number} - Number of expenses created
+   */
+  materializeDue: async (userId = null) => {
+    const today = toDateString(new Date());
+    let query = db.collection(COLLECTION).where("nextDueDate", "<=", today);
+    if (userId) {
+      query = query.where("userId", "==", userId);
+    }
+
+    const snapshot = await query.get();
+    let created = 0;
+    for (const doc of snapshot.docs) {
+      if (doc.data().paused) continue;
+      try {
+        created += await RecurringExpense.materialize(doc.id, today);
+      } catch (error) {
+        console.error(`Error materializing recurring expense ${doc.id}:`, error.message);
+      }
+    }
+    return created;
+  },
+
+  /**
+   * Charges scheduled from today (on the user's calendar) up to a date. Past-due occurrences
+   * that haven't been materialized yet are left out; materializeDue picks those up.
+   * @param {String} userId - Owner of the templates
+   * @param {String} untilDate - Last date (inclusive)
+   * @returns {Object} - { baseCurrency, total, charges: [{ recurringId, title, amount, currency, baseAmount, category, date }] }
+   */
+  getUpcoming: async (userId, untilDate) => {
+    const [snapshot, { currency: baseCurrency, timezone }] = await Promise.all([
+      db.collection(COLLECTION).where("userId", "==", userId).get(),
+      User.getPreferences(userId),
+    ]);
+    const today = todayIn(timezone);
+
+    const charges = [];
+    snapshot.forEach((doc) => {
+      const rule = doc.data();
+      if (rule.paused || rule.completed) return;
+
+      // Start from today's occurrence, so a long backlog of past-due ones can't crowd out the rest
+      const fromIndex = findIndexOnOrAfter(rule, rule.nextIndex || 0, today);
+      if (fromIndex === null) return;
+
+      const skipped = new Set(rule.skippedDates || []);
+      listOccurrences(rule, fromIndex, untilDate)
+        .filter((occurrence) => !skipped.has(occurrence.date))
+        .forEach((occurrence) => {
+          charges.push({
+            recurringId: doc.id,
+            title: rule.title,
+            amount: rule.amount,
+            currency: rule.currency || baseCurrency,
+            category: rule.category,
+            date: occurrence.date,
+          });
+        });
+    });
+
+    // Convert foreign-currency templates at today's rate
+    const rates = { [baseCurrency]: 1 };
+    for (const charge of charges) {
+      if (rates[charge.currency] === undefined) {
+        rates[charge.currency] = await getExchangeRate(charge.currency, baseCurrency);
+      }
+      charge.baseAmount = Math.round(charge.amount * rates[charge.currency] * 100) / 100;
+    }
+
+    charges.sort((a, b) => a.date.localeCompare(b.date));
+    const total = Math.round(charges.reduce((sum, charge) => sum + charge.baseAmount, 0) * 100) / 100;
+    return { baseCurrency, total, charges };
+  },
+};
+
+module.exports = RecurringExpense;
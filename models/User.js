@@ -0,0 +1,113 @@
+const db = require("../config/db");
+const { DEFAULT_CURRENCY, parseCurrencyCode } = require("../utils/currency");
+const { isValidLocale, defaultLocaleFor } = require("../utils/format");
+const { DEFAULT_WEEK_START, WEEK_DAYS, isValidTimezone } = require("../utils/period");
+const { EXPENSE_CATEGORIES } = require("../utils/categories");
+
+const DEFAULT_TIMEZONE = "UTC";
+
+// Which notifications the user gets; every key is a boolean
+const DEFAULT_NOTIFICATIONS = {
+  email: true,
+  push: true,
+  budgetAlerts: true,
+  recurringReminders: true,
+  weeklySummary: false,
+};
+
+// Stored on a new user document by loginUser
+const DEFAULT_PROFILE = {
+  currency: DEFAULT_CURRENCY,
+  timezone: DEFAULT_TIMEZONE,
+  locale: null, // Follows the currency until the user picks one
+  language: null, // English
+  weekStartDay: DEFAULT_WEEK_START,
+  defaultCategories: EXPENSE_CATEGORIES,
+  notifications: DEFAULT_NOTIFICATIONS,
+  theme: "light",
+};
+
+const userRef = (userId) => db.collection("users").doc(userId);
+
+/**
+ * Fill in defaults and tidy up values written by older versions, e.g. the
+ * "INR (₹)" display string that used to be stored as the currency
+ */
+const normalizeProfile = (data = {}) => {
+  const currency = parseCurrencyCode(data.currency);
+  return {
+    name: data.name || "User",
+    email: data.email || "",
+    avatar: data.avatar || null,
+    theme: data.theme || DEFAULT_PROFILE.theme,
+    currency,
+    timezone: isValidTimezone(data.timezone) ? data.timezone : DEFAULT_TIMEZONE,
+    locale: isValidLocale(data.locale) ? data.locale : defaultLocaleFor(currency),
+    language: isValidLocale(data.language) ? data.language : null,
+    weekStartDay: WEEK_DAYS.includes(data.weekStartDay) ? data.weekStartDay : DEFAULT_WEEK_START,
+    defaultCategories: Array.isArray(data.defaultCategories) && data.defaultCategories.length
+      ? data.defaultCategories
+      : EXPENSE_CATEGORIES,
+    notifications: { ...DEFAULT_NOTIFICATIONS, ...(data.notifications || {}) },
+  };
+};
+
+const User = {
+  DEFAULT_PROFILE,
+  DEFAULT_NOTIFICATIONS,
+
+  /**
+   * The user's profile and preferences, with defaults for anything unset
+   * @param {String} userId - Firebase UID
+   * @returns {Object} - { name, email, avatar, theme, currency, timezone, locale, language,
+   *   weekStartDay, defaultCategories, notifications }
+   */
+  getProfile: async (userId) => {
+    const userDoc = await userRef(userId).get();
+    return normalizeProfile(userDoc.exists ? userDoc.data() : {});
+  },
+
+  /**
+   * Save already validated profile fields. Notification settings are merged with the
+   * stored ones, so a client can switch one off without sending the rest.
+   * @param {String} userId - Firebase UID
+   * @param {Object} fields - Subset of the profile
+   * @returns {Object} - The updated profile
+   */
+  updateProfile: async (userId, fields) => {
+    const userDoc = await userRef(userId).get();
+    const stored = userDoc.exists ? userDoc.data() : {};
+    const update = { ...fields };
+    if (fields.notifications) {
+      update.notifications = { ...normalizeProfile(stored).notifications, ...fields.notifications };
+    }
+
+    await userRef(userId).set(update, { merge: true });
+    return normalizeProfile({ ...stored, ...update });
+  },
+
+  /**
+   * The ISO code of the user's base currency, e.g. "INR" (older documents store "INR (₹)")
+   * @param {String} userId - Firebase UID
+   * @param {String} fallback - Used when the user has no valid preference
+   * @returns {String}
+   */
+  getBaseCurrency: async (userId, fallback) => {
+    const userDoc = await userRef(userId).get();
+    const preferences = userDoc.exists ? userDoc.data() : {};
+    return parseCurrencyCode(preferences.currency, fallback);
+  },
+
+  /**
+   * How dates and amounts should be worked out and shown for the user. The locale falls
+   * back to one that suits their currency (en-IN for INR); language is null for English.
+   * @param {String} userId - Firebase UID
+   * @returns {Object} - { currency, locale, language, timezone, weekStartDay, defaultCategories }
+   */
+  getPreferences: async (userId) => {
+    const { currency, locale, language, timezone, weekStartDay, defaultCategories } = await User.getProfile(userId);
+    return { currency, locale, language, timezone, weekStartDay, defaultCategories };
+  },
+};
+
+module.exports = User;
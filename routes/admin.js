@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { getLlmMetrics, resetLlmMetrics } = require("../controllers/adminController");
+const authMiddleware = require("../middleware/authMiddleware");
+const adminMiddleware = require("../middleware/adminMiddleware");
+
+// Operational endpoints for users with the admin custom claim
+router.get("/llm-metrics", authMiddleware, adminMiddleware, getLlmMetrics);
+router.delete("/llm-metrics", authMiddleware, adminMiddleware, resetLlmMetrics);
+
+module.exports = router;
@@ -10,5 +10,8 @@ router.use(authMiddleware);
 // GET /api/analytics - Get expense analytics
 router.get("/", analyticsController.getAnalytics);
 
+// GET /api/analytics/export - Download expenses and the report as CSV, XLSX or PDF
+router.get("/export", analyticsController.exportReport);
+
 
 module.exports = router;
\ No newline at end of file
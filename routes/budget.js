@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createBudget,
+  getBudgets,
+  updateBudget,
+  deleteBudget,
+  getBudgetStatus
+} = require("../controllers/budgetController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+router.post("/", authMiddleware, createBudget);
+router.get("/", authMiddleware, getBudgets);
+router.get("/status", authMiddleware, getBudgetStatus);
+router.patch("/:id", authMiddleware, updateBudget);
+router.delete("/:id", authMiddleware, deleteBudget);
+
+module.exports = router;
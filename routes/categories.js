@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  mergeCategory
+} = require("../controllers/categoryController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+router.get("/", authMiddleware, getCategories);
+router.post("/", authMiddleware, createCategory);
+router.patch("/:id", authMiddleware, updateCategory);
+router.post("/:id/merge", authMiddleware, mergeCategory);
+
+module.exports = router;
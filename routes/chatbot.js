@@ -1,8 +1,43 @@
 const express = require("express");
 const router = express.Router();
-const { interactWithChatbot } = require("../controllers/chatbotController");
+const {
+    interactWithChatbot,
+    streamChatbot,
+    interactByVoice,
+    getConversations,
+    getConversation,
+    deleteConversation,
+    confirmAction,
+    streamConfirmAction,
+    cancelAction,
+} = require("../controllers/chatbotController");
 const authMiddleware = require("../middleware/authMiddleware");
+const { createUpload } = require("../middleware/upload");
+
+// Voice notes as browsers and phones record them, checked by content
+const audioUpload = createUpload({
+    types: ["webm", "ogg", "mp3", "m4a", "wav", "flac"],
+    label: "audio",
+    fileSize: 10 * 1024 * 1024,
+});
 
 router.post("/interact", authMiddleware, interactWithChatbot);
 
-module.exports = router;
\ No newline at end of file
+// Same as /interact and /confirm, but reply with Server-Sent Events as the answer is generated
+router.post("/interact/stream", authMiddleware, streamChatbot);
+router.post("/confirm/stream", authMiddleware, streamConfirmAction);
+
+// Say it instead of typing it: send a recording under "audio"
+router.post("/voice", authMiddleware, audioUpload.single("audio"), interactByVoice);
+
+// Adds, edits and deletes proposed by the chatbot are only written once confirmed
+router.post("/confirm", authMiddleware, confirmAction);
+router.post("/cancel", authMiddleware, cancelAction);
+
+// Conversation threads; continuing one is the same as /interact with its conversationId
+router.get("/conversations", authMiddleware, getConversations);
+router.get("/conversations/:id", authMiddleware, getConversation);
+router.post("/conversations/:id/messages", authMiddleware, interactWithChatbot);
+router.delete("/conversations/:id", authMiddleware, deleteConversation);
+
+module.exports = router;
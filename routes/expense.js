@@ -3,13 +3,28 @@ const router = express.Router();
 const { 
   addManualExpense, 
   getExpenses,
+  updateExpense,
+  getExpenseRevisions,
+  getAttachment,
+  replaceAttachment,
   deleteExpense // Add this import
 } = require("../controllers/expenseController");
 const authMiddleware = require("../middleware/authMiddleware");
+const { createUpload } = require("../middleware/upload");
+
+// Receipt images and PDFs for expense attachments, checked by content
+const upload = createUpload({
+  types: ["jpg", "png", "gif", "webp", "heic", "pdf"],
+  label: "image or PDF",
+});
 
 // Protected routes with auth middleware
 router.post("/manual", authMiddleware, addManualExpense);
 router.get("/list", authMiddleware, getExpenses);
+router.patch("/:id", authMiddleware, updateExpense);
+router.get("/:id/revisions", authMiddleware, getExpenseRevisions);
+router.get("/:id/attachment", authMiddleware, getAttachment);
+router.put("/:id/attachment", authMiddleware, upload.single("receipt"), replaceAttachment);
 router.delete("/:id", authMiddleware, deleteExpense); // This should now work
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createGoal,
+  getGoals,
+  getGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution,
+  deleteContribution
+} = require("../controllers/goalController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+router.post("/", authMiddleware, createGoal);
+router.get("/", authMiddleware, getGoals);
+router.get("/:id", authMiddleware, getGoal);
+router.patch("/:id", authMiddleware, updateGoal);
+router.delete("/:id", authMiddleware, deleteGoal);
+router.post("/:id/contributions", authMiddleware, addContribution);
+router.delete("/:id/contributions/:contributionId", authMiddleware, deleteContribution);
+
+module.exports = router;
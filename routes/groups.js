@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createGroup,
+  getGroups,
+  getGroup,
+  inviteMember,
+  getInvites,
+  acceptInvite,
+  declineInvite,
+  removeMember,
+  addGroupExpense,
+  getGroupExpenses,
+  deleteGroupExpense,
+  getBalances,
+  recordSettlement,
+  getSettlements
+} = require("../controllers/groupController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+router.post("/", authMiddleware, createGroup);
+router.get("/", authMiddleware, getGroups);
+router.get("/invites", authMiddleware, getInvites);
+router.post("/invites/:inviteId/accept", authMiddleware, acceptInvite);
+router.post("/invites/:inviteId/decline", authMiddleware, declineInvite);
+router.get("/:id", authMiddleware, getGroup);
+router.post("/:id/invites", authMiddleware, inviteMember);
+router.delete("/:id/members/:memberId", authMiddleware, removeMember);
+router.post("/:id/expenses", authMiddleware, addGroupExpense);
+router.get("/:id/expenses", authMiddleware, getGroupExpenses);
+router.delete("/:id/expenses/:expenseId", authMiddleware, deleteGroupExpense);
+router.get("/:id/balances", authMiddleware, getBalances);
+router.post("/:id/settlements", authMiddleware, recordSettlement);
+router.get("/:id/settlements", authMiddleware, getSettlements);
+
+module.exports = router;
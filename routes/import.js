@@ -0,0 +1,20 @@
+// routes/import.js
+const express = require('express');
+const router = express.Router();
+const { previewImport, commitImport } = require('../controllers/importController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { createUpload } = require('../middleware/upload');
+
+// Accept bank statement exports only
+const upload = createUpload({
+  extensions: ['csv', 'ofx', 'qfx'],
+  label: 'CSV, OFX or QFX',
+});
+
+// Parse a statement and preview rows, suggested categories and likely duplicates
+router.post('/preview', authMiddleware, upload.single('statement'), previewImport);
+
+// Save the rows the user confirmed from a preview
+router.post('/:id/commit', authMiddleware, commitImport);
+
+module.exports = router;
@@ -1,30 +1,35 @@
 // routes/ocr.js
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const { processReceipt, addExpense } = require('../controllers/ocrController');
+const {
+  processReceipt,
+  addExpense,
+  getReviewQueue,
+  correctReceipt,
+  approveReceipt,
+} = require('../controllers/ocrController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { createUpload } = require('../middleware/upload');
 
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({ 
-  storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept images only
-    if (!file.originalname.match(/\.(jpg|jpeg|png|gif|webp)$/)) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
+// Most receipts in one request
+const MAX_RECEIPTS_PER_REQUEST = 10;
+
+// Accept receipt photos (including iPhone HEIC) and PDF invoices, checked by content
+const upload = createUpload({
+  types: ['jpg', 'png', 'gif', 'webp', 'heic', 'pdf'],
+  label: 'image or PDF',
+  fileSize: 10 * 1024 * 1024, // Multi-page PDFs run larger than photos
 });
 
-// Route to process receipt using OCR
-router.post('/process', authMiddleware, upload.single('receipt'), processReceipt);
+// Route to process receipts using OCR; send one or more files under "receipt"
+router.post('/process', authMiddleware, upload.array('receipt', MAX_RECEIPTS_PER_REQUEST), processReceipt);
 
 // Route to add expense after user confirms details
 router.post('/add-expense', authMiddleware, addExpense);
 
-module.exports = router;
\ No newline at end of file
+// Receipts held back for a human to check
+router.get('/review', authMiddleware, getReviewQueue);
+router.patch('/review/:id', authMiddleware, correctReceipt);
+router.post('/review/:id/approve', authMiddleware, approveReceipt);
+
+module.exports = router;
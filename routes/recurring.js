@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createRecurring,
+  getRecurring,
+  updateRecurring,
+  pauseRecurring,
+  resumeRecurring,
+  skipOccurrence,
+  deleteRecurring,
+  materializeRecurring
+} = require("../controllers/recurringController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+router.post("/", authMiddleware, createRecurring);
+router.get("/", authMiddleware, getRecurring);
+router.post("/materialize", authMiddleware, materializeRecurring);
+router.patch("/:id", authMiddleware, updateRecurring);
+router.post("/:id/pause", authMiddleware, pauseRecurring);
+router.post("/:id/resume", authMiddleware, resumeRecurring);
+router.post("/:id/skip", authMiddleware, skipOccurrence);
+router.delete("/:id", authMiddleware, deleteRecurring);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const { getMe, updateMe } = require("../controllers/userController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+// Profile and preferences (currency, timezone, locale, week start, categories, notifications)
+router.get("/me", authMiddleware, getMe);
+router.patch("/me", authMiddleware, updateMe);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// One-off migration: older manual expenses stored their amount as a string ("250"),
+// which sorting and filtering by amount skip. Run once per environment with
+// `npm run backfill:amounts`; running it again only touches amounts still stored as strings.
+require("dotenv").config();
+const Expense = require("../models/Expense");
+
+Expense.backfillNumericAmounts()
+  .then((fixed) => {
+    console.log(`Stored ${fixed} legacy expense amounts as numbers`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Expense amount backfill failed:", error);
+    process.exit(1);
+  });
@@ -6,6 +6,18 @@ const express = require("express");
  const ocrRoutes = require("./routes/ocr");
  const chatbotRoutes = require("./routes/chatbot");
  const analyticsRoutes = require('./routes/analyticsRoutes');
+ const budgetRoutes = require("./routes/budget");
+ const recurringRoutes = require("./routes/recurring");
+ const importRoutes = require("./routes/import");
+ const userRoutes = require("./routes/user");
+ const categoryRoutes = require("./routes/categories");
+ const groupRoutes = require("./routes/groups");
+ const incomeRoutes = require("./routes/income");
+ const goalRoutes = require("./routes/goals");
+ const adminRoutes = require("./routes/admin");
+ const RecurringExpense = require("./models/RecurringExpense");
+ const Conversation = require("./models/Conversation");
+ const PendingAction = require("./models/PendingAction");
    // Ensure correct path
 
  const app = express();
@@ -17,6 +29,36 @@ const express = require("express");
  app.use("/api/ocr", ocrRoutes);
  app.use("/api/chatbot", chatbotRoutes);
  app.use('/api/analytics', analyticsRoutes); // Use OCR routes
+ app.use("/api/budgets", budgetRoutes);
+ app.use("/api/recurring", recurringRoutes);
+ app.use("/api/import", importRoutes);
+ app.use("/api/user", userRoutes);
+ app.use("/api/categories", categoryRoutes);
+ app.use("/api/groups", groupRoutes);
+ app.use("/api/income", incomeRoutes);
+ app.use("/api/goals", goalRoutes);
+ app.use("/api/admin", adminRoutes);
 
  const PORT = process.env.PORT || 5000;
- app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+ app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+ // Create expenses for recurring templates as they come due
+ const RECURRING_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+ const materializeRecurring = () => {
+   RecurringExpense.materializeDue()
+     .then(created => created && console.log(`Materialized ${created} recurring expenses`))
+     .catch(error => console.error("Recurring expense materializer failed:", error));
+ };
+ materializeRecurring();
+ setInterval(materializeRecurring, RECURRING_INTERVAL_MS);
+
+ // Delete chatbot conversations that have sat idle past their expiry, and unconfirmed proposals
+ const CONVERSATION_PURGE_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+ const purgeConversations = () => {
+   Conversation.purgeExpired()
+     .then(deleted => deleted && console.log(`Deleted ${deleted} expired conversations`))
+     .catch(error => console.error("Conversation purge failed:", error));
+   PendingAction.purgeExpired()
+     .catch(error => console.error("Pending chatbot action purge failed:", error));
+ };
+ setInterval(purgeConversations, CONVERSATION_PURGE_INTERVAL_MS);
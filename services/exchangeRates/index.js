@@ -0,0 +1,150 @@
+// Exchange-rate service: a swappable provider behind a per-day Firestore cache.
+//
+// Providers implement { name, supportsHistorical, getRates({ base, symbols, date }) }
+// and resolve to { date, rates }. EXCHANGE_RATE_PROVIDER is a comma-separated chain
+// tried in order (frankfurter | exchangerate-api | currency-converter-lt | fixture); the
+// fixture provider reads EXCHANGE_RATE_FIXTURE, or fixtures/exchangeRates.json by default.
+const db = require("../../config/db");
+const frankfurter = require("./providers/frankfurter");
+const exchangeRateApi = require("./providers/exchangeRateApi");
+const currencyConverterLt = require("./providers/currencyConverterLt");
+const { createFixtureProvider } = require("./providers/fixture");
+
+const COLLECTION = "exchangeRates";
+
+const PROVIDERS = {
+  frankfurter: () => frankfurter,
+  "exchangerate-api": () => exchangeRateApi,
+  "currency-converter-lt": () => currencyConverterLt,
+  fixture: () => createFixtureProvider(process.env.EXCHANGE_RATE_FIXTURE),
+};
+
+const createProvider = (name) => {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown exchange rate provider: ${name}`);
+  return factory();
+};
+
+const createProviders = (names) => names.split(",").map((name) => name.trim()).filter(Boolean).map(createProvider);
+
+// frankfurter has history but only the ECB's ~30 currencies; exchangerate-api covers the
+// rest (AED, SAR, ...) at today's rate
+const DEFAULT_PROVIDERS = "frankfurter,exchangerate-api";
+
+let providers = createProviders(process.env.EXCHANGE_RATE_PROVIDER || DEFAULT_PROVIDERS);
+
+// In-process memo so a batch of lookups for the same day only reads Firestore once
+const memo = new Map();
+const MEMO_LIMIT = 1000;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Thrown when no provider or cached rate can price a pair; callers answer 422
+const rateUnavailableError = (from, to, day) => {
+  const error = new Error(`No exchange rate available for ${from} to ${to} on ${day}`);
+  error.rateUnavailable = true;
+  return error;
+};
+
+const cacheRef = (base, date) => db.collection(COLLECTION).doc(`${base}_${date}`);
+
+// Nearest cached rate for a pair, on either side of the date
+const findNearestCached = async (from, to, date) => {
+  const byBase = db.collection(COLLECTION).where("base", "==", from);
+  const [before, after] = await Promise.all([
+    byBase.where("date", "<=", date).orderBy("date", "desc").limit(5).get(),
+    byBase.where("date", ">=", date).orderBy("date", "asc").limit(5).get(),
+  ]);
+
+  const distance = (d) => Math.abs(new Date(d) - new Date(date));
+  const candidates = [...before.docs, ...after.docs]
+    .map((doc) => doc.data())
+    .filter((data) => data.rates && data.rates[to] !== undefined)
+    .sort((a, b) => distance(a.date) - distance(b.date));
+
+  return candidates[0] || null;
+};
+
+/**
+ * Rate to convert one unit of `from` into `to` on a given day
+ * @param {String} from - ISO currency code
+ * @param {String} to - ISO currency code
+ * @param {String} date - YYYY-MM-DD (defaults to today; future dates use today)
+ * @returns {Object} - { rate, date, provider, stale } where date is the day the rate is for
+ *   and stale is true when the provider was unreachable and a nearby cached rate was used
+ */
+const getRate = async (from, to, date = today()) => {
+  if (from === to) return { rate: 1, date, provider: null, stale: false };
+
+  const currentDay = today();
+  const day = !date || date > currentDay ? currentDay : date;
+  const memoKey = `${from}_${to}_${day}`;
+  if (memo.has(memoKey)) return memo.get(memoKey);
+
+  const remember = (quote) => {
+    if (memo.size >= MEMO_LIMIT) memo.clear();
+    // Today's rate can still move, so only memoize past days
+    if (day < currentDay && !quote.stale) memo.set(memoKey, quote);
+    return quote;
+  };
+
+  // 1. Cached for this exact day
+  const cached = await cacheRef(from, day).get();
+  if (cached.exists && cached.data().rates[to] !== undefined) {
+    const data = cached.data();
+    return remember({ rate: data.rates[to], date: data.sourceDate || data.date, provider: data.provider, stale: false });
+  }
+
+  // 2. Ask each provider in turn; latest-only providers can't answer for past days
+  const isHistorical = day < currentDay;
+  for (const provider of providers.filter((p) => !isHistorical || p.supportsHistorical)) {
+    try {
+      const { date: sourceDate, rates } = await provider.getRates({
+        base: from,
+        symbols: [to],
+        date: isHistorical ? day : null,
+      });
+
+      if (rates[to] === undefined) throw new Error(`${provider.name} has no rate for ${from}->${to}`);
+
+      await cacheRef(from, day).set({
+        base: from,
+        date: day,
+        sourceDate: sourceDate || day,
+        rates,
+        provider: provider.name,
+        fetchedAt: new Date(),
+      }, { merge: true });
+
+      return remember({ rate: rates[to], date: sourceDate || day, provider: provider.name, stale: false });
+    } catch (error) {
+      console.error(`Exchange rate provider ${provider.name} failed for ${from}->${to} on ${day}:`, error.message);
+    }
+  }
+
+  // 3. Fall back to the nearest day we have cached
+  const nearest = await findNearestCached(from, to, day);
+  if (nearest) {
+    return remember({ rate: nearest.rates[to], date: nearest.sourceDate || nearest.date, provider: nearest.provider, stale: true });
+  }
+
+  // 4. Nothing cached for a past day, but a latest-only provider may know today's rate
+  if (isHistorical && providers.some((p) => !p.supportsHistorical)) {
+    const latest = await getRate(from, to, currentDay);
+    return { ...latest, stale: true };
+  }
+
+  throw rateUnavailableError(from, to, day);
+};
+
+// Swap the providers at runtime, e.g. a fixture provider in tests. Takes a
+// comma-separated list of names, a provider, or an array of providers.
+const setProvider = (nextProvider) => {
+  providers = typeof nextProvider === "string" ? createProviders(nextProvider) : [].concat(nextProvider);
+  memo.clear();
+};
+
+// The first provider in the chain
+const getProvider = () => providers[0];
+
+module.exports = { getRate, setProvider, getProvider, createProvider };
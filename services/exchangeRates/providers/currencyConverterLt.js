@@ -0,0 +1,15 @@
+// currency-converter-lt - scrapes today's rate one currency pair at a time
+const CurrencyConverter = require("currency-converter-lt");
+
+module.exports = {
+  name: "currency-converter-lt",
+  supportsHistorical: false,
+
+  getRates: async ({ base, symbols }) => {
+    const rates = {};
+    for (const symbol of symbols) {
+      rates[symbol] = await new CurrencyConverter({ from: base, to: symbol }).rates();
+    }
+    return { date: new Date().toISOString().split("T")[0], rates };
+  },
+};
@@ -0,0 +1,12 @@
+// exchangerate-api.com - broad currency coverage, latest rates only
+const axios = require("axios");
+
+module.exports = {
+  name: "exchangerate-api",
+  supportsHistorical: false,
+
+  getRates: async ({ base }) => {
+    const response = await axios.get(`https://api.exchangerate-api.com/v4/latest/${base}`, { timeout: 5000 });
+    return { date: response.data.date, rates: response.data.rates };
+  },
+};
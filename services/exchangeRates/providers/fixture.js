@@ -0,0 +1,36 @@
+// Offline provider backed by a JSON file, for tests and local development.
+// File shape: { "<BASE>": { "<YYYY-MM-DD>": { "<QUOTE>": rate, ... }, ... }, ... }
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE = path.join(__dirname, "../../../fixtures/exchangeRates.json");
+
+const createFixtureProvider = (filePath = DEFAULT_FIXTURE) => {
+  let fixture = null;
+  const load = () => {
+    if (!fixture) fixture = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return fixture;
+  };
+
+  return {
+    name: "fixture",
+    supportsHistorical: true,
+
+    // Uses the latest fixture date on or before the requested one
+    getRates: async ({ base, symbols, date }) => {
+      const byDate = load()[base] || {};
+      const wanted = date || new Date().toISOString().split("T")[0];
+      const available = Object.keys(byDate).filter((d) => d <= wanted).sort();
+      const found = available[available.length - 1];
+      if (!found) throw new Error(`No fixture rates for ${base} on or before ${wanted}`);
+
+      const rates = {};
+      symbols.forEach((symbol) => {
+        if (byDate[found][symbol] !== undefined) rates[symbol] = byDate[found][symbol];
+      });
+      return { date: found, rates };
+    },
+  };
+};
+
+module.exports = { createFixtureProvider };
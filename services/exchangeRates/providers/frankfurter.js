@@ -0,0 +1,16 @@
+// frankfurter.app - European Central Bank reference rates, with history back to 1999
+const axios = require("axios");
+
+module.exports = {
+  name: "frankfurter",
+  supportsHistorical: true,
+
+  getRates: async ({ base, symbols, date }) => {
+    const response = await axios.get(`https://api.frankfurter.app/${date || "latest"}`, {
+      params: { from: base, to: symbols.join(",") },
+      timeout: 5000,
+    });
+    // Weekends and holidays resolve to the previous business day, reported in data.date
+    return { date: response.data.date, rates: response.data.rates };
+  },
+};
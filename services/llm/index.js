@@ -0,0 +1,220 @@
+// LLM service: one entry point for every model call, with providers swappable
+// per feature (see config/llm.js).
+//
+// Providers implement { name, complete({ feature, model, messages, json, temperature, signal, onToken }) }
+// and resolve to { text, usage: { inputTokens, outputTokens } }. When onToken is given they
+// stream, calling it with each piece of text as it arrives. Messages are
+// { role: "system" | "user" | "assistant", content, attachments?: [{ data (base64), mimeType }] }.
+const { getFeatureConfig } = require("../../config/llm");
+const { createGeminiProvider } = require("./providers/gemini");
+const { createGroqProvider } = require("./providers/groq");
+const { createMockProvider, createMockProviderFromFile } = require("./providers/mock");
+
+const PROVIDERS = {
+  gemini: () => createGeminiProvider(),
+  groq: () => createGroqProvider(),
+  mock: () => (process.env.LLM_MOCK_FIXTURE ? createMockProviderFromFile(process.env.LLM_MOCK_FIXTURE) : createMockProvider()),
+};
+
+const createProvider = (name) => {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown LLM provider: ${name}`);
+  return factory();
+};
+
+// Providers are created on first use, so a missing API key only matters for the features that need it
+const instances = {};
+const getProvider = (name) => {
+  if (!instances[name]) instances[name] = createProvider(name);
+  return instances[name];
+};
+
+// Replace a provider at runtime, e.g. setProvider("groq", createMockProvider({...})) in tests
+const setProvider = (name, provider) => {
+  instances[name] = typeof provider === "string" ? createProvider(provider) : provider;
+};
+
+const JSON_INSTRUCTION = "\n\nIMPORTANT: You MUST respond ONLY with a valid JSON object. Do not include any text, greetings, or explanations before or after the JSON.";
+
+/**
+ * Parse a JSON object out of a model reply, tolerating code fences and text around it
+ * @param {String} text - Raw model output
+ * @returns {Object} - Parsed object
+ */
+const parseJson = (text) => {
+  const unfenced = String(text).replace(/```(?:json)?\s*([\s\S]*?)\s*```/, "$1").trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (e) {
+    // Use the outermost braces if the model added extra text
+    const start = unfenced.indexOf("{");
+    const end = unfenced.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(unfenced.slice(start, end + 1));
+      } catch (innerError) {
+        throw new Error("Found JSON structure but it was malformed.");
+      }
+    }
+    throw new Error("No JSON found in response.");
+  }
+};
+
+// Thrown when the caller's signal aborts, e.g. because the client disconnected
+const cancelledError = () => {
+  const error = new Error("LLM call was cancelled");
+  error.cancelled = true;
+  error.retryable = false;
+  return error;
+};
+
+// Rate limits, server errors, timeouts, network failures and unusable JSON are worth another try
+const isRetryable = (error) => {
+  if (error.retryable !== undefined) return error.retryable;
+  if (error.timedOut) return true;
+  const status = error.status || (error.response && error.response.status);
+  if (!status) return true;
+  return status === 429 || status >= 500;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run one attempt, aborting the provider call when it takes longer than timeoutMs
+// or when the caller's own signal aborts
+const withTimeout = async (run, timeoutMs, signal) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener("abort", cancel, { once: true });
+  try {
+    return await run(controller.signal);
+  } catch (error) {
+    if (signal && signal.aborted) throw cancelledError();
+    if (controller.signal.aborted) {
+      const timeoutError = new Error(`LLM call timed out after ${timeoutMs}ms`);
+      timeoutError.timedOut = true;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", cancel);
+  }
+};
+
+// Running totals per feature since the process started
+const metrics = {};
+
+// Served by GET /api/admin/llm-metrics
+const recordCall = (entry) => {
+  const totals = metrics[entry.feature] || (metrics[entry.feature] = {
+    calls: 0, failures: 0, attempts: 0, inputTokens: 0, outputTokens: 0, totalLatencyMs: 0,
+  });
+  totals.calls += 1;
+  totals.failures += entry.success ? 0 : 1;
+  totals.attempts += entry.attempts;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.totalLatencyMs += entry.latencyMs;
+};
+
+// Per-feature call counts, token totals and average latency
+const getMetrics = () => Object.fromEntries(Object.entries(metrics).map(([feature, totals]) => [
+  feature,
+  { ...totals, avgLatencyMs: Math.round(totals.totalLatencyMs / totals.calls) },
+]));
+
+const resetMetrics = () => Object.keys(metrics).forEach((feature) => delete metrics[feature]);
+
+/**
+ * Call the model configured for a feature
+ * @param {String} feature - Key in config/llm.js, e.g. "chatbot.intent"
+ * @param {Array} messages - Chat messages (see top of file)
+ * @param {Object} options - { json: parse the reply as an object, required: keys the object must have,
+ *   signal: AbortSignal that cancels the call, onToken: stream the reply's text to this callback (not with json) }
+ * @returns {Object} - { text, data (when json), usage, provider, model, attempts, latencyMs }
+ */
+const complete = async (feature, messages, { json = false, required = [], signal, onToken } = {}) => {
+  const config = getFeatureConfig(feature);
+  const provider = getProvider(config.provider);
+
+  // Deep clone messages to avoid accidental mutation
+  const sessionMessages = JSON.parse(JSON.stringify(messages));
+  if (json && sessionMessages[0] && sessionMessages[0].role === "system") {
+    sessionMessages[0].content += JSON_INSTRUCTION;
+  }
+
+  const startedAt = Date.now();
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let attempts = 0;
+  let lastError;
+
+  // Once text has reached the caller a retry would repeat it, so streamed calls fail instead
+  let streamed = false;
+  const forwardToken = onToken && !json
+    ? (text) => {
+      streamed = true;
+      onToken(text);
+    }
+    : undefined;
+
+  while (attempts < config.maxAttempts) {
+    attempts += 1;
+    try {
+      if (signal && signal.aborted) throw cancelledError();
+
+      const result = await withTimeout((attemptSignal) => provider.complete({
+        feature,
+        model: config.model,
+        messages: sessionMessages,
+        json,
+        temperature: config.temperature,
+        signal: attemptSignal,
+        onToken: forwardToken,
+      }), config.timeoutMs, signal);
+
+      // Providers that can't stream still hand the whole reply over as one piece
+      if (forwardToken && !streamed) forwardToken(result.text);
+
+      // Failed parses are billed too, so usage covers every attempt
+      usage.inputTokens += result.usage.inputTokens || 0;
+      usage.outputTokens += result.usage.outputTokens || 0;
+
+      let data;
+      if (json) {
+        data = parseJson(result.text);
+        const missing = required.filter((key) => data[key] === undefined);
+        if (missing.length) throw new Error(`Response is missing: ${missing.join(", ")}`);
+      }
+
+      const latencyMs = Date.now() - startedAt;
+      recordCall({ feature, provider: provider.name, model: config.model, attempts, latencyMs, ...usage, success: true });
+      return { text: result.text, data, usage, provider: provider.name, model: config.model, attempts, latencyMs };
+    } catch (error) {
+      lastError = error;
+      console.error(`LLM ${feature} attempt ${attempts} failed:`, error.message);
+      if (!isRetryable(error) || streamed || attempts >= config.maxAttempts) break;
+      await sleep(config.backoffMs * 2 ** (attempts - 1));
+    }
+  }
+
+  recordCall({
+    feature, provider: provider.name, model: config.model, attempts, latencyMs: Date.now() - startedAt, ...usage,
+    success: false, error: lastError.message,
+  });
+  throw lastError;
+};
+
+// Shortcut for calls that only need the parsed JSON object
+const completeJson = async (feature, messages, options = {}) => (await complete(feature, messages, { ...options, json: true })).data;
+
+module.exports = {
+  complete,
+  completeJson,
+  parseJson,
+  getMetrics,
+  resetMetrics,
+  setProvider,
+  getProvider,
+  createProvider,
+};
@@ -0,0 +1,55 @@
+// Google Gemini, which also reads images, PDFs and HEIC photos sent as attachments
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const createGeminiProvider = (apiKey = process.env.GEMINI_API_KEY) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+
+    complete: async ({ model, messages, temperature, signal, onToken }) => {
+      // Gemini has no system role on the v1 API, so system text leads the first user turn
+      const system = messages.filter((message) => message.role === "system").map((message) => message.content);
+      const contents = messages
+        .filter((message) => message.role !== "system")
+        .map((message, index) => ({
+          role: message.role === "assistant" ? "model" : "user",
+          parts: [
+            { text: index === 0 && system.length ? `${system.join("\n\n")}\n\n${message.content}` : message.content },
+            ...(message.attachments || []).map(({ data, mimeType }) => ({ inlineData: { data, mimeType } })),
+          ],
+        }));
+
+      const generativeModel = genAI.getGenerativeModel({ model, generationConfig: { temperature } }, { apiVersion: "v1" });
+
+      let text;
+      let response;
+      if (onToken) {
+        const result = await generativeModel.generateContentStream({ contents }, { signal });
+        text = "";
+        for await (const chunk of result.stream) {
+          const delta = chunk.text();
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+        }
+        response = await result.response;
+      } else {
+        response = (await generativeModel.generateContent({ contents }, { signal })).response;
+        text = response.text();
+      }
+      const usage = response.usageMetadata || {};
+
+      return {
+        text,
+        usage: {
+          inputTokens: usage.promptTokenCount ?? null,
+          outputTokens: usage.candidatesTokenCount ?? null,
+        },
+      };
+    },
+  };
+};
+
+module.exports = { createGeminiProvider };
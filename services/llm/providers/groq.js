@@ -0,0 +1,62 @@
+// Groq chat completions (OpenAI-compatible)
+const Groq = require("groq-sdk");
+
+const createGroqProvider = (apiKey = process.env.GROQ_API_KEY) => {
+  // Retries are handled by the LLM service so every provider backs off the same way
+  const client = new Groq({ apiKey, maxRetries: 0 });
+
+  return {
+    name: "groq",
+
+    complete: async ({ model, messages, json, temperature, signal, onToken }) => {
+      if (messages.some((message) => message.attachments && message.attachments.length)) {
+        const error = new Error("The Groq provider does not accept file attachments");
+        error.retryable = false;
+        throw error;
+      }
+
+      const body = {
+        messages: messages.map(({ role, content }) => ({ role, content })),
+        model,
+        temperature,
+        // Tells Groq to strictly enforce JSON output
+        response_format: json ? { type: "json_object" } : undefined,
+      };
+
+      if (onToken) {
+        const stream = await client.chat.completions.create({ ...body, stream: true }, { signal });
+        let text = "";
+        let usage = null;
+        for await (const chunk of stream) {
+          const delta = (chunk.choices[0] && chunk.choices[0].delta.content) || "";
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+          // Usage arrives with the last chunk
+          usage = chunk.usage || (chunk.x_groq && chunk.x_groq.usage) || usage;
+        }
+
+        return {
+          text,
+          usage: {
+            inputTokens: usage ? usage.prompt_tokens : null,
+            outputTokens: usage ? usage.completion_tokens : null,
+          },
+        };
+      }
+
+      const completion = await client.chat.completions.create(body, { signal });
+
+      return {
+        text: completion.choices[0].message.content || "",
+        usage: {
+          inputTokens: completion.usage ? completion.usage.prompt_tokens : null,
+          outputTokens: completion.usage ? completion.usage.completion_tokens : null,
+        },
+      };
+    },
+  };
+};
+
+module.exports = { createGroqProvider };
@@ -0,0 +1,68 @@
+// Deterministic offline provider for tests and local development. Replies are
+// looked up by feature: a string is returned as-is, an object is sent as JSON
+// and a function is called with the messages. Unknown features get "{}" for
+// JSON calls and a fixed sentence otherwise. Streamed calls get the reply word by
+// word. LLM_MOCK_FIXTURE can point at a JSON file of { "<feature>": reply } to use
+// instead of the built-in replies.
+const fs = require("fs");
+
+const DEFAULT_RESPONSES = {
+  "chatbot.intent": { intent: "chitchat" },
+  "chatbot.chitchat": "I'm here to help you manage your money! What can I do for you today?",
+  "chatbot.category": "Other",
+  // Leave replies untranslated
+  "chatbot.translate": (messages) => messages[messages.length - 1].content,
+  "ocr.receipt": {
+    merchant: "Mock Mart",
+    lineItems: [],
+    subtotal: 100,
+    tax: 0,
+    tip: 0,
+    discount: 0,
+    total: 100,
+    currency: "INR",
+    category: "Groceries",
+    date: "",
+    title: "Groceries",
+    confidence: { merchant: 1, total: 1, currency: 1, date: 1, category: 1 },
+  },
+};
+
+const createMockProvider = (responses = DEFAULT_RESPONSES) => {
+  const calls = [];
+
+  return {
+    name: "mock",
+    calls, // Every request, for assertions
+
+    complete: async (request) => {
+      calls.push(request);
+      const reply = responses[request.feature];
+      const resolved = typeof reply === "function" ? await reply(request.messages, request) : reply;
+
+      let text;
+      if (resolved === undefined) text = request.json ? "{}" : "This is a mock reply.";
+      else text = typeof resolved === "string" ? resolved : JSON.stringify(resolved);
+
+      // Stream word by word, stopping like a real provider if the caller aborts
+      if (request.onToken) {
+        for (const piece of text.match(/\S+\s*/g) || []) {
+          if (request.signal && request.signal.aborted) throw new Error("Request was aborted");
+          request.onToken(piece);
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+      }
+
+      // Roughly one token per four characters, so metrics have something to count
+      const inputLength = request.messages.reduce((sum, message) => sum + String(message.content).length, 0);
+      return { text, usage: { inputTokens: Math.ceil(inputLength / 4), outputTokens: Math.ceil(text.length / 4) } };
+    },
+  };
+};
+
+const createMockProviderFromFile = (filePath) => createMockProvider({
+  ...DEFAULT_RESPONSES,
+  ...JSON.parse(fs.readFileSync(filePath, "utf8")),
+});
+
+module.exports = { createMockProvider, createMockProviderFromFile };
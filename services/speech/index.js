@@ -0,0 +1,66 @@
+// Speech-to-text behind a swappable provider. Pick one with SPEECH_PROVIDER
+// (groq | stub); SPEECH_MODEL overrides the provider's default model.
+//
+// Providers implement { name, transcribe({ buffer, mimeType, fileName, language, model }) }
+// and resolve to { text, language, durationSeconds }.
+const { createGroqProvider } = require("./providers/groq");
+const { createStubProvider } = require("./providers/stub");
+
+const PROVIDERS = {
+  groq: () => createGroqProvider(),
+  stub: () => createStubProvider(process.env.SPEECH_STUB_TRANSCRIPT),
+};
+
+const createProvider = (name) => {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown speech provider: ${name}`);
+  return factory();
+};
+
+// Created on first use, so a missing API key only matters once audio arrives
+let provider = null;
+const getProvider = () => {
+  if (!provider) provider = createProvider(process.env.SPEECH_PROVIDER || "groq");
+  return provider;
+};
+
+// Swap the provider at runtime, e.g. setProvider(createStubProvider("paid 240 for auto")) in tests
+const setProvider = (nextProvider) => {
+  provider = typeof nextProvider === "string" ? createProvider(nextProvider) : nextProvider;
+};
+
+/**
+ * Transcribe an uploaded recording
+ * @param {Object} file - Multer file: { buffer, mimetype, originalname }
+ * @param {Object} options - { language: BCP 47 tag to expect, e.g. "hi" or "en-IN"; detected when omitted }
+ * @returns {Object} - { text, language, durationSeconds, provider }
+ */
+const transcribe = async (file, { language } = {}) => {
+  const active = getProvider();
+  const startedAt = Date.now();
+
+  // Speech models take the bare language ("hi"), not a region
+  const result = await active.transcribe({
+    buffer: file.buffer,
+    mimeType: file.mimetype,
+    fileName: file.originalname,
+    language: language ? language.split("-")[0].toLowerCase() : undefined,
+    model: process.env.SPEECH_MODEL,
+  });
+
+  console.log("Speech transcription:", JSON.stringify({
+    provider: active.name,
+    bytes: file.buffer.length,
+    durationSeconds: result.durationSeconds ?? null,
+    latencyMs: Date.now() - startedAt,
+  }));
+
+  return {
+    text: String(result.text || "").trim(),
+    language: result.language || null,
+    durationSeconds: result.durationSeconds ?? null,
+    provider: active.name,
+  };
+};
+
+module.exports = { transcribe, setProvider, getProvider, createProvider };
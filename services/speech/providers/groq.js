@@ -0,0 +1,33 @@
+// Whisper on Groq's audio transcription API
+const Groq = require("groq-sdk");
+const { toFile } = require("groq-sdk");
+
+const DEFAULT_MODEL = "whisper-large-v3-turbo";
+
+const createGroqProvider = (apiKey = process.env.GROQ_API_KEY) => {
+  const client = new Groq({ apiKey });
+
+  return {
+    name: "groq",
+
+    transcribe: async ({ buffer, mimeType, fileName, language, model = DEFAULT_MODEL }) => {
+      const transcription = await client.audio.transcriptions.create({
+        file: await toFile(buffer, fileName || "recording", { type: mimeType }),
+        model: model || DEFAULT_MODEL,
+        language,
+        // Amounts and merchant names come out better with a hint of what to expect
+        prompt: "A spoken note about money spent, e.g. paid 240 for auto to office.",
+        response_format: "verbose_json",
+        temperature: 0,
+      });
+
+      return {
+        text: transcription.text,
+        language: transcription.language || language || null,
+        durationSeconds: transcription.duration ?? null,
+      };
+    },
+  };
+};
+
+module.exports = { createGroqProvider };
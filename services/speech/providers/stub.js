@@ -0,0 +1,20 @@
+// Offline provider for tests and local development: every recording "says" the
+// same sentence, or whatever a function returns for it
+const DEFAULT_TRANSCRIPT = "paid 240 for auto to office";
+
+const createStubProvider = (transcript = DEFAULT_TRANSCRIPT) => {
+  const calls = [];
+
+  return {
+    name: "stub",
+    calls, // Every request, for assertions
+
+    transcribe: async (request) => {
+      calls.push(request);
+      const text = typeof transcript === "function" ? await transcript(request) : transcript;
+      return { text, language: request.language || "en", durationSeconds: null };
+    },
+  };
+};
+
+module.exports = { createStubProvider };
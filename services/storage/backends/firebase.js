@@ -0,0 +1,27 @@
+// Firebase (Google Cloud) Storage, for production. Uses FIREBASE_STORAGE_BUCKET by default.
+const admin = require("../../../config/firebaseAdmin");
+
+const createFirebaseBackend = (bucketName) => {
+  const bucket = () => admin.storage().bucket(bucketName);
+
+  return {
+    name: "firebase",
+
+    save: async (key, buffer, contentType) => {
+      await bucket().file(key).save(buffer, { contentType, resumable: false });
+      return { key, size: buffer.length };
+    },
+
+    read: async (key) => {
+      const file = bucket().file(key);
+      const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+      return { buffer, contentType: metadata.contentType || "application/octet-stream" };
+    },
+
+    remove: async (key) => {
+      await bucket().file(key).delete({ ignoreNotFound: true });
+    },
+  };
+};
+
+module.exports = { createFirebaseBackend };
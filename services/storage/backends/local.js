@@ -0,0 +1,45 @@
+// Local-disk storage, for tests and local development
+const fs = require("fs/promises");
+const path = require("path");
+
+const createLocalBackend = (rootDir = path.join(__dirname, "../../../uploads")) => {
+  // Keys are forward-slash paths; refuse anything that escapes the root
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    save: async (key, buffer, contentType) => {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      await fs.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType }));
+      return { key, size: buffer.length };
+    },
+
+    read: async (key) => {
+      const filePath = resolve(key);
+      const [buffer, meta] = await Promise.all([
+        fs.readFile(filePath),
+        fs.readFile(`${filePath}.meta.json`, "utf8").then(JSON.parse).catch(() => ({})),
+      ]);
+      return { buffer, contentType: meta.contentType || "application/octet-stream" };
+    },
+
+    remove: async (key) => {
+      const filePath = resolve(key);
+      await Promise.all([
+        fs.rm(filePath, { force: true }),
+        fs.rm(`${filePath}.meta.json`, { force: true }),
+      ]);
+    },
+  };
+};
+
+module.exports = { createLocalBackend };
@@ -0,0 +1,43 @@
+// File storage behind a swappable backend. Pick one with STORAGE_BACKEND
+// (firebase | local); the local backend writes under STORAGE_LOCAL_DIR, or uploads/.
+//
+// Backends implement save(key, buffer, contentType), read(key) -> { buffer, contentType }
+// and remove(key).
+const { createLocalBackend } = require("./backends/local");
+const { createFirebaseBackend } = require("./backends/firebase");
+
+const BACKENDS = {
+  firebase: () => createFirebaseBackend(),
+  local: () => createLocalBackend(process.env.STORAGE_LOCAL_DIR),
+};
+
+const createBackend = (name) => {
+  const factory = BACKENDS[name];
+  if (!factory) throw new Error(`Unknown storage backend: ${name}`);
+  return factory();
+};
+
+let backend = createBackend(process.env.STORAGE_BACKEND || "firebase");
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "application/pdf": "pdf",
+};
+
+// Build a storage key such as "receipts/<uid>/<id>.jpg"
+const buildKey = (folder, userId, id, contentType) => `${folder}/${userId}/${id}.${EXTENSIONS[contentType] || "bin"}`;
+
+const save = (key, buffer, contentType) => backend.save(key, buffer, contentType);
+const read = (key) => backend.read(key);
+const remove = (key) => backend.remove(key);
+
+// Swap the backend at runtime, e.g. local disk in tests
+const setBackend = (nextBackend) => {
+  backend = typeof nextBackend === "string" ? createBackend(nextBackend) : nextBackend;
+};
+
+module.exports = { buildKey, save, read, remove, setBackend, createBackend };
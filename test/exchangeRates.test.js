@@ -0,0 +1,20 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixtureProvider } = require("../services/exchangeRates/providers/fixture");
+
+// The service itself needs Firestore for its cache, so the fixture provider is tested directly
+const provider = createFixtureProvider();
+
+test("fixture rates use the latest date on or before the one asked for", async () => {
+    assert.deepEqual(await provider.getRates({ base: "USD", symbols: ["INR", "EUR"], date: "2026-03-15" }), {
+        date: "2026-01-01",
+        rates: { INR: 85.6, EUR: 0.96 },
+    });
+    assert.equal((await provider.getRates({ base: "EUR", symbols: ["INR"], date: "2026-10-01" })).rates.INR, 100.8);
+});
+
+test("fixture rates leave out unknown currencies and fail before the first date", async () => {
+    assert.deepEqual((await provider.getRates({ base: "GBP", symbols: ["JPY"], date: "2026-07-01" })).rates, {});
+    await assert.rejects(provider.getRates({ base: "USD", symbols: ["INR"], date: "2025-12-31" }), /No fixture rates for USD on or before 2025-12-31/);
+    await assert.rejects(provider.getRates({ base: "AED", symbols: ["INR"], date: "2026-07-01" }), /No fixture rates for AED/);
+});
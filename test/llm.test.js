@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const llm = require("../services/llm");
+const { createMockProvider } = require("../services/llm/providers/mock");
+
+// Every feature runs against the mock, so nothing here needs an API key or the network
+const useMock = (responses) => {
+    const provider = createMockProvider(responses);
+    ["gemini", "groq", "mock"].forEach(name => llm.setProvider(name, provider));
+    return provider;
+};
+
+test.beforeEach(() => llm.resetMetrics());
+
+test("parseJson tolerates code fences and text around the object", () => {
+    assert.deepEqual(llm.parseJson("```json\n{\"a\": 1}\n```"), { a: 1 });
+    assert.deepEqual(llm.parseJson("Sure! {\"a\": {\"b\": 2}} Hope that helps"), { a: { b: 2 } });
+    assert.throws(() => llm.parseJson("no json here"), /No JSON found/);
+});
+
+test("completeJson returns the parsed reply and asks the model for JSON", async () => {
+    const provider = useMock({ "chatbot.intent": { intent: "add_expense" } });
+    const data = await llm.completeJson("chatbot.intent", [
+        { role: "system", content: "Classify the message" },
+        { role: "user", content: "I spent 200 on lunch" },
+    ], { required: ["intent"] });
+
+    assert.deepEqual(data, { intent: "add_expense" });
+    assert.equal(provider.calls.length, 1);
+    assert.match(provider.calls[0].messages[0].content, /respond ONLY with a valid JSON object/);
+});
+
+test("streamed replies arrive piece by piece", async () => {
+    useMock({ "chatbot.chitchat": "Hello there, friend" });
+    const pieces = [];
+    const { text } = await llm.complete("chatbot.chitchat", [{ role: "user", content: "hi" }], { onToken: piece => pieces.push(piece) });
+
+    assert.equal(text, "Hello there, friend");
+    assert.deepEqual(pieces, ["Hello ", "there, ", "friend"]);
+});
+
+test("unusable JSON is retried and counted in the metrics", async () => {
+    let attempt = 0;
+    useMock({ "chatbot.target": () => (++attempt === 1 ? "not json" : { target: { title: "Lunch" } }) });
+    const result = await llm.complete("chatbot.target", [{ role: "user", content: "delete lunch" }], { json: true });
+
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(result.data, { target: { title: "Lunch" } });
+    const metrics = llm.getMetrics()["chatbot.target"];
+    assert.equal(metrics.calls, 1);
+    assert.equal(metrics.attempts, 2);
+    assert.equal(metrics.failures, 0);
+});
+
+test("a cancelled call is not retried", async () => {
+    useMock({ "chatbot.chitchat": "never sent" });
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(llm.complete("chatbot.chitchat", [{ role: "user", content: "hi" }], { signal: controller.signal }), { cancelled: true });
+    assert.equal(llm.getMetrics()["chatbot.chitchat"].failures, 1);
+    assert.equal(llm.getMetrics()["chatbot.chitchat"].attempts, 1);
+});
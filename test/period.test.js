@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { todayIn, addDays, getWeekStart, getDaysInPeriod, getPeriodRange, resolvePeriod, getPreviousPeriod } = require("../utils/period");
+
+// A Wednesday, late evening in UTC and already Thursday in India
+const NOW = new Date("2026-03-18T20:00:00Z");
+
+test("todayIn uses the user's timezone, falling back to UTC", () => {
+    assert.equal(todayIn("Asia/Kolkata", NOW), "2026-03-19");
+    assert.equal(todayIn("America/Los_Angeles", NOW), "2026-03-18");
+    assert.equal(todayIn("Not/AZone", NOW), "2026-03-18");
+    assert.equal(todayIn(undefined, NOW), "2026-03-18");
+});
+
+test("date helpers work across month and year boundaries", () => {
+    assert.equal(addDays("2026-12-31", 1), "2027-01-01");
+    assert.equal(addDays("2024-03-01", -1), "2024-02-29");
+    assert.equal(getDaysInPeriod("2026-03-01", "2026-03-31"), 31);
+    assert.equal(getDaysInPeriod("2026-03-05", "2026-03-01"), 1);
+});
+
+test("getWeekStart honours the user's first day of the week", () => {
+    assert.equal(getWeekStart("2026-03-18"), "2026-03-16");
+    assert.equal(getWeekStart("2026-03-18", "sunday"), "2026-03-15");
+    assert.equal(getWeekStart("2026-03-15", "monday"), "2026-03-09");
+    assert.equal(getWeekStart("2026-03-18", "someday"), "2026-03-16");
+});
+
+test("custom ranges compare against the same number of days before", () => {
+    assert.deepEqual(getPeriodRange("custom", "2026-03-10", "2026-03-19"), {
+        startDate: "2026-03-10",
+        endDate: "2026-03-19",
+        previousStartDate: "2026-02-28",
+        previousEndDate: "2026-03-09",
+    });
+});
+
+test("calendar ranges run from the start of the current period", () => {
+    const today = todayIn();
+    const { startDate, endDate, previousEndDate } = getPeriodRange("month");
+    assert.equal(startDate, `${today.slice(0, 7)}-01`);
+    assert.equal(endDate.slice(0, 7), today.slice(0, 7));
+    assert.equal(addDays(previousEndDate, 1), startDate);
+
+    const week = getPeriodRange("week", null, null, { weekStartDay: "sunday" });
+    assert.equal(new Date(`${week.startDate}T00:00:00Z`).getUTCDay(), 0);
+    assert.equal(week.previousStartDate, addDays(week.startDate, -7));
+});
+
+test("resolvePeriod understands presets, months, years and explicit dates", () => {
+    const options = { timezone: "Asia/Kolkata" };
+    assert.deepEqual(resolvePeriod({ preset: "today" }, NOW, options), { from: "2026-03-19", to: "2026-03-19", label: "today", kind: "day" });
+    assert.deepEqual(resolvePeriod({ preset: "last week" }, NOW, options), { from: "2026-03-09", to: "2026-03-15", label: "last week", kind: "week" });
+    assert.deepEqual(resolvePeriod({ preset: "last 7 days" }, NOW), { from: "2026-03-12", to: "2026-03-18", label: "the last 7 days", kind: "range" });
+    assert.deepEqual(resolvePeriod({}, NOW), { from: "2026-03-01", to: "2026-03-31", label: "March 2026", kind: "month" });
+    assert.deepEqual(resolvePeriod({ preset: "last month" }, new Date("2026-01-10T00:00:00Z")), { from: "2025-12-01", to: "2025-12-31", label: "December 2025", kind: "month" });
+    assert.equal(resolvePeriod({ month: 11 }, NOW).label, "November 2025");
+    assert.equal(resolvePeriod({ year: 2024 }, NOW).to, "2024-12-31");
+    assert.deepEqual(resolvePeriod({ from: "2026-03-10", to: "2026-03-01" }, NOW), { from: "2026-03-01", to: "2026-03-10", label: "2026-03-01 to 2026-03-10", kind: "range" });
+    assert.equal(resolvePeriod({ preset: "sometime" }, NOW), null);
+});
+
+test("getPreviousPeriod steps back a calendar period or an equal-length range", () => {
+    assert.equal(getPreviousPeriod(resolvePeriod({ month: 1, year: 2026 })).label, "December 2025");
+    assert.equal(getPreviousPeriod(resolvePeriod({ year: 2026 })).label, "2025");
+    assert.deepEqual(getPreviousPeriod({ from: "2026-03-10", to: "2026-03-16", kind: "week" }), {
+        from: "2026-03-03",
+        to: "2026-03-09",
+        label: "2026-03-03 to 2026-03-09",
+        kind: "week",
+    });
+});
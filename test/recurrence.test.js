@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getOccurrenceDate, isRuleFinished, listOccurrences, findIndexOnOrAfter } = require("../utils/recurrence");
+
+test("daily and weekly rules step by their interval", () => {
+    assert.equal(getOccurrenceDate({ frequency: "daily", interval: 3, startDate: "2026-01-30" }, 1), "2026-02-02");
+    assert.equal(getOccurrenceDate({ frequency: "weekly", startDate: "2026-12-28" }, 1), "2027-01-04");
+});
+
+test("monthly and yearly rules keep the day of month, clamped to short months", () => {
+    const monthly = { frequency: "monthly", startDate: "2026-01-31" };
+    assert.deepEqual([0, 1, 2, 3].map(i => getOccurrenceDate(monthly, i)), ["2026-01-31", "2026-02-28", "2026-03-31", "2026-04-30"]);
+
+    const leapDay = { frequency: "yearly", startDate: "2024-02-29" };
+    assert.equal(getOccurrenceDate(leapDay, 1), "2025-02-28");
+    assert.equal(getOccurrenceDate(leapDay, 4), "2028-02-29");
+});
+
+test("rules finish at their end date or occurrence count", () => {
+    const rule = { frequency: "daily", startDate: "2026-01-01", endDate: "2026-01-03" };
+    assert.equal(isRuleFinished(rule, 2), false);
+    assert.equal(isRuleFinished(rule, 3), true);
+    assert.equal(isRuleFinished({ frequency: "daily", startDate: "2026-01-01", maxOccurrences: 2 }, 2), true);
+});
+
+test("listOccurrences runs up to and including the date", () => {
+    const rule = { frequency: "weekly", startDate: "2026-01-01" };
+    assert.deepEqual(listOccurrences(rule, 1, "2026-01-15"), [
+        { index: 1, date: "2026-01-08" },
+        { index: 2, date: "2026-01-15" },
+    ]);
+    assert.equal(listOccurrences({ frequency: "daily", startDate: "2000-01-01" }, 0, "2026-01-01").length, 400);
+});
+
+test("findIndexOnOrAfter matches a step-by-step walk", () => {
+    const walk = (rule, fromIndex, date) => {
+        for (let index = fromIndex; !isRuleFinished(rule, index); index++) {
+            if (getOccurrenceDate(rule, index) >= date) return index;
+        }
+        return null;
+    };
+    const rules = [
+        { frequency: "daily", interval: 2, startDate: "2026-01-01" },
+        { frequency: "weekly", interval: 3, startDate: "2026-02-15" },
+        { frequency: "monthly", startDate: "2026-01-31" },
+        { frequency: "monthly", interval: 2, startDate: "2025-11-30", maxOccurrences: 5 },
+        { frequency: "yearly", startDate: "2024-02-29", endDate: "2030-01-01" },
+    ];
+    const dates = ["2025-12-31", "2026-01-01", "2026-02-28", "2026-03-01", "2026-07-15", "2027-02-28", "2028-03-01"];
+
+    rules.forEach(rule => dates.forEach(date => [0, 3].forEach(fromIndex => {
+        assert.equal(findIndexOnOrAfter(rule, fromIndex, date), walk(rule, fromIndex, date), `${JSON.stringify(rule)} ${date} from ${fromIndex}`);
+    })));
+});
+
+test("findIndexOnOrAfter jumps straight to a far-off date", () => {
+    const rule = { frequency: "daily", startDate: "2026-01-01" };
+    const index = findIndexOnOrAfter(rule, 0, "9999-12-31");
+    assert.equal(getOccurrenceDate(rule, index), "9999-12-31");
+});
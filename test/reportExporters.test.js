@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+const { toCsv, toXlsx, toPdf } = require("../utils/reportExporters");
+
+const expenses = [
+    { date: "2026-03-01", title: "Coffee, large", category: "Food & Dining", amount: 4.5, tags: ["work", "daily"] },
+    { date: "2026-03-02", title: "=HYPERLINK(\"http://evil\")", category: "Shopping", amount: "20", source: "ocr" },
+    { date: "2026-03-03", title: "Refund", category: "Shopping", amount: -5, notes: "line one\nline two" },
+];
+
+test("CSV quotes cells and defuses formulas", () => {
+    const lines = toCsv(expenses).toString("utf8").split("\r\n");
+    assert.equal(lines[0], "Date,Title,Category,Amount,Source,Payment Method,Tags,Notes");
+    assert.equal(lines[1], "2026-03-01,\"Coffee, large\",Food & Dining,4.50,manual,,\"work, daily\",");
+    assert.equal(lines[2], "2026-03-02,\"'=HYPERLINK(\"\"http://evil\"\")\",Shopping,20.00,ocr,,,");
+    assert.ok(lines[3].startsWith("2026-03-03,Refund,Shopping,"));
+    assert.ok(lines[3].endsWith(",\"line one\nline two\""));
+});
+
+test("XLSX has an all-expenses sheet and one unique sheet per category", async () => {
+    const long = "Subscriptions: Music/Video [Family Plan]";
+    const rows = [
+        ...expenses,
+        { date: "2026-03-04", title: "a", category: long, amount: 1 },
+        { date: "2026-03-05", title: "b", category: `${long} 2`, amount: 2 },
+        { date: "2026-03-06", title: "c", category: "all expenses", amount: 3 },
+    ];
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx(rows));
+
+    const names = workbook.worksheets.map(sheet => sheet.name);
+    assert.deepEqual(names, [
+        "All Expenses",
+        "Food & Dining",
+        "Shopping",
+        "Subscriptions- Music-Video -Fam",
+        "Subscriptions- Music-Video  (2)",
+        "all expenses (2)",
+    ]);
+    names.forEach(name => assert.ok(name.length <= 31));
+
+    const shopping = workbook.getWorksheet("Shopping");
+    assert.equal(shopping.getRow(2).getCell("D").value, 20);
+    assert.equal(shopping.lastRow.getCell("B").value, "Total");
+    assert.equal(shopping.lastRow.getCell("D").value, 15);
+});
+
+test("PDF renders a long report across pages", async () => {
+    const report = {
+        baseCurrency: "INR",
+        timeframe: "month",
+        totalSpent: 1500,
+        avgDailySpent: 48.39,
+        totalIncome: 5000,
+        incomeComparison: { percentChange: null },
+        netSavings: 3500,
+        savingsRate: 70,
+        categoryBreakdown: [{ name: "Food & Dining", value: 1500 }],
+        paymentMethodBreakdown: [{ name: "UPI", value: 1500, count: 60 }],
+        tagBreakdown: [],
+        comparison: { currentPeriodTotal: 1500, previousPeriodTotal: 1000, percentChange: 50 },
+        categoryComparison: [{ name: "Food & Dining", currentValue: 1500, previousValue: 1000, percentChange: 50 }],
+        topExpenses: Array.from({ length: 60 }, (_, i) => ({ title: `Expense ${i}`, date: "2026-03-01", category: "Food & Dining", amount: 25 })),
+    };
+    const pdf = await toPdf(report, {
+        startDate: "2026-03-01",
+        endDate: "2026-03-31",
+        previousStartDate: "2026-02-01",
+        previousEndDate: "2026-02-28",
+    });
+
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+    const pages = pdf.toString("latin1").match(/\/Type \/Page\b/g) || [];
+    assert.ok(pages.length > 1, `expected several pages, got ${pages.length}`);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeSplits, calculateBalances, suggestSettlements } = require("../utils/splits");
+
+const MEMBERS = ["a", "b", "c"];
+const total = (splits) => Math.round(splits.reduce((sum, s) => sum + s.amount, 0) * 100) / 100;
+
+test("equal split gives leftover cents to the earliest members", () => {
+    const { splits } = computeSplits(100, { method: "equal" }, MEMBERS);
+    assert.deepEqual(splits, [
+        { userId: "a", amount: 33.34 },
+        { userId: "b", amount: 33.33 },
+        { userId: "c", amount: 33.33 },
+    ]);
+});
+
+test("equal split among chosen participants", () => {
+    const { splits } = computeSplits(10, { method: "equal", participants: ["b", "c"] }, MEMBERS);
+    assert.deepEqual(splits, [{ userId: "b", amount: 5 }, { userId: "c", amount: 5 }]);
+});
+
+test("equal split rejects outsiders and repeated participants", () => {
+    assert.match(computeSplits(10, { participants: ["a", "z"] }, MEMBERS).error, /z is not a member/);
+    assert.match(computeSplits(10, { participants: ["a", "a"] }, MEMBERS).error, /must not repeat/);
+    assert.ok(computeSplits(10, { participants: [] }, MEMBERS).error);
+});
+
+test("exact split must add up to the total", () => {
+    const entries = [{ userId: "a", amount: 7.5 }, { userId: "b", amount: 2.5 }];
+    assert.deepEqual(computeSplits(10, { method: "exact", entries }, MEMBERS).splits, entries);
+
+    const { error } = computeSplits(10, { method: "exact", entries: [{ userId: "a", amount: 9 }] }, MEMBERS);
+    assert.equal(error, "Split amounts add up to 9.00, not 10.00");
+});
+
+test("percentage split must add up to 100 and always sums to the total", () => {
+    const entries = [{ userId: "a", percent: 33.3 }, { userId: "b", percent: 33.3 }, { userId: "c", percent: 33.4 }];
+    const { splits } = computeSplits(99.99, { method: "percentage", entries }, MEMBERS);
+    assert.equal(total(splits), 99.99);
+
+    const { error } = computeSplits(10, { method: "percentage", entries: entries.slice(0, 2) }, MEMBERS);
+    assert.match(error, /add up to 66.6, not 100/);
+});
+
+test("shares split is proportional", () => {
+    const entries = [{ userId: "a", shares: 2 }, { userId: "b", shares: 1 }];
+    assert.deepEqual(computeSplits(30, { method: "shares", entries }, MEMBERS).splits, [
+        { userId: "a", amount: 20 },
+        { userId: "b", amount: 10 },
+    ]);
+});
+
+test("non-equal splits reject bad entries", () => {
+    assert.match(computeSplits(10, { method: "bogus" }, MEMBERS).error, /Split method must be one of/);
+    assert.match(computeSplits(10, { method: "shares", entries: [] }, MEMBERS).error, /needs entries/);
+    assert.match(computeSplits(10, { method: "shares", entries: [{ userId: "a", shares: 1 }, { userId: "a", shares: 1 }] }, MEMBERS).error, /only once/);
+    assert.match(computeSplits(10, { method: "shares", entries: [{ userId: "a", shares: -1 }] }, MEMBERS).error, /non-negative/);
+    assert.match(computeSplits(10, { method: "shares", entries: [{ userId: "a", shares: 0 }] }, MEMBERS).error, /can't all be zero/);
+});
+
+test("balances net what members paid against what they owe, less settlements", () => {
+    const expenses = [
+        { paidBy: "a", splits: [{ userId: "a", amount: 10 }, { userId: "b", amount: 10 }, { userId: "c", amount: 10 }] },
+        { paidBy: "b", splits: [{ userId: "a", amount: 5 }, { userId: "b", amount: 5 }] },
+    ];
+    assert.deepEqual(calculateBalances(expenses), { a: 15, b: -5, c: -10 });
+    assert.deepEqual(calculateBalances(expenses, [{ from: "c", to: "a", amount: 10 }]), { a: 5, b: -5, c: 0 });
+});
+
+test("settlements clear every balance in at most n - 1 payments", () => {
+    const balances = { a: 15, b: -5, c: -10 };
+    const payments = suggestSettlements(balances);
+    assert.deepEqual(payments, [
+        { from: "c", to: "a", amount: 10 },
+        { from: "b", to: "a", amount: 5 },
+    ]);
+    assert.deepEqual(suggestSettlements({ a: 0, b: 0 }), []);
+});
@@ -0,0 +1,92 @@
+// Aggregation helpers shared by analytics, budgets and the chatbot
+
+// Helper function to calculate category totals from a snapshot (or an array of its docs).
+// getAmount lets callers normalize amounts, e.g. into the user's base currency.
+const calculateCategoryTotals = (snapshot, getAmount = (data) => parseFloat(data.amount)) => {
+    const totals = {};
+    let totalAmount = 0;
+    snapshot.forEach(doc => {
+        const data = doc.data();
+        try {
+            const amount = getAmount(data);
+            if (isNaN(amount)) {
+                console.warn(`Invalid amount found for expense ID ${doc.id}:`, data.amount);
+                return; // Skip this expense
+            }
+            totalAmount += amount;
+            if (!totals[data.category]) {
+                totals[data.category] = 0;
+            }
+            totals[data.category] += amount;
+        } catch (parseError) {
+            console.warn(`Error parsing amount for expense ID ${doc.id}:`, parseError);
+        }
+    });
+    return { totals, totalAmount };
+};
+
+/**
+ * Group spending by the currency it was originally paid in
+ * @param {Array} docs - Expense document snapshots
+ * @param {Function} getAmount - Returns an expense's amount in the base currency
+ * @param {String} baseCurrency - Currency used for legacy expenses with no original currency
+ * @returns {Array} - [{ currency, count, originalTotal, baseTotal, share }] largest first
+ */
+const calculateCurrencyExposure = (docs, getAmount, baseCurrency) => {
+    const exposure = {};
+    let grandTotal = 0;
+
+    docs.forEach(doc => {
+        const data = doc.data();
+        const baseAmount = getAmount(data);
+        if (isNaN(baseAmount)) return;
+
+        const currency = data.originalCurrency || data.baseCurrency || baseCurrency;
+        const originalAmount = parseFloat(data.originalAmount ?? data.amount);
+        if (!exposure[currency]) {
+            exposure[currency] = { currency, count: 0, originalTotal: 0, baseTotal: 0 };
+        }
+        exposure[currency].count += 1;
+        exposure[currency].originalTotal += isNaN(originalAmount) ? 0 : originalAmount;
+        exposure[currency].baseTotal += baseAmount;
+        grandTotal += baseAmount;
+    });
+
+    return Object.values(exposure)
+        .map(entry => ({
+            ...entry,
+            originalTotal: Math.round(entry.originalTotal * 100) / 100,
+            baseTotal: Math.round(entry.baseTotal * 100) / 100,
+            share: grandTotal > 0 ? Math.round((entry.baseTotal / grandTotal) * 10000) / 100 : 0,
+        }))
+        .sort((a, b) => b.baseTotal - a.baseTotal);
+};
+
+/**
+ * Total spending grouped by some property of each expense, e.g. its tags or payment method
+ * @param {Array} docs - Expense document snapshots
+ * @param {Function} getKeys - Returns the groups an expense belongs to; one with two tags counts
+ *   towards both, so group totals can add up to more than the total spent
+ * @param {Function} getAmount - Returns an expense's amount in the base currency
+ * @returns {Array} - [{ name, value, count }] largest first
+ */
+const calculateBreakdown = (docs, getKeys, getAmount) => {
+    const groups = {};
+    docs.forEach(doc => {
+        const data = doc.data();
+        const amount = getAmount(data);
+        if (isNaN(amount)) return;
+
+        getKeys(data).forEach(key => {
+            if (!groups[key]) groups[key] = { name: key, value: 0, count: 0 };
+            groups[key].value += amount;
+            groups[key].count += 1;
+        });
+    });
+
+    return Object.values(groups)
+        .map(group => ({ ...group, value: Math.round(group.value * 100) / 100 }))
+        .sort((a, b) => b.value - a.value);
+};
+
+module.exports = { calculateCategoryTotals, calculateCurrencyExposure, calculateBreakdown };
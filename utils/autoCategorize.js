@@ -0,0 +1,50 @@
+// Keyword-based categorization for imported bank transactions
+const { EXPENSE_CATEGORIES, OTHER_CATEGORY } = require("./categories");
+
+// First matching rule wins, so more specific merchants come before generic words.
+// Keywords match whole words (plurals and possessives included), so "rent" matches
+// "Rent Oct" but not "current" or "Rental car". Bank descriptions are short and noisy,
+// so short brand names are only listed in forms that can't be read as something else.
+const CATEGORY_KEYWORDS = [
+    ["Groceries", ["bigbasket", "blinkit", "zepto", "dmart", "grocery", "grocer", "supermarket", "whole foods", "instamart"]],
+    ["Food & Dining", ["swiggy", "zomato", "restaurant", "cafe", "coffee", "starbucks", "domino", "pizza", "mcdonald", "kfc", "eatery", "bakery"]],
+    ["Transportation", ["uber", "ola cabs", "olacabs", "ola money", "rapido", "metro", "fuel", "petrol", "diesel", "parking", "fastag", "toll"]],
+    ["Travel", ["irctc", "makemytrip", "goibibo", "airline", "airways", "indigo", "hotel", "airbnb", "booking.com", "cleartrip"]],
+    ["Entertainment", ["netflix", "spotify", "prime video", "hotstar", "bookmyshow", "pvr", "inox", "steam", "youtube"]],
+    ["Bills & Utilities", ["electricity", "broadband", "airtel", "jio", "vodafone", "vodafone idea", "vi postpaid", "vi prepaid", "bsnl", "water bill", "gas bill", "recharge", "dth"]],
+    ["Home & Rent", ["rent", "maintenance", "society", "landlord", "housing"]],
+    ["Health & Fitness", ["pharmacy", "apollo", "medplus", "hospital", "clinic", "doctor", "gym", "cult.fit", "1mg", "pharmeasy"]],
+    ["Insurance", ["insurance", "lic of india", "licindia", "lic premium", "premium", "policybazaar"]],
+    ["Investments", ["mutual fund", "sip instalment", "sip installment", "zerodha", "groww", "upstox", "nps trust", "nps contribution", "ppf"]],
+    ["Education", ["school", "college", "tuition", "udemy", "coursera", "course", "books"]],
+    ["Personal Care", ["salon", "spa", "barber", "nykaa", "cosmetic"]],
+    ["Gifts & Donations", ["donation", "charity", "gift", "temple", "ngo"]],
+    ["Shopping", ["amazon", "flipkart", "myntra", "ajio", "meesho", "mall", "store"]],
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const CATEGORY_PATTERNS = CATEGORY_KEYWORDS.map(([category, keywords]) => [
+    category,
+    new RegExp(`\\b(?:${keywords.map(escapeRegExp).join("|")})(?:'?s)?\\b`, "i"),
+]);
+
+/**
+ * Suggest one of the user's categories for a transaction
+ * @param {String} title - Transaction description
+ * @param {String} sourceCategory - Category column from the bank export, if any
+ * @param {String[]} categories - The user's active category names
+ * @returns {String} - One of categories, or "Other"
+ */
+const autoCategorize = (title = "", sourceCategory = "", categories = EXPENSE_CATEGORIES) => {
+    // Trust the bank's own category when it already matches one of the user's
+    const direct = categories.find(c => c.toLowerCase() === sourceCategory.trim().toLowerCase());
+    if (direct) return direct;
+
+    // Rules only suggest categories the user still has (not renamed or archived)
+    const haystack = `${title} ${sourceCategory}`;
+    const rule = CATEGORY_PATTERNS.find(([category, pattern]) => categories.includes(category) && pattern.test(haystack));
+    return rule ? rule[0] : OTHER_CATEGORY;
+};
+
+module.exports = { autoCategorize };
@@ -0,0 +1,72 @@
+// Categories every user starts with. Each user's own tree lives in the categories
+// collection (see models/Category.js) and is seeded from this list on first use.
+const EXPENSE_CATEGORIES = [
+    "Food & Dining", "Transportation", "Shopping", "Bills & Utilities",
+    "Entertainment", "Travel", "Education", "Health & Fitness",
+    "Personal Care", "Home & Rent", "Groceries", "Investments",
+    "Insurance", "Gifts & Donations", "Other"
+];
+
+// Fallback for anything that fits nowhere else, so it can't be renamed, archived or merged away
+const OTHER_CATEGORY = "Other";
+
+// Spending here is money put aside, so it can count towards savings goals (see models/Goal.js)
+const INVESTMENTS_CATEGORY = "Investments";
+
+// Icon and color given to each default category when it's seeded
+const DEFAULT_CATEGORY_STYLES = {
+    "Food & Dining": { icon: "🍽️", color: "#F97316" },
+    "Transportation": { icon: "🚕", color: "#3B82F6" },
+    "Shopping": { icon: "🛍️", color: "#EC4899" },
+    "Bills & Utilities": { icon: "💡", color: "#EAB308" },
+    "Entertainment": { icon: "🎬", color: "#8B5CF6" },
+    "Travel": { icon: "✈️", color: "#06B6D4" },
+    "Education": { icon: "📚", color: "#6366F1" },
+    "Health & Fitness": { icon: "💪", color: "#22C55E" },
+    "Personal Care": { icon: "💅", color: "#F472B6" },
+    "Home & Rent": { icon: "🏠", color: "#A16207" },
+    "Groceries": { icon: "🛒", color: "#84CC16" },
+    "Investments": { icon: "📈", color: "#10B981" },
+    "Insurance": { icon: "🛡️", color: "#64748B" },
+    "Gifts & Donations": { icon: "🎁", color: "#EF4444" },
+    "Other": { icon: "📦", color: "#9CA3AF" },
+};
+
+const DEFAULT_CATEGORY_STYLE = { icon: "🏷️", color: "#9CA3AF" };
+
+// Hex color such as "#22C55E"
+const isValidColor = (color) => typeof color === "string" && /^#[0-9a-f]{6}$/i.test(color);
+
+/**
+ * Check a category, and optional subcategory, against the user's category tree.
+ * Archived categories stay on old expenses but can't be picked for new ones.
+ * @param {Array} tree - Category.getTree output (active categories)
+ * @param {String} category - Top-level category name
+ * @param {String} subcategory - Optional subcategory name
+ * @returns {String|null} - Error message, or null when valid
+ */
+const validateCategorySelection = (tree, category, subcategory) => {
+    const parent = tree.find(c => c.name === category);
+    if (!parent) {
+        return `Category must be one of: ${tree.map(c => c.name).join(", ")}`;
+    }
+    if (subcategory === undefined || subcategory === null || subcategory === "") return null;
+
+    const names = parent.subcategories.map(c => c.name);
+    if (!names.includes(subcategory)) {
+        return names.length
+            ? `Subcategory of ${category} must be one of: ${names.join(", ")}`
+            : `${category} has no subcategories`;
+    }
+    return null;
+};
+
+module.exports = {
+    EXPENSE_CATEGORIES,
+    OTHER_CATEGORY,
+    INVESTMENTS_CATEGORY,
+    DEFAULT_CATEGORY_STYLES,
+    DEFAULT_CATEGORY_STYLE,
+    isValidColor,
+    validateCategorySelection,
+};
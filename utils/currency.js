@@ -0,0 +1,93 @@
+// Currency helpers for the expense ledger: every expense keeps its original amount and
+// currency alongside the amount converted into the user's base currency.
+const { toDateString } = require("./period");
+const exchangeRates = require("../services/exchangeRates");
+
+const DEFAULT_CURRENCY = "INR";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ISO 4217 code known to the runtime's Intl data
+const isValidCurrency = (code) => typeof code === "string"
+    && /^[A-Z]{3}$/.test(code)
+    && Intl.supportedValuesOf("currency").includes(code);
+
+// Users store a display string such as "INR (₹)"; pull out the ISO code
+const parseCurrencyCode = (value, fallback = DEFAULT_CURRENCY) => {
+    const code = String(value || "").trim().split(/\s+/)[0].toUpperCase();
+    return isValidCurrency(code) ? code : fallback;
+};
+
+// Rate to convert one unit of fromCurrency into toCurrency, historical when a date is given
+const getExchangeRate = async (fromCurrency, toCurrency, date) => {
+    const { rate } = await exchangeRates.getRate(fromCurrency, toCurrency, date);
+    return rate;
+};
+
+/**
+ * Currency fields stored on an expense, for an exchange rate already known
+ * @returns {Object} - { amount, originalAmount, originalCurrency, baseCurrency, exchangeRate, rateDate }
+ */
+const toLedgerFields = ({ originalAmount, originalCurrency, baseCurrency, exchangeRate, rateDate = toDateString(new Date()) }) => ({
+    amount: round2(originalAmount * exchangeRate),
+    originalAmount: round2(originalAmount),
+    originalCurrency,
+    baseCurrency,
+    exchangeRate,
+    rateDate,
+});
+
+/**
+ * Build the currency fields stored on an expense, looking up the rate for the expense date
+ * @param {Object} params - { amount, currency, baseCurrency, date }
+ * @returns {Object} - { amount, originalAmount, originalCurrency, baseCurrency, exchangeRate, rateDate }
+ */
+const buildLedgerFields = async ({ amount, currency, baseCurrency, date }) => {
+    const originalCurrency = currency ? String(currency).toUpperCase() : baseCurrency;
+    const quote = await exchangeRates.getRate(originalCurrency, baseCurrency, date);
+
+    return toLedgerFields({
+        originalAmount: parseFloat(amount),
+        originalCurrency,
+        baseCurrency,
+        exchangeRate: quote.rate,
+        rateDate: quote.date,
+    });
+};
+
+/**
+ * Build a function that returns an expense's amount in the given base currency.
+ * Expenses recorded under a different base currency (the user changed theirs)
+ * are converted; expenses from before the ledger existed count as base currency.
+ * @param {Array} docs - Expense document snapshots (or a QuerySnapshot)
+ * @param {String} baseCurrency - Currency to report in
+ * @returns {Function} - (expenseData) => Number
+ */
+const createAmountNormalizer = async (docs, baseCurrency) => {
+    const foreign = new Set();
+    docs.forEach(doc => {
+        const recordedIn = doc.data().baseCurrency;
+        if (recordedIn && recordedIn !== baseCurrency) foreign.add(recordedIn);
+    });
+
+    const rates = {};
+    await Promise.all([...foreign].map(async (currency) => {
+        rates[currency] = await getExchangeRate(currency, baseCurrency);
+    }));
+
+    return (data) => {
+        const amount = parseFloat(data.amount);
+        const recordedIn = data.baseCurrency;
+        return recordedIn && recordedIn !== baseCurrency ? round2(amount * rates[recordedIn]) : amount;
+    };
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isValidCurrency,
+    parseCurrencyCode,
+    getExchangeRate,
+    toLedgerFields,
+    buildLedgerFields,
+    createAmountNormalizer,
+};
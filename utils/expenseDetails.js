@@ -0,0 +1,66 @@
+// Optional details any expense can carry: how it was paid, free-form tags and notes
+const PAYMENT_METHODS = ["cash", "card", "upi", "bank_transfer", "wallet", "other"];
+
+// How each payment method reads in a sentence ("paid by UPI")
+const PAYMENT_METHOD_LABELS = {
+    cash: "cash",
+    card: "card",
+    upi: "UPI",
+    bank_transfer: "bank transfer",
+    wallet: "wallet",
+    other: "another method",
+};
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTES_LENGTH = 1000;
+
+// Tags are stored as lowercase slugs, so "Goa Trip" and "goa-trip" are the same tag
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, "-");
+
+const isValidTag = (tag) => tag.length > 0 && tag.length <= MAX_TAG_LENGTH && /^[\p{L}\p{N}_-]+$/u.test(tag);
+
+/**
+ * Validate and normalize the tags, notes and paymentMethod of a request body
+ * @param {Object} body - May contain tags (array or comma-separated string), notes and paymentMethod
+ * @param {Object} options - { partial } leaves out fields that weren't sent, for edits;
+ *   otherwise missing fields get their empty values
+ * @returns {Object} - { fields } or { error }
+ */
+const parseExpenseDetails = (body = {}, { partial = false } = {}) => {
+    const { tags, notes, paymentMethod } = body;
+    const fields = partial ? {} : { tags: [], notes: null, paymentMethod: null };
+
+    if (tags !== undefined && tags !== null) {
+        const list = typeof tags === "string" ? tags.split(",") : tags;
+        if (!Array.isArray(list)) return { error: "Tags must be a list of short labels" };
+
+        const normalized = [...new Set(list.map(normalizeTag).filter(Boolean))];
+        const invalid = normalized.find(tag => !isValidTag(tag));
+        if (invalid) {
+            return { error: `Invalid tag "${invalid}": use letters, numbers, "-" or "_" (at most ${MAX_TAG_LENGTH} characters)` };
+        }
+        if (normalized.length > MAX_TAGS) return { error: `An expense can have at most ${MAX_TAGS} tags` };
+        fields.tags = normalized;
+    } else if (tags === null) {
+        fields.tags = [];
+    }
+
+    if (notes !== undefined) {
+        if (notes !== null && typeof notes !== "string") return { error: "Notes must be text" };
+        const trimmed = notes ? notes.trim() : "";
+        if (trimmed.length > MAX_NOTES_LENGTH) return { error: `Notes can be at most ${MAX_NOTES_LENGTH} characters` };
+        fields.notes = trimmed || null;
+    }
+
+    if (paymentMethod !== undefined) {
+        if (paymentMethod !== null && !PAYMENT_METHODS.includes(paymentMethod)) {
+            return { error: `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}` };
+        }
+        fields.paymentMethod = paymentMethod;
+    }
+
+    return { fields };
+};
+
+module.exports = { PAYMENT_METHODS, PAYMENT_METHOD_LABELS, MAX_TAGS, normalizeTag, parseExpenseDetails };
@@ -0,0 +1,110 @@
+// Parse and validate the query-string filters accepted by the expense list (and anything built on it)
+const { EXPENSE_CATEGORIES } = require("./categories");
+const { isValidDate } = require("./validation");
+const { PAYMENT_METHODS, normalizeTag } = require("./expenseDetails");
+
+// Expenses created before sources were recorded have none and count as "manual". The
+// chatbot saved the same fields back then, so its older expenses are listed as manual too.
+const EXPENSE_SOURCES = ["manual", "ocr", "chatbot", "recurring", "import", "group"];
+const SORT_FIELDS = ["createdAt", "date", "amount"];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Accept ?category=a,b as well as ?category=a&category=b
+const toList = (value) => {
+    if (value === undefined || value === "") return [];
+    const values = Array.isArray(value) ? value : String(value).split(",");
+    return values.map(v => v.trim()).filter(Boolean);
+};
+
+const toAmount = (value) => {
+    if (value === undefined || value === "") return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : NaN;
+};
+
+/**
+ * Build a normalized filter object from req.query
+ * @param {Object} query - Express query object
+ * @param {String[]} knownCategories - The user's category names, archived ones included
+ * @returns {Object} - { filters, limit, cursor } or { error }
+ */
+const parseExpenseFilters = (query, knownCategories = EXPENSE_CATEGORIES) => {
+    const { from, to, minAmount, maxAmount, source, search, sortBy = "createdAt", order = "desc", cursor } = query;
+    const categories = toList(query.category);
+    const subcategory = query.subcategory ? String(query.subcategory).trim() : null;
+    const tags = [...new Set(toList(query.tag).map(normalizeTag))];
+    const paymentMethods = toList(query.paymentMethod);
+
+    if (from !== undefined && !isValidDate(from)) return { error: "'from' must be in YYYY-MM-DD format" };
+    if (to !== undefined && !isValidDate(to)) return { error: "'to' must be in YYYY-MM-DD format" };
+    if (from && to && from > to) return { error: "'from' must be on or before 'to'" };
+
+    const unknownCategory = categories.find(c => !knownCategories.includes(c));
+    if (unknownCategory) return { error: `Unknown category: ${unknownCategory}` };
+    if (subcategory && categories.length !== 1) return { error: "'subcategory' needs exactly one 'category'" };
+
+    const min = toAmount(minAmount);
+    const max = toAmount(maxAmount);
+    if (Number.isNaN(min) || Number.isNaN(max)) return { error: "Amount filters must be non-negative numbers" };
+    if (min !== null && max !== null && min > max) return { error: "'minAmount' must not exceed 'maxAmount'" };
+
+    const unknownMethod = paymentMethods.find(m => !PAYMENT_METHODS.includes(m));
+    if (unknownMethod) return { error: `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}` };
+
+    if (source !== undefined && !EXPENSE_SOURCES.includes(source)) {
+        return { error: `Source must be one of: ${EXPENSE_SOURCES.join(", ")}` };
+    }
+    if (!SORT_FIELDS.includes(sortBy)) return { error: `sortBy must be one of: ${SORT_FIELDS.join(", ")}` };
+    if (!["asc", "desc"].includes(order)) return { error: "order must be 'asc' or 'desc'" };
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+        }
+    }
+
+    return {
+        filters: {
+            from: from || null,
+            to: to || null,
+            categories,
+            subcategory,
+            tags,
+            paymentMethods,
+            minAmount: min,
+            maxAmount: max,
+            source: source || null,
+            search: search ? String(search).trim().toLowerCase() : "",
+            sortBy,
+            order,
+        },
+        limit,
+        cursor: cursor || null,
+    };
+};
+
+// True when an expense document satisfies every filter
+const matchesExpenseFilters = (data, filters) => {
+    if (filters.from && !(data.date >= filters.from)) return false;
+    if (filters.to && !(data.date <= filters.to)) return false;
+    if (filters.categories.length && !filters.categories.includes(data.category)) return false;
+    if (filters.subcategory && data.subcategory !== filters.subcategory) return false;
+    // Any of the listed tags matches
+    if (filters.tags.length && !(data.tags || []).some(tag => filters.tags.includes(tag))) return false;
+    if (filters.paymentMethods.length && !filters.paymentMethods.includes(data.paymentMethod)) return false;
+
+    const amount = parseFloat(data.amount);
+    if (filters.minAmount !== null && !(amount >= filters.minAmount)) return false;
+    if (filters.maxAmount !== null && !(amount <= filters.maxAmount)) return false;
+
+    // Expenses created before sources were recorded are manual entries (see EXPENSE_SOURCES)
+    if (filters.source && (data.source || "manual") !== filters.source) return false;
+    if (filters.search && !String(data.title || "").toLowerCase().includes(filters.search)) return false;
+
+    return true;
+};
+
+module.exports = { EXPENSE_SOURCES, parseExpenseFilters, matchesExpenseFilters };
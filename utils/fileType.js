@@ -0,0 +1,61 @@
+// Identify uploads by their leading bytes instead of trusting the file name or
+// the client-supplied mimetype
+
+// ISO-BMFF brands used by HEIC/HEIF photos (iPhone camera default)
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+// ISO-BMFF brands that mark an audio-only file (iPhone voice memos, audiobooks). Generic
+// brands such as isom, mp42 or dash are shared with video, so they don't count.
+const M4A_BRANDS = ["M4A ", "M4B "];
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString("latin1");
+
+// The major and compatible brands of an ISO-BMFF file, or [] when it doesn't start with an ftyp box
+const ftypBrands = (buffer) => {
+    if (ascii(buffer, 4, 8) !== "ftyp") return [];
+    // ftyp boxes are a few dozen bytes; the cap keeps a bogus size from scanning the whole file
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length, 256);
+    const brands = [ascii(buffer, 8, 12)];
+    // Compatible brands follow the 4-byte minor version
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) brands.push(ascii(buffer, offset, offset + 4));
+    return brands;
+};
+
+/**
+ * Detect the type of a file from its content
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} - { ext, mime }, or null when the type isn't recognised
+ */
+const detectFileType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return { ext: "jpg", mime: "image/jpeg" };
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { ext: "png", mime: "image/png" };
+    if (ascii(buffer, 0, 6) === "GIF87a" || ascii(buffer, 0, 6) === "GIF89a") return { ext: "gif", mime: "image/gif" };
+    if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") return { ext: "webp", mime: "image/webp" };
+    if (ascii(buffer, 0, 5) === "%PDF-") return { ext: "pdf", mime: "application/pdf" };
+    if (ascii(buffer, 4, 8) === "ftyp" && HEIC_BRANDS.includes(ascii(buffer, 8, 12))) {
+        return { ext: "heic", mime: "image/heic" };
+    }
+
+    // Audio
+    if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WAVE") return { ext: "wav", mime: "audio/wav" };
+    if (ascii(buffer, 0, 4) === "OggS") return { ext: "ogg", mime: "audio/ogg" };
+    if (ascii(buffer, 0, 4) === "fLaC") return { ext: "flac", mime: "audio/flac" };
+    // Matroska container, which browsers record voice into via MediaRecorder
+    if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return { ext: "webm", mime: "audio/webm" };
+    // An ID3 tag, or straight into an MPEG audio frame
+    if (ascii(buffer, 0, 3) === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+        return { ext: "mp3", mime: "audio/mpeg" };
+    }
+    // Recorders that use a generic major brand still list M4A among the compatible ones
+    if (ftypBrands(buffer).some(brand => M4A_BRANDS.includes(brand))) {
+        return { ext: "m4a", mime: "audio/mp4" };
+    }
+
+    return null;
+};
+
+module.exports = { detectFileType };
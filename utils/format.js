@@ -0,0 +1,98 @@
+// Locale-aware formatting for text shown to a user: amounts in their currency with
+// their locale's grouping ("₹1,23,456" in en-IN, "1.234,56 €" in de-DE) and dates
+// in their locale's order.
+const { DEFAULT_CURRENCY, isValidCurrency } = require("./currency");
+
+const DEFAULT_LOCALE = "en-US";
+
+// Locale assumed for a currency when the user hasn't picked one
+const CURRENCY_LOCALES = {
+    INR: "en-IN",
+    USD: "en-US",
+    GBP: "en-GB",
+    EUR: "en-IE",
+    AUD: "en-AU",
+    CAD: "en-CA",
+    SGD: "en-SG",
+    AED: "en-AE",
+    JPY: "ja-JP",
+};
+
+// BCP 47 tag the runtime can format for, e.g. "en-IN" or "de"
+const isValidLocale = (locale) => {
+    if (typeof locale !== "string" || !locale.trim()) return false;
+    try {
+        return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+    } catch (error) {
+        return false;
+    }
+};
+
+const defaultLocaleFor = (currency) => CURRENCY_LOCALES[currency] || DEFAULT_LOCALE;
+
+// Preferred language is English unless the user picked another, e.g. "hi" or "es-MX"
+const isEnglish = (language) => !language || /^en\b/i.test(language);
+
+// English name of a language tag for prompts, e.g. "Hindi" for "hi"
+const languageName = (language) => {
+    try {
+        return new Intl.DisplayNames(["en"], { type: "language" }).of(language) || language;
+    } catch (error) {
+        return language;
+    }
+};
+
+/**
+ * Build formatters bound to a user's currency and locale
+ * @param {Object} preferences - { currency, locale } as returned by User.getPreferences
+ * @returns {Object} - { currency, locale, money(amount, currency?), number(value), percent(value), date(YYYY-MM-DD), month(YYYY-MM) }
+ */
+const createFormatter = ({ currency, locale } = {}) => {
+    const baseCurrency = isValidCurrency(currency) ? currency : DEFAULT_CURRENCY;
+    const resolvedLocale = isValidLocale(locale) ? locale : defaultLocaleFor(baseCurrency);
+
+    // Whole amounts drop their decimals: "₹500" rather than "₹500.00"
+    const moneyFormats = new Map();
+    const money = (amount, code = baseCurrency) => {
+        const currencyCode = isValidCurrency(code) ? code : baseCurrency;
+        if (!moneyFormats.has(currencyCode)) {
+            moneyFormats.set(currencyCode, new Intl.NumberFormat(resolvedLocale, {
+                style: "currency",
+                currency: currencyCode,
+                trailingZeroDisplay: "stripIfInteger",
+            }));
+        }
+        return moneyFormats.get(currencyCode).format(Number(amount) || 0);
+    };
+
+    const numberFormat = new Intl.NumberFormat(resolvedLocale, { maximumFractionDigits: 2 });
+    const number = (value) => numberFormat.format(Number(value) || 0);
+
+    // Takes a percentage (12.5 for 12.5%)
+    const percentFormat = new Intl.NumberFormat(resolvedLocale, { style: "percent", maximumFractionDigits: 2 });
+    const percent = (value) => percentFormat.format((Number(value) || 0) / 100);
+
+    // Expense dates are calendar days, so format them in UTC to keep the day unchanged
+    const dateFormat = new Intl.DateTimeFormat(resolvedLocale, { dateStyle: "medium", timeZone: "UTC" });
+    const date = (value) => {
+        const parsed = new Date(`${value}T00:00:00Z`);
+        return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(parsed) ? dateFormat.format(parsed) : String(value);
+    };
+
+    const monthFormat = new Intl.DateTimeFormat(resolvedLocale, { month: "long", year: "numeric", timeZone: "UTC" });
+    const month = (value) => {
+        const parsed = new Date(`${String(value).slice(0, 7)}-01T00:00:00Z`);
+        return isNaN(parsed) ? String(value) : monthFormat.format(parsed);
+    };
+
+    return { currency: baseCurrency, locale: resolvedLocale, money, number, percent, date, month };
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    isValidLocale,
+    defaultLocaleFor,
+    isEnglish,
+    languageName,
+    createFormatter,
+};
@@ -0,0 +1,51 @@
+// Progress towards a savings goal and when it's likely to be reached
+const { getDaysInPeriod, addDays } = require("./period");
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// A goal's pace is averaged over at least this many days, so one early deposit
+// doesn't project a completion date a few days away
+const MIN_PACE_DAYS = 30;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out how far along a goal is
+ * @param {Object} goal - { targetAmount, startDate, deadline } with dates as YYYY-MM-DD
+ * @param {Number} saved - Amount put towards it so far, in the same currency as the target
+ * @param {String} today - Today on the user's calendar
+ * @returns {Object} - { saved, remaining, percentComplete, monthsLeft, monthlyNeeded, monthlyPace,
+ *   projectedCompletionDate, status } where status is completed | on_track | behind | not_started | overdue
+ */
+const calculateGoalProgress = ({ targetAmount, startDate, deadline }, saved, today) => {
+    const remaining = round2(Math.max(0, targetAmount - saved));
+    const daysLeft = deadline > today ? getDaysInPeriod(today, deadline) - 1 : 0;
+    const monthsLeft = daysLeft / DAYS_PER_MONTH;
+
+    // Saving at the average rate since the goal started
+    const daysElapsed = today >= startDate ? getDaysInPeriod(startDate, today) : 1;
+    const dailyPace = saved > 0 ? saved / Math.max(daysElapsed, MIN_PACE_DAYS) : 0;
+    const projectedCompletionDate = remaining > 0 && dailyPace > 0
+        ? addDays(today, Math.ceil(remaining / dailyPace))
+        : null;
+
+    let status;
+    if (remaining === 0) status = "completed";
+    else if (today > deadline) status = "overdue";
+    else if (!projectedCompletionDate) status = "not_started";
+    else status = projectedCompletionDate <= deadline ? "on_track" : "behind";
+
+    return {
+        saved: round2(saved),
+        remaining,
+        percentComplete: targetAmount > 0 ? round2((saved / targetAmount) * 100) : 0,
+        monthsLeft: Math.round(monthsLeft * 10) / 10,
+        // Under a month to go means the rest is needed now
+        monthlyNeeded: remaining > 0 ? round2(remaining / Math.max(monthsLeft, 1)) : 0,
+        monthlyPace: round2(dailyPace * DAYS_PER_MONTH),
+        projectedCompletionDate,
+        status,
+    };
+};
+
+module.exports = { calculateGoalProgress };
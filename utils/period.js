@@ -0,0 +1,215 @@
+// Period math shared by analytics, budgets and anything else that reports on a timeframe
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Resolve a timeframe into current and previous date ranges (YYYY-MM-DD strings)
+ * @param {String} timeframe - day | week | month | quarter | year | custom
+ * @param {String} customStart - Start date when timeframe is "custom"
+ * @param {String} customEnd - End date when timeframe is "custom"
+ * @param {Object} options - { timezone, weekStartDay } from the user's preferences, so "today"
+ *   and "this week" match their calendar
+ * @returns {Object} - { startDate, endDate, previousStartDate, previousEndDate }
+ */
+const getPeriodRange = (timeframe = "month", customStart, customEnd, { timezone, weekStartDay } = {}) => {
+    const today = todayIn(timezone);
+    const [year, monthOfYear] = today.split("-").map(Number);
+    let startDate, endDate;
+    let previousStartDate, previousEndDate;
+
+    endDate = today;
+
+    // Handle custom date range
+    if (timeframe === "custom" && customStart && customEnd) {
+        startDate = customStart;
+        endDate = customEnd;
+
+        // Calculate previous period as same length before custom range
+        const diffDays = getDaysInPeriod(startDate, endDate) - 1;
+        previousEndDate = addDays(startDate, -1);
+        previousStartDate = addDays(previousEndDate, -diffDays);
+    }
+    else if (timeframe === "day") {
+        startDate = endDate;
+        previousEndDate = addDays(today, -1);
+        previousStartDate = previousEndDate;
+    }
+    else if (timeframe === "week") {
+        startDate = getWeekStart(today, weekStartDay);
+        previousEndDate = addDays(startDate, -1);
+        previousStartDate = addDays(startDate, -7);
+    }
+    else if (timeframe === "month") {
+        // Full calendar month, compared against the previous full calendar month
+        startDate = utcDate(year, monthOfYear - 1, 1);
+        endDate = utcDate(year, monthOfYear, 0);
+        previousStartDate = utcDate(year, monthOfYear - 2, 1);
+        previousEndDate = utcDate(year, monthOfYear - 1, 0);
+    }
+    else if (timeframe === "quarter") {
+        const currentQuarter = Math.floor((monthOfYear - 1) / 3);
+        startDate = utcDate(year, currentQuarter * 3, 1);
+        previousStartDate = utcDate(year, (currentQuarter - 1) * 3, 1);
+        previousEndDate = utcDate(year, currentQuarter * 3, 0);
+    }
+    else if (timeframe === "year") {
+        startDate = utcDate(year, 0, 1);
+        previousStartDate = utcDate(year - 1, 0, 1);
+        previousEndDate = utcDate(year - 1, 11, 31);
+    }
+
+    return { startDate, endDate, previousStartDate, previousEndDate };
+};
+
+// Inclusive number of days between two YYYY-MM-DD strings (minimum 1)
+const getDaysInPeriod = (startDate, endDate) => {
+    return Math.max(1, Math.round((new Date(endDate).getTime() - new Date(startDate).getTime()) / MS_PER_DAY) + 1);
+};
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+// UTC calendar helpers, so results don't depend on the server's timezone
+const utcDate = (year, month, day) => toDateString(new Date(Date.UTC(year, month, day)));
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+};
+
+const WEEK_DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DEFAULT_WEEK_START = "monday";
+
+// IANA timezone the runtime knows, e.g. "Asia/Kolkata"
+const isValidTimezone = (timezone) => {
+    if (typeof timezone !== "string" || !timezone.trim()) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Today's date (YYYY-MM-DD) on the user's calendar; UTC without a timezone
+const todayIn = (timezone, now = new Date()) => (isValidTimezone(timezone)
+    ? new Intl.DateTimeFormat("en-CA", { timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit" }).format(now)
+    : toDateString(now));
+
+// First day of the week containing a date, for weeks starting on weekStartDay ("monday" by default)
+const getWeekStart = (dateString, weekStartDay = DEFAULT_WEEK_START) => {
+    const startIndex = WEEK_DAYS.includes(weekStartDay) ? WEEK_DAYS.indexOf(weekStartDay) : WEEK_DAYS.indexOf(DEFAULT_WEEK_START);
+    const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+    return addDays(dateString, -((day - startIndex + 7) % 7));
+};
+
+const isDateString = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+
+/**
+ * Turn a period description (as extracted from a chat message) into a date range
+ * @param {Object} spec - Any of { preset, month (1-12), year, from, to, days }. preset is one of
+ *   today | yesterday | this week | last week | this month | last month | this year | last year | last n days.
+ *   An empty spec means this month.
+ * @param {Date} now - Reference time, defaults to now
+ * @param {Object} options - { timezone, weekStartDay } from the user's preferences
+ * @returns {Object|null} - { from, to, label, kind } where kind is day | week | month | year | range,
+ *   or null when the spec can't be understood
+ */
+const resolvePeriod = (spec = {}, now = new Date(), { timezone, weekStartDay } = {}) => {
+    const today = todayIn(timezone, now);
+    const [year, monthOfYear] = today.split("-").map(Number);
+    const month = monthOfYear - 1;
+    const explicitYear = Number.isInteger(Number(spec.year)) && Number(spec.year) > 1900 ? Number(spec.year) : null;
+    const monthNumber = Number(spec.month);
+
+    // Explicit dates win; an open-ended range runs to today
+    if (isDateString(spec.from)) {
+        const to = isDateString(spec.to) ? spec.to : today;
+        const [from, end] = spec.from <= to ? [spec.from, to] : [to, spec.from];
+        return { from, to: end, label: from === end ? from : `${from} to ${end}`, kind: from === end ? "day" : "range" };
+    }
+
+    // A month name means its most recent occurrence, so "March" in January is last year's
+    if (Number.isInteger(monthNumber) && monthNumber >= 1 && monthNumber <= 12) {
+        const monthYear = explicitYear || (monthNumber - 1 > month ? year - 1 : year);
+        return {
+            from: utcDate(monthYear, monthNumber - 1, 1),
+            to: utcDate(monthYear, monthNumber, 0),
+            label: `${MONTH_NAMES[monthNumber - 1]} ${monthYear}`,
+            kind: "month",
+        };
+    }
+
+    if (explicitYear && !spec.preset) {
+        return { from: utcDate(explicitYear, 0, 1), to: utcDate(explicitYear, 11, 31), label: String(explicitYear), kind: "year" };
+    }
+
+    const preset = String(spec.preset || "this month").toLowerCase().trim();
+    const weekStart = getWeekStart(today, weekStartDay);
+    const lastDays = preset.match(/^(?:last|past) (\d+) days$/);
+
+    if (preset === "today") return { from: today, to: today, label: "today", kind: "day" };
+    if (preset === "yesterday") {
+        const yesterday = addDays(today, -1);
+        return { from: yesterday, to: yesterday, label: "yesterday", kind: "day" };
+    }
+    if (preset === "this week") return { from: weekStart, to: addDays(weekStart, 6), label: "this week", kind: "week" };
+    if (preset === "last week") return { from: addDays(weekStart, -7), to: addDays(weekStart, -1), label: "last week", kind: "week" };
+    if (preset === "this month") {
+        return { from: utcDate(year, month, 1), to: utcDate(year, month + 1, 0), label: `${MONTH_NAMES[month]} ${year}`, kind: "month" };
+    }
+    if (preset === "last month") {
+        const lastMonth = new Date(Date.UTC(year, month - 1, 1));
+        return {
+            from: utcDate(year, month - 1, 1),
+            to: utcDate(year, month, 0),
+            label: `${MONTH_NAMES[lastMonth.getUTCMonth()]} ${lastMonth.getUTCFullYear()}`,
+            kind: "month",
+        };
+    }
+    if (preset === "this year") return { from: utcDate(year, 0, 1), to: utcDate(year, 11, 31), label: String(year), kind: "year" };
+    if (preset === "last year") return { from: utcDate(year - 1, 0, 1), to: utcDate(year - 1, 11, 31), label: String(year - 1), kind: "year" };
+    if (lastDays) {
+        const days = Math.max(1, parseInt(lastDays[1], 10));
+        return { from: addDays(today, -(days - 1)), to: today, label: `the last ${days} days`, kind: "range" };
+    }
+
+    return null;
+};
+
+/**
+ * The period just before a resolved one: the previous month or year for calendar
+ * periods, otherwise a range of the same length ending the day before
+ * @param {Object} period - Result of resolvePeriod
+ * @returns {Object} - { from, to, label, kind }
+ */
+const getPreviousPeriod = (period) => {
+    const start = new Date(`${period.from}T00:00:00Z`);
+
+    if (period.kind === "month") {
+        return resolvePeriod({ month: start.getUTCMonth() === 0 ? 12 : start.getUTCMonth(), year: start.getUTCMonth() === 0 ? start.getUTCFullYear() - 1 : start.getUTCFullYear() });
+    }
+    if (period.kind === "year") {
+        return resolvePeriod({ year: start.getUTCFullYear() - 1 });
+    }
+
+    const length = getDaysInPeriod(period.from, period.to);
+    const to = addDays(period.from, -1);
+    const from = addDays(to, -(length - 1));
+    return { from, to, label: from === to ? from : `${from} to ${to}`, kind: period.kind };
+};
+
+module.exports = {
+    WEEK_DAYS,
+    DEFAULT_WEEK_START,
+    toDateString,
+    isValidTimezone,
+    todayIn,
+    getWeekStart,
+    getPeriodRange,
+    getDaysInPeriod,
+    addDays,
+    resolvePeriod,
+    getPreviousPeriod,
+};
@@ -0,0 +1,127 @@
+// Normalize and sanity-check what the vision model extracted from a receipt
+const { isValidDate } = require("./validation");
+const { isValidCurrency } = require("./currency");
+const { toDateString } = require("./period");
+const { PAYMENT_METHODS } = require("./expenseDetails");
+
+// Below this a critical field (total, currency, date) needs a human to look at it
+const CONFIDENCE_THRESHOLD = 0.6;
+
+// Problems a reviewer has to correct before the receipt can be approved
+const BLOCKING_ISSUES = ["missing_total", "invalid_total", "unknown_currency", "invalid_date", "future_date"];
+
+// Model confidence used when it doesn't report one for a field
+const DEFAULT_CONFIDENCE = 0.5;
+
+const CONFIDENCE_FIELDS = ["merchant", "total", "currency", "date", "category"];
+
+// Parse a money value from the model into a number rounded to 2 places, or null
+const toMoney = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const parsed = typeof value === "number" ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ""));
+    return Number.isFinite(parsed) ? parseFloat(parsed.toFixed(2)) : null;
+};
+
+const toConfidence = (value) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : DEFAULT_CONFIDENCE;
+};
+
+// Keep only line items with a description and a usable amount
+const normalizeLineItems = (items, categories, fallbackCategory) => {
+    if (!Array.isArray(items)) return [];
+
+    return items
+        .map(item => ({
+            description: String((item && item.description) || "").trim(),
+            quantity: Number.isFinite(Number(item && item.quantity)) ? Number(item.quantity) : 1,
+            amount: toMoney(item && item.amount),
+            category: categories.includes(item && item.category) ? item.category : fallbackCategory,
+        }))
+        .filter(item => item.description && item.amount !== null);
+};
+
+/**
+ * Validate a raw extraction and score each field
+ * @param {Object} extracted - Parsed model output (may be missing fields or have wrong types),
+ *   with an optional `confidence` map of 0-1 scores per field
+ * @param {Object} options - { categories } allowed categories, "Other" included
+ * @returns {Object} - { receipt, issues: [{ field, code, message }], confidence, needsReview }
+ */
+const validateReceipt = (extracted, { categories }) => {
+    const raw = extracted && typeof extracted === "object" ? extracted : {};
+    const reported = raw.confidence && typeof raw.confidence === "object" ? raw.confidence : {};
+    const confidence = {};
+    CONFIDENCE_FIELDS.forEach(field => { confidence[field] = toConfidence(reported[field]); });
+
+    const issues = [];
+    const flag = (field, code, message) => {
+        issues.push({ field, code, message });
+        confidence[field] = 0;
+    };
+
+    const total = toMoney(raw.total);
+    if (total === null) flag("total", "missing_total", "No total amount could be read");
+    else if (total <= 0) flag("total", "invalid_total", "The total must be a positive amount");
+
+    const currency = String(raw.currency || "").trim().toUpperCase();
+    if (!isValidCurrency(currency)) {
+        flag("currency", "unknown_currency", `"${raw.currency || ""}" is not a known ISO currency code`);
+    }
+
+    // A bad date is kept as read so the reviewer can see it; a missing one defaults to today
+    const today = toDateString(new Date());
+    const date = String(raw.date || "").trim() || today;
+    if (!raw.date) {
+        confidence.date = 1; // Nothing printed, so today is an explicit default rather than a guess
+    } else if (!isValidDate(date)) {
+        flag("date", "invalid_date", `"${date}" is not a valid YYYY-MM-DD date`);
+    } else if (date > today) {
+        flag("date", "future_date", `The receipt date ${date} is in the future`);
+    }
+
+    let category = raw.category;
+    if (!categories.includes(category)) {
+        flag("category", "unknown_category", `"${raw.category || ""}" is not one of the user's categories`);
+        category = "Other";
+    }
+
+    const receipt = {
+        merchant: String(raw.merchant || "").trim(),
+        title: String(raw.title || "").trim() || "Receipt",
+        category,
+        currency,
+        date,
+        subtotal: toMoney(raw.subtotal),
+        tax: toMoney(raw.tax) || 0,
+        tip: toMoney(raw.tip) || 0,
+        discount: Math.abs(toMoney(raw.discount) || 0),
+        total,
+        lineItems: normalizeLineItems(raw.lineItems, categories, category),
+        // Only when the receipt shows it, e.g. a card slip or "Paid via UPI"
+        paymentMethod: PAYMENT_METHODS.includes(raw.paymentMethod) ? raw.paymentMethod : null,
+    };
+
+    // Line items should add up to the total, whether or not their prices include tax
+    if (total !== null && receipt.lineItems.length) {
+        const itemsTotal = receipt.lineItems.reduce((sum, item) => sum + item.amount, 0);
+        const withExtras = itemsTotal + receipt.tax + receipt.tip - receipt.discount;
+        const taxInclusive = itemsTotal + receipt.tip - receipt.discount;
+        const tolerance = Math.max(1, total * 0.02);
+        if (Math.abs(withExtras - total) > tolerance && Math.abs(taxInclusive - total) > tolerance) {
+            flag("total", "total_mismatch", `Line items add up to ${withExtras.toFixed(2)}, but the total reads ${total.toFixed(2)}`);
+        }
+    }
+
+    const lowConfidence = ["total", "currency", "date"].filter(field => confidence[field] < CONFIDENCE_THRESHOLD
+        && !issues.some(issue => issue.field === field));
+    lowConfidence.forEach(field => issues.push({
+        field,
+        code: "low_confidence",
+        message: `The ${field} was hard to read (confidence ${confidence[field]})`,
+    }));
+
+    return { receipt, issues, confidence, needsReview: issues.length > 0 };
+};
+
+module.exports = { CONFIDENCE_THRESHOLD, BLOCKING_ISSUES, toMoney, normalizeLineItems, validateReceipt };
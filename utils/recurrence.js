@@ -0,0 +1,98 @@
+// Date math for recurring expense rules. All dates are YYYY-MM-DD strings handled in UTC.
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+// Upper bound on occurrences generated in one call, so a bad rule can't loop forever
+const MAX_OCCURRENCES_PER_RUN = 400;
+
+const toUtcDate = (dateStr) => new Date(dateStr + 'T00:00:00Z');
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Date of the nth (0-based) occurrence of a rule
+ * Monthly and yearly rules keep the start date's day of month, clamped to shorter months.
+ * @param {Object} rule - { frequency, interval, startDate }
+ * @param {Number} index - Occurrence index
+ * @returns {String} - YYYY-MM-DD
+ */
+const getOccurrenceDate = (rule, index) => {
+    const interval = rule.interval || 1;
+    const start = toUtcDate(rule.startDate);
+
+    if (rule.frequency === "daily" || rule.frequency === "weekly") {
+        const stepDays = rule.frequency === "daily" ? 1 : 7;
+        start.setUTCDate(start.getUTCDate() + index * interval * stepDays);
+        return toDateString(start);
+    }
+
+    const stepMonths = rule.frequency === "yearly" ? 12 : 1;
+    const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + index * interval * stepMonths, 1));
+    const lastDayOfMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(start.getUTCDate(), lastDayOfMonth));
+    return toDateString(target);
+};
+
+// True when the occurrence at this index falls past the end date or occurrence count
+const isRuleFinished = (rule, index) => {
+    if (rule.maxOccurrences && index >= rule.maxOccurrences) return true;
+    if (rule.endDate && getOccurrenceDate(rule, index) > rule.endDate) return true;
+    return false;
+};
+
+/**
+ * List scheduled occurrences from an index up to and including a date
+ * Skipped dates are still listed; callers decide what to do with them.
+ * @param {Object} rule - Recurring expense rule
+ * @param {Number} fromIndex - First occurrence index to consider
+ * @param {String} untilDate - Last date (inclusive)
+ * @returns {Array} - [{ index, date }]
+ */
+const listOccurrences = (rule, fromIndex, untilDate) => {
+    const occurrences = [];
+    let index = fromIndex;
+
+    while (occurrences.length < MAX_OCCURRENCES_PER_RUN && !isRuleFinished(rule, index)) {
+        const date = getOccurrenceDate(rule, index);
+        if (date > untilDate) break;
+        occurrences.push({ index, date });
+        index++;
+    }
+    return occurrences;
+};
+
+// Lowest index whose occurrence can fall on or after a date, worked out arithmetically so a
+// date years ahead costs no more than tomorrow. It lands on the answer or one step before it.
+const estimateIndex = (rule, date) => {
+    const interval = rule.interval || 1;
+    const start = toUtcDate(rule.startDate);
+    const target = toUtcDate(date);
+    let estimate;
+
+    if (rule.frequency === "daily" || rule.frequency === "weekly") {
+        const stepDays = (rule.frequency === "daily" ? 1 : 7) * interval;
+        estimate = Math.ceil(Math.round((target - start) / 86400000) / stepDays);
+    } else {
+        const stepMonths = (rule.frequency === "yearly" ? 12 : 1) * interval;
+        const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 + target.getUTCMonth() - start.getUTCMonth();
+        estimate = Math.floor(months / stepMonths);
+    }
+    return Number.isFinite(estimate) ? Math.max(estimate, 0) : 0;
+};
+
+// Index of the first occurrence on or after a date, or null if the rule finishes first.
+// The walk from the estimate is capped like listOccurrences, so a malformed rule can't spin.
+const findIndexOnOrAfter = (rule, fromIndex, date) => {
+    let index = Math.max(fromIndex, estimateIndex(rule, date));
+    for (let steps = 0; steps < MAX_OCCURRENCES_PER_RUN && !isRuleFinished(rule, index); steps++, index++) {
+        if (getOccurrenceDate(rule, index) >= date) return index;
+    }
+    return null;
+};
+
+module.exports = {
+    FREQUENCIES,
+    getOccurrenceDate,
+    isRuleFinished,
+    listOccurrences,
+    findIndexOnOrAfter,
+};
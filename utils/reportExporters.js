@@ -0,0 +1,196 @@
+// Render expenses and analytics reports as CSV, XLSX and PDF
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+
+const EXPORT_COLUMNS = [
+    { header: "Date", key: "date", width: 12 },
+    { header: "Title", key: "title", width: 30 },
+    { header: "Category", key: "category", width: 20 },
+    { header: "Amount", key: "amount", width: 12 },
+    { header: "Source", key: "source", width: 10 },
+    { header: "Payment Method", key: "paymentMethod", width: 15 },
+    { header: "Tags", key: "tags", width: 20 },
+    { header: "Notes", key: "notes", width: 40 },
+];
+
+const toRow = (expense) => ({
+    date: expense.date,
+    title: expense.title || "",
+    category: expense.category || "Other",
+    amount: parseFloat(expense.amount) || 0,
+    source: expense.source || "manual",
+    paymentMethod: expense.paymentMethod || "",
+    tags: (expense.tags || []).join(", "),
+    notes: expense.notes || "",
+});
+
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+const formatPercent = (value) => (Number.isFinite(value) ? `${value}%` : "new");
+
+/**
+ * Quote a CSV cell. Cells that a spreadsheet would read as a formula are
+ * prefixed with an apostrophe so exported titles can't run as formulas.
+ */
+const escapeCsvCell = (value) => {
+    let text = String(value ?? "");
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per expense, oldest first
+const toCsv = (expenses) => {
+    const lines = [EXPORT_COLUMNS.map(c => c.header).join(",")];
+    expenses.map(toRow).forEach(row => {
+        lines.push(EXPORT_COLUMNS.map(c => escapeCsvCell(c.key === "amount" ? formatAmount(row.amount) : row[c.key])).join(","));
+    });
+    return Buffer.from(lines.join("\r\n") + "\r\n", "utf8");
+};
+
+// Excel sheet names: max 31 chars, none of []:*?/\, unique regardless of case.
+// Names that clash once cut short get a " (2)", " (3)"... suffix.
+const toSheetName = (name, usedNames) => {
+    const cleaned = String(name).replace(/[[\]:*?/\\]/g, "-");
+    let sheetName = cleaned.slice(0, 31);
+    for (let n = 2; usedNames.has(sheetName.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        sheetName = cleaned.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+};
+
+// An "All Expenses" sheet followed by one sheet per category
+const toXlsx = async (expenses) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = "WalletWise";
+    workbook.created = new Date();
+
+    const usedNames = new Set();
+    const addSheet = (name, rows) => {
+        const sheet = workbook.addWorksheet(toSheetName(name, usedNames));
+        sheet.columns = EXPORT_COLUMNS;
+        sheet.getRow(1).font = { bold: true };
+        rows.forEach(row => sheet.addRow(row));
+        sheet.getColumn("amount").numFmt = "#,##0.00";
+        sheet.addRow({});
+        const total = rows.reduce((sum, row) => sum + row.amount, 0);
+        sheet.addRow({ title: "Total", amount: total }).font = { bold: true };
+    };
+
+    const rows = expenses.map(toRow);
+    addSheet("All Expenses", rows);
+
+    const byCategory = {};
+    rows.forEach(row => {
+        (byCategory[row.category] = byCategory[row.category] || []).push(row);
+    });
+    Object.keys(byCategory).sort().forEach(category => addSheet(category, byCategory[category]));
+
+    return workbook.xlsx.writeBuffer();
+};
+
+// PDF summary: totals and cash flow, category breakdown, period comparison and top expenses
+const toPdf = (report, { startDate, endDate, previousStartDate, previousEndDate }) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: "A4" });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Every amount is in the user's base currency. PDF's built-in fonts have no glyph for
+    // symbols such as ₹, so the ISO code is printed instead.
+    const currency = report.baseCurrency;
+    const money = (value) => `${currency} ${formatAmount(value)}`;
+    const amountHeader = (label) => `${label} (${currency})`;
+
+    const heading = (text) => doc.moveDown().fontSize(14).font("Helvetica-Bold").text(text).moveDown(0.3).fontSize(10).font("Helvetica");
+    const table = (columns, rows) => {
+        const widths = [220, 100, 100, 75];
+        const drawRow = (cells, bold) => {
+            doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+            const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] })));
+            // Start a new page (repeating the header) rather than letting cells spill past the bottom margin
+            if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+                if (!bold) {
+                    drawRow(columns, true);
+                    doc.font("Helvetica");
+                }
+            }
+            const y = doc.y;
+            let x = doc.page.margins.left;
+            cells.forEach((cell, i) => {
+                doc.text(String(cell), x, y, { width: widths[i], align: i === 0 ? "left" : "right" });
+                x += widths[i];
+            });
+            doc.x = doc.page.margins.left;
+            doc.y = y + height;
+            doc.moveDown(0.2);
+        };
+        drawRow(columns, true);
+        rows.forEach(row => drawRow(row, false));
+    };
+
+    doc.fontSize(20).font("Helvetica-Bold").text("WalletWise Expense Report");
+    doc.fontSize(10).font("Helvetica").text(`Period: ${startDate} to ${endDate} (${report.timeframe})`);
+    doc.text(`Amounts in ${currency}`);
+    doc.text(`Generated: ${new Date().toISOString().split('T')[0]}`);
+
+    heading("Summary");
+    doc.text(`Total spent: ${money(report.totalSpent)}`);
+    doc.text(`Average daily spend: ${money(report.avgDailySpent)}`);
+    doc.text(`Total income: ${money(report.totalIncome)} (${formatPercent(report.incomeComparison.percentChange)} vs. previous period)`);
+    doc.text(`Net savings: ${money(report.netSavings)}`);
+    doc.text(`Savings rate: ${report.savingsRate === null ? "no income recorded" : `${report.savingsRate}%`}`);
+
+    heading("Category Breakdown");
+    table(["Category", amountHeader("Amount"), "Share", ""], report.categoryBreakdown.map(c => [
+        c.name,
+        formatAmount(c.value),
+        report.totalSpent > 0 ? `${Math.round((c.value / report.totalSpent) * 1000) / 10}%` : "0%",
+        "",
+    ]));
+
+    heading("Payment Methods");
+    table(["Method", amountHeader("Amount"), "Expenses", ""], report.paymentMethodBreakdown.map(m => [
+        m.name,
+        formatAmount(m.value),
+        m.count,
+        "",
+    ]));
+
+    if (report.tagBreakdown.length) {
+        heading("Tags");
+        table(["Tag", amountHeader("Amount"), "Expenses", ""], report.tagBreakdown.map(t => [
+            t.name,
+            formatAmount(t.value),
+            t.count,
+            "",
+        ]));
+    }
+
+    heading("Period Comparison");
+    doc.text(`Previous period: ${previousStartDate} to ${previousEndDate}`);
+    doc.text(`Current total: ${money(report.comparison.currentPeriodTotal)}`);
+    doc.text(`Previous total: ${money(report.comparison.previousPeriodTotal)}`);
+    doc.text(`Change: ${formatPercent(report.comparison.percentChange)}`).moveDown(0.5);
+    table(["Category", amountHeader("Current"), amountHeader("Previous"), "Change"], report.categoryComparison.map(c => [
+        c.name,
+        formatAmount(c.currentValue),
+        formatAmount(c.previousValue),
+        formatPercent(c.percentChange),
+    ]));
+
+    heading("Top Expenses");
+    table(["Title", "Date", "Category", amountHeader("Amount")], report.topExpenses.map(e => [
+        e.title || "",
+        e.date,
+        e.category,
+        formatAmount(e.amount),
+    ]));
+
+    doc.end();
+});
+
+module.exports = { toCsv, toXlsx, toPdf };
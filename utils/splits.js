@@ -0,0 +1,151 @@
+// Splitting a shared expense between group members, and settling up the balances it leaves
+const SPLIT_METHODS = ["equal", "exact", "percentage", "shares"];
+
+// Work in whole cents so the splits always add up to the total exactly
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Share out a number of cents in proportion to weights, giving leftover cents to the
+ * largest remainders (ties go to the earlier entry)
+ */
+const allocateCents = (totalCents, weights) => {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map(weight => (totalCents * weight) / weightSum);
+    const cents = exact.map(Math.floor);
+    let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+
+    exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .forEach(({ index }) => {
+            if (leftover > 0) {
+                cents[index] += 1;
+                leftover -= 1;
+            }
+        });
+    return cents;
+};
+
+/**
+ * Work out how much each member owes for a shared expense
+ * @param {Number} total - Expense amount in the group's currency
+ * @param {Object} split - { method, participants } for "equal" (all members when omitted), or
+ *   { method, entries: [{ userId, amount | percent | shares }] } for the other methods
+ * @param {String[]} memberIds - Members of the group
+ * @returns {Object} - { splits: [{ userId, amount }] } or { error }
+ */
+const computeSplits = (total, split, memberIds) => {
+    const { method = "equal" } = split || {};
+    if (!SPLIT_METHODS.includes(method)) {
+        return { error: `Split method must be one of: ${SPLIT_METHODS.join(", ")}` };
+    }
+    const totalCents = toCents(total);
+
+    if (method === "equal") {
+        const participants = split && split.participants !== undefined ? split.participants : memberIds;
+        if (!Array.isArray(participants) || participants.length === 0) {
+            return { error: "An equal split needs at least one participant" };
+        }
+        if (new Set(participants).size !== participants.length) return { error: "Participants must not repeat" };
+        const outsider = participants.find(userId => !memberIds.includes(userId));
+        if (outsider) return { error: `${outsider} is not a member of this group` };
+
+        const cents = allocateCents(totalCents, participants.map(() => 1));
+        return { splits: participants.map((userId, i) => ({ userId, amount: fromCents(cents[i]) })) };
+    }
+
+    const entries = split.entries;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { error: `A split by ${method === "exact" ? "amount" : method} needs entries for the members sharing it` };
+    }
+    const userIds = entries.map(entry => entry && entry.userId);
+    if (new Set(userIds).size !== userIds.length) return { error: "Each member can appear only once in a split" };
+    const outsider = userIds.findIndex(userId => !memberIds.includes(userId));
+    if (outsider !== -1) return { error: `${userIds[outsider] ?? "An entry"} is not a member of this group` };
+
+    const field = { exact: "amount", percentage: "percent", shares: "shares" }[method];
+    const values = entries.map(entry => Number(entry[field]));
+    if (values.some(value => !Number.isFinite(value) || value < 0) || values.every(value => value === 0)) {
+        return { error: `Every entry needs a non-negative "${field}", and they can't all be zero` };
+    }
+
+    if (method === "exact") {
+        const cents = values.map(toCents);
+        const sum = cents.reduce((acc, value) => acc + value, 0);
+        if (sum !== totalCents) {
+            return { error: `Split amounts add up to ${fromCents(sum).toFixed(2)}, not ${fromCents(totalCents).toFixed(2)}` };
+        }
+        return { splits: userIds.map((userId, i) => ({ userId, amount: fromCents(cents[i]) })) };
+    }
+
+    if (method === "percentage") {
+        const sum = values.reduce((acc, value) => acc + value, 0);
+        if (Math.abs(sum - 100) > 0.01) return { error: `Percentages add up to ${Math.round(sum * 100) / 100}, not 100` };
+    }
+
+    const cents = allocateCents(totalCents, values);
+    return { splits: userIds.map((userId, i) => ({ userId, amount: fromCents(cents[i]) })) };
+};
+
+/**
+ * Net position of each member: what they paid for others minus what others paid for them.
+ * Positive means the group owes them; negative means they owe the group.
+ * @param {Array} expenses - [{ paidBy, splits: [{ userId, amount }] }]
+ * @param {Array} settlements - [{ from, to, amount }] payments already made between members
+ * @returns {Object} - { userId: balance }
+ */
+const calculateBalances = (expenses, settlements = []) => {
+    const cents = {};
+    const add = (userId, value) => { cents[userId] = (cents[userId] || 0) + value; };
+
+    expenses.forEach(({ paidBy, splits }) => {
+        splits.forEach(({ userId, amount }) => {
+            add(paidBy, toCents(amount));
+            add(userId, -toCents(amount));
+        });
+    });
+    settlements.forEach(({ from, to, amount }) => {
+        add(from, toCents(amount));
+        add(to, -toCents(amount));
+    });
+
+    const balances = {};
+    Object.entries(cents).forEach(([userId, value]) => { balances[userId] = fromCents(value); });
+    return balances;
+};
+
+/**
+ * Suggest payments that clear every balance: the biggest debtor repeatedly pays the
+ * biggest creditor. Each payment settles at least one person, so n people with a
+ * balance never need more than n - 1 payments.
+ * @param {Object} balances - Output of calculateBalances
+ * @returns {Array} - [{ from, to, amount }]
+ */
+const suggestSettlements = (balances) => {
+    const creditors = [];
+    const debtors = [];
+    Object.entries(balances).forEach(([userId, balance]) => {
+        const value = toCents(balance);
+        if (value > 0) creditors.push({ userId, value });
+        if (value < 0) debtors.push({ userId, value: -value });
+    });
+
+    const payments = [];
+    while (creditors.length && debtors.length) {
+        creditors.sort((a, b) => b.value - a.value);
+        debtors.sort((a, b) => b.value - a.value);
+        const creditor = creditors[0];
+        const debtor = debtors[0];
+        const value = Math.min(creditor.value, debtor.value);
+
+        payments.push({ from: debtor.userId, to: creditor.userId, amount: fromCents(value) });
+        creditor.value -= value;
+        debtor.value -= value;
+        if (creditor.value === 0) creditors.shift();
+        if (debtor.value === 0) debtors.shift();
+    }
+    return payments;
+};
+
+module.exports = { SPLIT_METHODS, computeSplits, calculateBalances, suggestSettlements };
@@ -0,0 +1,46 @@
+// Server-Sent Events: a response that stays open and sends named events as they happen
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switch a response to an event stream. The returned signal aborts when the client
+ * disconnects, so work done for it (e.g. an LLM completion) can be cancelled.
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), end(), signal, isClosed() }
+ */
+const openEventStream = (res) => {
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // Stop nginx from holding events back
+    });
+    res.flushHeaders();
+
+    const controller = new AbortController();
+    let closed = false;
+
+    // Comment lines keep proxies from timing out an idle stream
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+
+    res.on("close", () => {
+        closed = true;
+        clearInterval(heartbeat);
+        // The stream closing before we ended it means the client went away
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const end = () => {
+        if (closed) return;
+        clearInterval(heartbeat);
+        res.end();
+    };
+
+    return { send, end, signal: controller.signal, isClosed: () => closed };
+};
+
+module.exports = { openEventStream };
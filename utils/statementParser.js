@@ -0,0 +1,223 @@
+// Parse bank statement exports (CSV, OFX/QFX) into normalized expense rows
+
+// Header names we recognize when no column mapping is given (compared lower-cased)
+const DEFAULT_COLUMN_NAMES = {
+    date: ["date", "transaction date", "txn date", "value date", "posting date"],
+    title: ["description", "narration", "details", "particulars", "memo", "payee", "name"],
+    amount: ["amount", "transaction amount", "amt"],
+    debit: ["debit", "withdrawal", "withdrawal amt.", "withdrawal amount", "debit amount"],
+    credit: ["credit", "deposit", "deposit amt.", "deposit amount", "credit amount"],
+    category: ["category"],
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Split CSV text into rows of cells, honouring quoted fields and escaped quotes
+ * @param {String} text - Raw CSV
+ * @returns {Array<Array<String>>}
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== "" || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(c => c.trim() !== ""));
+};
+
+/**
+ * Normalize a date string into YYYY-MM-DD
+ * @param {String} value - Raw date
+ * @param {String} dateFormat - auto | YYYY-MM-DD | DD/MM/YYYY | MM/DD/YYYY
+ * @returns {String|null}
+ */
+const normalizeDate = (value, dateFormat = "auto") => {
+    const raw = String(value || "").trim();
+    const pad = (n) => String(n).padStart(2, "0");
+    const build = (y, m, d) => {
+        const year = Number(y) < 100 ? 2000 + Number(y) : Number(y);
+        const date = new Date(Date.UTC(year, Number(m) - 1, Number(d)));
+        if (date.getUTCMonth() !== Number(m) - 1) return null; // e.g. 31/02
+        return `${year}-${pad(m)}-${pad(d)}`;
+    };
+
+    let match = raw.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) return build(match[1], match[2], match[3]);
+
+    // OFX: YYYYMMDD[HHMMSS...]
+    match = raw.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (match) return build(match[1], match[2], match[3]);
+
+    // 05 Mar 2026, 05-Mar-26
+    match = raw.match(/^(\d{1,2})[\s\-/]([A-Za-z]{3})[A-Za-z]*[\s\-/,]+(\d{2,4})$/);
+    if (match) {
+        const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        return month ? build(match[3], month, match[1]) : null;
+    }
+
+    match = raw.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+    if (match) {
+        // Day-first unless told otherwise, or unless the first part can't be a day
+        const monthFirst = dateFormat === "MM/DD/YYYY" || (dateFormat === "auto" && Number(match[2]) > 12);
+        return monthFirst ? build(match[3], match[1], match[2]) : build(match[3], match[2], match[1]);
+    }
+
+    return null;
+};
+
+// "1,234.50", "₹ 1,234.50", "(1,234.50)" and "1234.50 Dr" all parse; returns NaN when empty
+const parseAmount = (value) => {
+    const raw = String(value ?? "").trim();
+    if (!raw) return NaN;
+    const negative = /^\(.*\)$/.test(raw) || /^-/.test(raw) || /\bdr\.?$/i.test(raw);
+    const digits = raw.replace(/[^0-9.]/g, "");
+    if (!digits) return NaN;
+    const amount = parseFloat(digits);
+    return negative ? -amount : amount;
+};
+
+// Resolve a mapping of field -> column header into field -> column index
+const resolveColumns = (headers, mapping = {}) => {
+    const lowered = headers.map(h => h.trim().toLowerCase());
+    const columns = {};
+
+    Object.keys(DEFAULT_COLUMN_NAMES).forEach(field => {
+        const wanted = mapping[field];
+        const index = wanted !== undefined
+            ? lowered.indexOf(String(wanted).trim().toLowerCase())
+            : lowered.findIndex(h => DEFAULT_COLUMN_NAMES[field].includes(h));
+        if (index !== -1) columns[field] = index;
+    });
+
+    return columns;
+};
+
+/**
+ * Turn CSV text into expense rows. Credits (money coming in) are skipped.
+ * @param {String} text - Raw CSV
+ * @param {Object} options - { mapping, dateFormat, expenseSign: "negative"|"positive" }
+ * @returns {Object} - { rows, skippedRows } or { error }
+ */
+const parseCsvStatement = (text, { mapping = {}, dateFormat = "auto", expenseSign = "negative" } = {}) => {
+    const [headers, ...records] = parseCsv(text);
+    if (!headers) return { error: "The file is empty" };
+
+    const columns = resolveColumns(headers, mapping);
+    if (columns.date === undefined) return { error: "Couldn't find a date column; provide a column mapping" };
+    if (columns.amount === undefined && columns.debit === undefined) {
+        return { error: "Couldn't find an amount or debit column; provide a column mapping" };
+    }
+
+    const rows = [];
+    let skippedRows = 0;
+
+    records.forEach(record => {
+        const date = normalizeDate(record[columns.date], dateFormat);
+
+        let amount;
+        if (columns.debit !== undefined) {
+            amount = Math.abs(parseAmount(record[columns.debit]));
+        } else {
+            const signed = parseAmount(record[columns.amount]);
+            const isExpense = expenseSign === "positive" ? signed > 0 : signed < 0;
+            amount = isExpense ? Math.abs(signed) : NaN;
+        }
+
+        if (!date || !(amount > 0)) {
+            skippedRows++;
+            return;
+        }
+
+        rows.push({
+            date,
+            amount: Math.round(amount * 100) / 100,
+            title: columns.title !== undefined ? String(record[columns.title] || "").trim() : "",
+            sourceCategory: columns.category !== undefined ? String(record[columns.category] || "").trim() : "",
+        });
+    });
+
+    return { rows, skippedRows };
+};
+
+/**
+ * Does the text look like an OFX/QFX statement? Checks the content rather than the file
+ * name: SGML files start with an OFXHEADER line, XML ones with an <?OFX ...?> instruction.
+ * @param {String} text - Raw statement
+ * @returns {Boolean}
+ */
+const isOfxStatement = (text) => /OFXHEADER|<OFX[\s>]/i.test(text.slice(0, 4096));
+
+// Read a tag value from an OFX block; works for both SGML (unclosed) and XML tags
+const readOfxTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+    return match ? match[1].trim() : "";
+};
+
+/**
+ * Turn OFX/QFX text into expense rows. Only debits (negative TRNAMT) are kept.
+ * @param {String} text - Raw OFX or QFX
+ * @returns {Object} - { rows, skippedRows } or { error }
+ */
+const parseOfxStatement = (text) => {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi);
+    if (!blocks) return { error: "No transactions found in the OFX file" };
+
+    const rows = [];
+    let skippedRows = 0;
+
+    blocks.forEach(block => {
+        const date = normalizeDate(readOfxTag(block, "DTPOSTED"));
+        const amount = parseAmount(readOfxTag(block, "TRNAMT"));
+
+        if (!date || !(amount < 0)) {
+            skippedRows++;
+            return;
+        }
+
+        rows.push({
+            date,
+            amount: Math.round(Math.abs(amount) * 100) / 100,
+            title: readOfxTag(block, "NAME") || readOfxTag(block, "MEMO"),
+            sourceCategory: "",
+        });
+    });
+
+    return { rows, skippedRows };
+};
+
+module.exports = { parseCsv, normalizeDate, parseAmount, parseCsvStatement, isOfxStatement, parseOfxStatement };
@@ -0,0 +1,22 @@
+// Field validators shared by the controllers
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD that is also a real calendar date
+const isValidDate = (value) => {
+    if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+    const parsed = new Date(value + 'T00:00:00Z');
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+};
+
+// Positive finite number, or a numeric string that parses to one
+const isPositiveAmount = (value) => {
+    if (typeof value !== "number" && typeof value !== "string") return false;
+    if (typeof value === "string" && value.trim() === "") return false;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+module.exports = { isValidDate, isPositiveAmount, isPositiveInteger };